@@ -0,0 +1,162 @@
+// ========== 用户认证工具 ==========
+// 密码加盐哈希（scrypt）与基于 Cookie 的服务端会话
+
+import crypto from 'crypto';
+
+const SCRYPT_KEYLEN = 64;                              // 派生密钥长度（字节）
+export const SESSION_COOKIE = 'sid';                   // 会话Cookie名称
+export const SESSION_TTL_MS = 30 * 24 * 3600 * 1000;   // 会话有效期：30天
+export const VISITOR_COOKIE = 'vid';                   // 匿名访客Cookie名称（阅读统计去重）
+const VISITOR_TTL_S = 365 * 24 * 3600;                 // 访客Cookie有效期：1年
+export const PASSWORD_MIN_LENGTH = 6;                  // 密码最短长度
+export const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,20}$/;  // 用户名：3-20位字母、数字或下划线
+
+/**
+ * 对密码进行加盐哈希
+ * @param {string} password - 明文密码
+ * @returns {string} 形如 "scrypt$<salt>$<hash>" 的哈希串
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * 校验密码是否与哈希串匹配（恒定时间比较）
+ * @param {string} password - 明文密码
+ * @param {string} stored - hashPassword 生成的哈希串
+ * @returns {boolean} 是否匹配
+ */
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * 会话令牌只保存其SHA256摘要，数据文件泄露也无法直接冒用
+ * @param {string} token - 原始会话令牌
+ * @returns {string} 令牌摘要
+ */
+function digestToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * 创建会话管理器
+ * @param {object} store - 会话仓库：get(key) / set(key, session) / delete(key) / prune(now)
+ * @returns {object} 会话管理器
+ */
+export function createSessionManager(store) {
+  return {
+    /**
+     * 为用户创建新会话
+     * @param {string} username - 用户名
+     * @returns {{token: string, expiresAt: number}} 原始令牌与过期时间
+     */
+    create(username) {
+      const now = Date.now();
+      store.prune(now);
+      const token = crypto.randomBytes(32).toString('base64url');
+      const expiresAt = now + SESSION_TTL_MS;
+      store.set(digestToken(token), { username, createdAt: now, expiresAt });
+      return { token, expiresAt };
+    },
+
+    /**
+     * 根据令牌查找会话
+     * @param {string} token - 原始令牌
+     * @returns {object|null} 会话对象
+     */
+    get(token) {
+      if (!token) return null;
+      const key = digestToken(token);
+      const s = store.get(key);
+      if (!s) return null;
+      if (s.expiresAt <= Date.now()) {
+        store.delete(key);
+        return null;
+      }
+      return s;
+    },
+
+    /**
+     * 销毁会话
+     * @param {string} token - 原始令牌
+     */
+    destroy(token) {
+      if (!token) return;
+      store.delete(digestToken(token));
+    },
+  };
+}
+
+/**
+ * 解析请求头中的Cookie
+ * @param {string} header - Cookie请求头
+ * @returns {object} 名称 -> 值
+ */
+export function parseCookies(header) {
+  const out = {};
+  if (!header) return out;
+  for (const part of String(header).split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    if (!name) continue;
+    try {
+      out[name] = decodeURIComponent(value);
+    } catch (_) {
+      out[name] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * 生成会话Cookie的Set-Cookie值
+ * @param {string} token - 会话令牌（为空表示清除）
+ * @param {object} options - { secure: 是否仅HTTPS }
+ * @returns {string} Set-Cookie头的值
+ */
+export function sessionCookie(token, { secure = false } = {}) {
+  const attrs = [
+    `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${token ? Math.floor(SESSION_TTL_MS / 1000) : 0}`,
+  ];
+  if (secure) attrs.push('Secure');
+  return attrs.join('; ');
+}
+
+/**
+ * 生成新的匿名访客ID
+ * @returns {string}
+ */
+export function newVisitorId() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+/**
+ * 生成访客Cookie的Set-Cookie值
+ * @param {string} id - 访客ID
+ * @param {object} options - { secure: 是否仅HTTPS }
+ * @returns {string} Set-Cookie头的值
+ */
+export function visitorCookie(id, { secure = false } = {}) {
+  const attrs = [
+    `${VISITOR_COOKIE}=${encodeURIComponent(id)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${VISITOR_TTL_S}`,
+  ];
+  if (secure) attrs.push('Secure');
+  return attrs.join('; ');
+}
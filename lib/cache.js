@@ -0,0 +1,105 @@
+// ========== 上游响应缓存 ==========
+// 进程内缓存：TTL 过期 + stale-while-revalidate + 并发请求合并
+
+/**
+ * 创建缓存实例
+ * @param {object} options - 配置选项
+ * @param {number} options.ttlMs - 新鲜期（毫秒），期内直接命中
+ * @param {number} options.staleMs - 过期后仍可返回旧值的时长（毫秒），期间后台刷新
+ * @param {number} options.maxEntries - 最大条目数（超出时淘汰最久未使用的）
+ * @returns {object} 缓存实例
+ */
+export function createCache({ ttlMs = 5 * 60 * 1000, staleMs = 30 * 60 * 1000, maxEntries = 200 } = {}) {
+  const entries = new Map();   // key -> { value, storedAt }
+  const inflight = new Map();  // key -> Promise（正在进行的加载）
+  let generation = 0;          // 每次 clear() 递增；清空前开始的加载完成后不再写入
+
+  /**
+   * 写入条目（Map 保持插入顺序，重新插入即视为最近使用）
+   */
+  function store(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, storedAt: Date.now() });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  /**
+   * 执行加载函数，同一key的并发调用共享同一个Promise
+   */
+  function load(key, loader) {
+    if (inflight.has(key)) return inflight.get(key);
+    const startedIn = generation;
+    const p = Promise.resolve()
+      .then(loader)
+      .then((value) => {
+        // 加载期间缓存被清空时，结果可能基于清空前的数据，只返回给本次调用方而不写入
+        if (startedIn === generation) store(key, value);
+        return value;
+      })
+      .finally(() => {
+        if (inflight.get(key) === p) inflight.delete(key);
+      });
+    inflight.set(key, p);
+    return p;
+  }
+
+  return {
+    /**
+     * 读取缓存，未命中时调用 loader 加载
+     * @param {string} key - 缓存键
+     * @param {Function} loader - 加载函数（返回值或Promise）
+     * @returns {Promise<{value: *, status: string, age: number}>} status 为 HIT / STALE / MISS
+     */
+    async get(key, loader) {
+      const entry = entries.get(key);
+      const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+      if (entry && age < ttlMs) {
+        // 刷新LRU顺序
+        entries.delete(key);
+        entries.set(key, entry);
+        return { value: entry.value, status: 'HIT', age };
+      }
+
+      if (entry && age < ttlMs + staleMs) {
+        // 先返回旧值，后台刷新（失败时保留旧值）
+        load(key, loader).catch((err) => {
+          console.error(`[cache] revalidate ${key} failed:`, err && err.message);
+        });
+        return { value: entry.value, status: 'STALE', age };
+      }
+
+      const value = await load(key, loader);
+      return { value, status: 'MISS', age: 0 };
+    },
+
+    /**
+     * 立即重新加载并写入缓存（后台预热用；与同一key正在进行的加载共享结果）
+     * @param {string} key - 缓存键
+     * @param {Function} loader - 加载函数
+     * @returns {Promise<*>} 新值
+     */
+    refresh(key, loader) {
+      return load(key, loader);
+    },
+
+    /**
+     * 删除指定条目
+     * @param {string} key - 缓存键
+     */
+    delete(key) {
+      entries.delete(key);
+    },
+
+    /**
+     * 清空缓存（正在进行的加载不再写入，之后的请求重新加载）
+     */
+    clear() {
+      generation++;
+      entries.clear();
+      inflight.clear();
+    },
+  };
+}
@@ -0,0 +1,109 @@
+// ========== 相似报道聚合 ==========
+// 不同媒体对同一事件的报道按标题/摘要的 TF-IDF 余弦相似度聚为一组：
+//   - 标题权重高于摘要，标题末尾的 " - 媒体名" 不参与计算
+//   - 只有不同来源、发布时间相差不超过 maxGapMs 的文章才可能直接归为一组
+//   - 单链接聚合（A≈B、B≈C 时 A、B、C 为一组），组内排在最前的报道（列表按时间倒序时即最新的）作为主卡片
+
+import { tokenize } from './search.js';
+
+export const CLUSTER_THRESHOLD = 0.6;                  // 余弦相似度阈值
+export const CLUSTER_MAX_GAP_MS = 48 * 3600 * 1000;    // 同组文章的最大发布时间差
+
+const TITLE_WEIGHT = 2;
+
+/**
+ * 去掉标题末尾的来源后缀（如 "... - AP News"）
+ * @param {string} title - 标题
+ * @returns {string}
+ */
+function stripSourceSuffix(title) {
+  return String(title || '').replace(/\s+[-|–—]\s+[^-|–—]{1,40}$/, '');
+}
+
+/**
+ * 统计文章的词频（标题加权）
+ * @param {object} article - { title, summary }
+ * @returns {Map<string, number>}
+ */
+function termFrequencies(article) {
+  const tf = new Map();
+  for (const { term } of tokenize(stripSourceSuffix(article.title))) tf.set(term, (tf.get(term) || 0) + TITLE_WEIGHT);
+  for (const { term } of tokenize(article.summary)) tf.set(term, (tf.get(term) || 0) + 1);
+  return tf;
+}
+
+/**
+ * 计算一批文章的单位化 TF-IDF 向量（IDF 基于这一批文章）
+ * @param {Array} articles - 文章列表
+ * @returns {Array<Map<string, number>>} 与输入顺序对应的向量
+ */
+function tfidfVectors(articles) {
+  const tfs = articles.map(termFrequencies);
+  const df = new Map();
+  for (const tf of tfs) for (const term of tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+
+  const n = articles.length;
+  return tfs.map(tf => {
+    const vec = new Map();
+    let norm = 0;
+    for (const [term, f] of tf) {
+      // 只出现在一篇文章中的词不影响相似度，直接跳过
+      if (df.get(term) < 2) continue;
+      const w = (1 + Math.log(f)) * Math.log(1 + n / df.get(term));
+      vec.set(term, w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm);
+    if (norm) for (const [term, w] of vec) vec.set(term, w / norm);
+    return vec;
+  });
+}
+
+/**
+ * 两个单位向量的余弦相似度
+ */
+function cosine(a, b) {
+  if (a.size > b.size) [a, b] = [b, a];
+  let sum = 0;
+  for (const [term, w] of a) {
+    const other = b.get(term);
+    if (other) sum += w * other;
+  }
+  return sum;
+}
+
+/**
+ * 将文章聚合为报道组
+ * @param {Array} articles - 文章列表（需含 title, summary, source, publishedAt）
+ * @param {object} options - { threshold: 相似度阈值, maxGapMs: 最大发布时间差 }
+ * @returns {Array<Array>} 报道组列表；组内和组间都保持输入顺序，每组第一篇为主卡片
+ */
+export function clusterArticles(articles, { threshold = CLUSTER_THRESHOLD, maxGapMs = CLUSTER_MAX_GAP_MS } = {}) {
+  const vectors = tfidfVectors(articles);
+  const times = articles.map(a => Date.parse(a.publishedAt || '') || 0);
+
+  // 并查集
+  const parent = articles.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+    return i;
+  };
+
+  for (let i = 0; i < articles.length; i++) {
+    if (!vectors[i].size) continue;
+    for (let j = i + 1; j < articles.length; j++) {
+      if (!vectors[j].size || Math.abs(times[i] - times[j]) > maxGapMs) continue;
+      if (articles[i].source && articles[i].source === articles[j].source) continue;
+      if (find(i) === find(j)) continue;
+      if (cosine(vectors[i], vectors[j]) >= threshold) parent[find(j)] = find(i);
+    }
+  }
+
+  const groups = new Map();
+  articles.forEach((a, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(a);
+  });
+  return [...groups.values()];
+}
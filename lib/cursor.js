@@ -0,0 +1,141 @@
+// ========== 游标分页 ==========
+// 游标锚定在 (publishedAt, id) 上：列表按发布时间倒序、ID倒序排列，
+// 下一页从锚点之后开始，上游顺序变化时也不会重复或跳过文章。
+// 时间字段可通过 timeKey 指定（如收藏列表按 bookmarkedAt 排序）。
+
+/**
+ * 将时间字符串转换为可比较的时间戳（无效时间视为0）
+ * @param {string} iso - ISO时间字符串
+ * @returns {number} 毫秒时间戳
+ */
+function toTime(iso) {
+  const t = Date.parse(iso || '');
+  return Number.isNaN(t) ? 0 : t;
+}
+
+/**
+ * 比较两个 (时间, id) 锚点，倒序排列时 a 在前返回负数
+ * @param {{t: number, id: string}} a
+ * @param {{t: number, id: string}} b
+ * @returns {number}
+ */
+function compareDesc(a, b) {
+  if (a.t !== b.t) return b.t - a.t;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+}
+
+/**
+ * 编码游标
+ * @param {object} item - 列表条目（含时间字段与 id）
+ * @param {string} timeKey - 时间字段名
+ * @returns {string} 不透明的游标字符串
+ */
+export function encodeCursor(item, timeKey = 'publishedAt') {
+  return Buffer.from(JSON.stringify({ t: toTime(item[timeKey]), id: String(item.id) })).toString('base64url');
+}
+
+/**
+ * 解码游标
+ * @param {string} cursor - 游标字符串
+ * @returns {{t: number, id: string}|null} 锚点；格式错误时返回null
+ */
+export function decodeCursor(cursor) {
+  try {
+    const anchor = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    if (typeof anchor.t !== 'number' || typeof anchor.id !== 'string') return null;
+    return anchor;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 按 (时间, id) 倒序排序
+ * @param {Array} list - 列表
+ * @param {string} timeKey - 时间字段名
+ * @returns {Array} 新数组
+ */
+export function sortByCursorKey(list, timeKey = 'publishedAt') {
+  return list.slice().sort((a, b) =>
+    compareDesc({ t: toTime(a[timeKey]), id: String(a.id) }, { t: toTime(b[timeKey]), id: String(b.id) }));
+}
+
+/**
+ * 按游标截取一页
+ * @param {Array} sorted - 已按 sortByCursorKey 排序的列表
+ * @param {object} options - { cursor: 上一页返回的 nextCursor（为空表示第一页）, limit: 每页条数, timeKey: 时间字段名 }
+ * @returns {{items: Array, nextCursor: string|null, hasMore: boolean}}
+ * @throws {Error} 游标格式错误时抛出（err.status = 400）
+ */
+export function paginateByCursor(sorted, { cursor, limit = 10, timeKey = 'publishedAt' } = {}) {
+  let start = 0;
+  if (cursor) {
+    const anchor = decodeCursor(cursor);
+    if (!anchor) {
+      const err = new Error('无效的游标');
+      err.status = 400;
+      throw err;
+    }
+    start = sorted.findIndex(item =>
+      compareDesc({ t: toTime(item[timeKey]), id: String(item.id) }, anchor) > 0);
+    if (start < 0) start = sorted.length;
+  }
+  const items = sorted.slice(start, start + limit);
+  const hasMore = start + limit < sorted.length;
+  return {
+    items,
+    nextCursor: hasMore && items.length ? encodeCursor(items[items.length - 1], timeKey) : null,
+    hasMore,
+  };
+}
+
+/**
+ * 编码偏移量游标
+ * @param {number} offset - 下一页的起始偏移量
+ * @returns {string} 不透明的游标字符串
+ */
+export function encodeOffsetCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+/**
+ * 解码偏移量游标（为空表示第一页）
+ * @param {string} cursor - 游标字符串
+ * @returns {number} 起始偏移量
+ * @throws {Error} 游标格式错误时抛出（err.status = 400）
+ */
+export function decodeOffsetCursor(cursor) {
+  if (!cursor) return 0;
+  let start;
+  try {
+    start = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8')).o;
+  } catch (_) {
+    start = NaN;
+  }
+  if (!Number.isInteger(start) || start < 0) {
+    const err = new Error('无效的游标');
+    err.status = 400;
+    throw err;
+  }
+  return start;
+}
+
+/**
+ * 按偏移量截取一页（用于按相关度等非时间顺序排列的列表）
+ * 游标同样是不透明字符串，内部记录偏移量
+ * @param {Array} list - 已排序的列表
+ * @param {object} options - { cursor, limit }
+ * @returns {{items: Array, nextCursor: string|null, hasMore: boolean}}
+ * @throws {Error} 游标格式错误时抛出（err.status = 400）
+ */
+export function paginateByOffset(list, { cursor, limit = 10 } = {}) {
+  const start = decodeOffsetCursor(cursor);
+  const items = list.slice(start, start + limit);
+  const hasMore = start + limit < list.length;
+  return {
+    items,
+    nextCursor: hasMore ? encodeOffsetCursor(start + limit) : null,
+    hasMore,
+  };
+}
@@ -0,0 +1,120 @@
+// ========== 阅读统计 ==========
+// 浏览/点击原文事件按访客去重记录，停留时长在去重窗口内每个访客只保留最长的一次；提供按文章、分类、来源和时间的汇总
+
+export const EVENT_TYPES = ['view', 'click', 'dwell'];
+export const ANALYTICS_GROUPS = ['article', 'category', 'source'];
+export const ANALYTICS_BUCKETS = ['hour', 'day'];
+
+// 各汇总维度对应的分组表达式（e: article_events，a: articles）
+const GROUP_KEYS = {
+  article: 'e.article_id',
+  category: "COALESCE(a.primary_category, 'unknown')",
+  source: "COALESCE(NULLIF(a.source, ''), 'unknown')",
+};
+
+// 时间桶：ISO时间的前缀
+const BUCKET_KEYS = {
+  hour: "substr(e.created_at, 1, 13) || ':00'",
+  day: 'substr(e.created_at, 1, 10)',
+};
+
+// 各项指标（按行聚合）
+const METRICS = `
+  SUM(e.type = 'view') AS views,
+  COUNT(DISTINCT CASE WHEN e.type = 'view' THEN e.visitor END) AS visitors,
+  SUM(e.type = 'click') AS clicks,
+  SUM(e.type = 'dwell') AS dwells,
+  AVG(CASE WHEN e.type = 'dwell' THEN e.dwell_ms END) AS avg_dwell_ms
+`;
+
+/**
+ * 将聚合行转换为指标对象
+ * @param {object} row - 含 METRICS 各列的行
+ * @returns {object} { views, visitors, clicks, ctr, dwells, avgDwellMs }
+ */
+function rowToMetrics(row) {
+  const views = row.views || 0;
+  const clicks = row.clicks || 0;
+  return {
+    views,
+    visitors: row.visitors || 0,
+    clicks,
+    ctr: views ? Number((clicks / views).toFixed(4)) : 0,   // 点击原文率
+    dwells: row.dwells || 0,
+    avgDwellMs: Math.round(row.avg_dwell_ms || 0),
+  };
+}
+
+/**
+ * 创建阅读统计仓库
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 阅读统计仓库
+ */
+export function createAnalyticsRepo(db) {
+  const where = 'WHERE e.created_at >= @from AND e.created_at < @to';
+  const stmts = {
+    insert: db.prepare(`
+      INSERT INTO article_events (article_id, type, visitor, dwell_ms, created_at)
+      VALUES (@articleId, @type, @visitor, @dwellMs, @now)
+    `),
+    recent: db.prepare(`
+      SELECT id FROM article_events
+      WHERE article_id = ? AND visitor = ? AND type = ? AND created_at >= ? LIMIT 1
+    `),
+    extendDwell: db.prepare('UPDATE article_events SET dwell_ms = MAX(dwell_ms, ?) WHERE id = ?'),
+    totals: db.prepare(`SELECT ${METRICS} FROM article_events e ${where}`),
+    series: Object.fromEntries(Object.entries(BUCKET_KEYS).map(([name, key]) => [name, db.prepare(`
+      SELECT ${key} AS bucket, ${METRICS} FROM article_events e ${where}
+      GROUP BY bucket ORDER BY bucket
+    `)])),
+    groups: Object.fromEntries(Object.entries(GROUP_KEYS).map(([name, key]) => [name, db.prepare(`
+      SELECT ${key} AS key, MAX(a.title) AS title, ${METRICS}
+      FROM article_events e LEFT JOIN articles a ON a.id = e.article_id ${where}
+      GROUP BY key ORDER BY views DESC, clicks DESC LIMIT @limit
+    `)])),
+  };
+
+  return {
+    /**
+     * 记录阅读事件；去重窗口内同一访客只记一次，停留时长保留其中最长的一次
+     * @param {object} e - { articleId, type: view / click / dwell, visitor, dwellMs }
+     * @param {object} options - { dedupMs: 去重窗口 }
+     * @returns {boolean} 是否新增了事件
+     */
+    record: db.transaction(({ articleId, type, visitor, dwellMs = null }, { dedupMs = 0 } = {}) => {
+      const now = Date.now();
+      if (dedupMs > 0) {
+        const since = new Date(now - dedupMs).toISOString();
+        const prev = stmts.recent.get(articleId, visitor, type, since);
+        if (prev) {
+          if (type === 'dwell') stmts.extendDwell.run(dwellMs, prev.id);
+          return false;
+        }
+      }
+      stmts.insert.run({
+        articleId, type, visitor,
+        dwellMs: type === 'dwell' ? dwellMs : null,
+        now: new Date(now).toISOString(),
+      });
+      return true;
+    }),
+
+    /**
+     * 汇总一段时间内的阅读数据
+     * @param {object} options - { from, to: ISO时间, groupBy: article / category / source, bucket: hour / day, limit }
+     * @returns {{totals: object, series: Array, groups: Array}}
+     */
+    report({ from, to, groupBy = 'category', bucket = 'day', limit = 50 }) {
+      const params = { from, to, limit };
+      return {
+        totals: rowToMetrics(stmts.totals.get(params)),
+        series: stmts.series[bucket].all(params).map(row => ({ bucket: row.bucket, ...rowToMetrics(row) })),
+        groups: stmts.groups[groupBy].all(params).map(row => ({
+          key: row.key,
+          ...(groupBy === 'article' && { title: row.title || '' }),
+          ...rowToMetrics(row),
+        })),
+      };
+    },
+  };
+}
@@ -0,0 +1,309 @@
+// ========== 文章存储 ==========
+
+/**
+ * 将数据库行转换为文章对象
+ * @param {object} row - articles 表的行
+ * @returns {object|null} 文章对象
+ */
+export function rowToArticle(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    title: row.title,
+    summary: row.summary,
+    cover: row.cover,
+    content: row.content,
+    contentFetchedAt: row.content_fetched_at || null,
+    firstSeenAt: row.created_at,
+    lastSeenAt: row.last_seen_at || row.created_at,
+    url: row.url,
+    source: row.source || '',
+    categories: JSON.parse(row.categories || '[]'),
+    editions: JSON.parse(row.editions || '[]'),
+    primaryCategory: row.primary_category,
+    publishedAt: row.published_at,
+    hidden: !!row.hidden_at,
+    clusterId: row.cluster_id || null,
+  };
+}
+
+/**
+ * 创建文章仓库
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 文章仓库
+ */
+export function createArticleRepo(db) {
+  const stmts = {
+    get: db.prepare('SELECT * FROM articles WHERE id = ?'),
+    insert: db.prepare(`
+      INSERT INTO articles (id, title, summary, cover, content, url, source, primary_category, categories, editions, published_at, created_at, last_seen_at)
+      VALUES (@id, @title, @summary, @cover, @content, @url, @source, @primaryCategory, @categories, @editions, @publishedAt, @now, @now)
+    `),
+    update: db.prepare(`
+      UPDATE articles SET title = @title, summary = @summary, cover = @cover, content = @content, url = @url,
+        source = @source, primary_category = @primaryCategory, categories = @categories, editions = @editions,
+        published_at = @publishedAt, last_seen_at = @now
+      WHERE id = @id
+    `),
+    iterate: db.prepare('SELECT * FROM articles'),
+    listAll: db.prepare(`
+      SELECT * FROM articles
+      WHERE hidden_at IS NULL
+        AND (@edition = '' OR EXISTS (SELECT 1 FROM json_each(articles.editions) WHERE json_each.value = @edition))
+      ORDER BY published_at DESC, id DESC LIMIT @limit OFFSET @offset
+    `),
+    listByCategory: db.prepare(`
+      SELECT * FROM articles
+      WHERE hidden_at IS NULL
+        AND (primary_category = @category
+          OR EXISTS (SELECT 1 FROM json_each(articles.categories) WHERE json_each.value = @category))
+        AND (@edition = '' OR EXISTS (SELECT 1 FROM json_each(articles.editions) WHERE json_each.value = @edition))
+      ORDER BY published_at DESC, id DESC LIMIT @limit OFFSET @offset
+    `),
+    setHidden: db.prepare('UPDATE articles SET hidden_at = ? WHERE id = ?'),
+    setContent: db.prepare('UPDATE articles SET content = ?, content_fetched_at = ? WHERE id = ?'),
+    getMany: db.prepare('SELECT * FROM articles WHERE id IN (SELECT value FROM json_each(?)) AND hidden_at IS NULL'),
+    publishedSince: db.prepare('SELECT * FROM articles WHERE published_at >= ? AND hidden_at IS NULL'),
+    listBySource: db.prepare(`
+      SELECT * FROM articles WHERE source = ? COLLATE NOCASE AND hidden_at IS NULL
+      ORDER BY published_at DESC, id DESC LIMIT ?
+    `),
+    countCreatedSince: db.prepare(`
+      SELECT COUNT(*) AS n FROM articles
+      WHERE id IN (SELECT value FROM json_each(?)) AND created_at > ? AND hidden_at IS NULL
+    `),
+    hiddenIds: db.prepare('SELECT id FROM articles WHERE hidden_at IS NOT NULL'),
+    clusterOf: db.prepare('SELECT cluster_id FROM articles WHERE id IN (SELECT value FROM json_each(?)) AND cluster_id IS NOT NULL LIMIT 1'),
+    setCluster: db.prepare('UPDATE articles SET cluster_id = ? WHERE id IN (SELECT value FROM json_each(?))'),
+    clusterMembers: db.prepare('SELECT * FROM articles WHERE cluster_id = ? AND hidden_at IS NULL ORDER BY published_at DESC, id DESC'),
+    archive: db.prepare(`
+      SELECT * FROM articles
+      WHERE hidden_at IS NULL
+        AND (@category = '' OR primary_category = @category
+          OR EXISTS (SELECT 1 FROM json_each(articles.categories) WHERE json_each.value = @category))
+        AND (@edition = '' OR EXISTS (SELECT 1 FROM json_each(articles.editions) WHERE json_each.value = @edition))
+        AND ((published_at >= @start AND published_at < @end)
+          OR EXISTS (SELECT 1 FROM article_ranks r WHERE r.article_id = articles.id AND r.seen_at >= @start AND r.seen_at < @end))
+      ORDER BY published_at DESC, id DESC LIMIT @limit
+    `),
+    // 保留期之前发布、且此后没有再出现在上游结果中的文章；engaged 表示有评论/点赞/收藏（不清理）
+    expired: db.prepare(`
+      SELECT *, (
+        EXISTS (SELECT 1 FROM comments c WHERE c.article_id = articles.id)
+        OR EXISTS (SELECT 1 FROM article_likes l WHERE l.article_id = articles.id)
+        OR EXISTS (SELECT 1 FROM bookmarks b WHERE b.article_id = articles.id)
+      ) AS engaged
+      FROM articles
+      WHERE COALESCE(published_at, created_at) < @cutoff AND COALESCE(last_seen_at, created_at) < @cutoff
+      ORDER BY COALESCE(published_at, created_at), id
+    `),
+    deleteEvents: db.prepare('DELETE FROM article_events WHERE article_id IN (SELECT value FROM json_each(?))'),
+    deleteMany: db.prepare('DELETE FROM articles WHERE id IN (SELECT value FROM json_each(?))'),
+    adminList: db.prepare(`
+      SELECT * FROM articles
+      WHERE (@q = '' OR instr(lower(title), lower(@q)) > 0 OR instr(lower(source), lower(@q)) > 0)
+        AND (@hidden = 0 OR hidden_at IS NOT NULL)
+      ORDER BY published_at DESC, id DESC LIMIT @limit OFFSET @offset
+    `),
+    adminCount: db.prepare(`
+      SELECT COUNT(*) AS n FROM articles
+      WHERE (@q = '' OR instr(lower(title), lower(@q)) > 0 OR instr(lower(source), lower(@q)) > 0)
+        AND (@hidden = 0 OR hidden_at IS NOT NULL)
+    `),
+  };
+
+  /**
+   * 合并写入一篇文章：新值为空时保留旧值，分类和版本取并集
+   * @param {object} a - 文章对象
+   * @returns {object} 写入后的文章（created 表示是否为首次入库）
+   */
+  function upsert(a) {
+    const existing = rowToArticle(stmts.get.get(a.id));
+    const categories = Array.from(new Set([...(existing?.categories || []), ...(a.categories || [])]));
+    const editions = Array.from(new Set([...(existing?.editions || []), ...(a.editions || [])]));
+    const merged = {
+      id: a.id,
+      title: a.title || existing?.title || null,
+      summary: a.summary || existing?.summary || null,
+      cover: a.cover || existing?.cover || null,
+      content: a.content || existing?.content || null,
+      url: a.url || existing?.url || null,
+      source: a.source || existing?.source || '',
+      primaryCategory: a.primaryCategory || existing?.primaryCategory || null,
+      categories: JSON.stringify(categories),
+      editions: JSON.stringify(editions),
+      publishedAt: a.publishedAt || existing?.publishedAt || null,
+    };
+    // 每次写入都视为在上游再次出现，更新 last_seen_at
+    (existing ? stmts.update : stmts.insert).run({ ...merged, now: new Date().toISOString() });
+    return { ...merged, categories, editions, hidden: !!existing?.hidden, created: !existing };
+  }
+
+  return {
+    /**
+     * 按ID获取文章
+     * @param {string} id - 文章ID
+     * @returns {object|null}
+     */
+    get(id) {
+      return rowToArticle(stmts.get.get(id));
+    },
+
+    upsert,
+
+    /**
+     * 批量合并写入（单个事务，要么全部成功要么全部回滚）
+     * @param {Array} list - 文章列表
+     */
+    upsertMany: db.transaction((list) => list.map(upsert)),
+
+    /**
+     * 遍历全部文章（用于构建内存索引）
+     * @returns {Iterable<object>}
+     */
+    *all() {
+      for (const row of stmts.iterate.iterate()) yield rowToArticle(row);
+    },
+
+    /**
+     * 按发布时间倒序列出文章（不含已隐藏的文章）
+     * @param {object} options - { category: 前端分类ID（news 或空表示全部）, edition: 只列出该版本的文章（空表示全部）, limit, offset }
+     * @returns {Array} 文章列表
+     */
+    list({ category, edition = '', limit = 50, offset = 0 } = {}) {
+      const rows = (!category || category === 'news')
+        ? stmts.listAll.all({ edition, limit, offset })
+        : stmts.listByCategory.all({ category, edition, limit, offset });
+      return rows.map(rowToArticle);
+    },
+
+    /**
+     * 批量获取文章（不含已隐藏的文章）
+     * @param {string[]} ids - 文章ID列表
+     * @returns {Array} 文章列表（顺序不保证）
+     */
+    getMany(ids) {
+      return stmts.getMany.all(JSON.stringify(ids)).map(rowToArticle);
+    },
+
+    /**
+     * 列出某时间之后发布的文章（不含已隐藏的文章）
+     * @param {string} since - ISO时间
+     * @returns {Array} 文章列表
+     */
+    publishedSince(since) {
+      return stmts.publishedSince.all(since).map(rowToArticle);
+    },
+
+    /**
+     * 列出某个来源的文章（来源名称不区分大小写，不含已隐藏的文章，按发布时间倒序）
+     * @param {string} source - 来源名称
+     * @param {object} options - { limit }
+     * @returns {Array} 文章列表
+     */
+    listBySource(source, { limit = 200 } = {}) {
+      return stmts.listBySource.all(source, limit).map(rowToArticle);
+    },
+
+    /**
+     * 统计一批文章中某时间之后入库的篇数（不含已隐藏的文章）
+     * @param {string[]} ids - 文章ID列表
+     * @param {string} since - ISO时间
+     * @returns {number}
+     */
+    countCreatedSince(ids, since) {
+      return stmts.countCreatedSince.get(JSON.stringify(ids), since).n;
+    },
+
+    /**
+     * 往期文章：在时间段内发布，或在时间段内出现在头条中的文章（不含已隐藏的文章，按发布时间倒序）
+     * @param {object} options - { start, end: ISO时间（左闭右开）, category: 前端分类ID（空表示全部）, edition, limit }
+     * @returns {Array} 文章列表
+     */
+    archive({ start, end, category = '', edition = '', limit = 500 }) {
+      return stmts.archive.all({ start, end, category, edition, limit }).map(rowToArticle);
+    },
+
+    /**
+     * 超过保留期的文章
+     * @param {string} cutoff - ISO时间：在此之前发布且之后没有再出现在上游结果中的文章
+     * @returns {Array} 文章列表，附带 engaged（有评论/点赞/收藏，应保留）
+     */
+    expired(cutoff) {
+      return stmts.expired.all({ cutoff }).map(row => ({ ...rowToArticle(row), engaged: !!row.engaged }));
+    },
+
+    /**
+     * 删除文章及其阅读记录（排名记录随外键级联删除）；单个事务
+     * @param {string[]} ids - 文章ID列表
+     * @returns {number} 删除的文章数
+     */
+    removeMany: db.transaction((ids) => {
+      const json = JSON.stringify(ids);
+      stmts.deleteEvents.run(json);
+      return stmts.deleteMany.run(json).changes;
+    }),
+
+    /**
+     * 隐藏或恢复文章
+     * @param {string} id - 文章ID
+     * @param {boolean} hidden - 是否隐藏
+     * @returns {boolean} 文章是否存在
+     */
+    setHidden(id, hidden) {
+      return stmts.setHidden.run(hidden ? new Date().toISOString() : null, id).changes > 0;
+    },
+
+    /**
+     * 保存抽取的正文（抽取失败时传 null，只记录抽取时间）
+     * @param {string} id - 文章ID
+     * @param {string|null} html - 清洗后的正文HTML
+     */
+    setContent(id, html) {
+      stmts.setContent.run(html, new Date().toISOString(), id);
+    },
+
+    /**
+     * 已隐藏文章的ID集合（用于过滤缓存中的列表）
+     * @returns {Set<string>}
+     */
+    hiddenIds() {
+      return new Set(stmts.hiddenIds.all().map(r => r.id));
+    },
+
+    /**
+     * 记录相似报道分组：沿用组内已有的分组ID（没有时取第一篇的ID），
+     * 使同一事件在不同分类的列表中被聚合时仍归为同一组
+     * @param {Array<string[]>} groups - 每组的文章ID（至少两篇）
+     */
+    assignClusters: db.transaction((groups) => {
+      for (const ids of groups) {
+        const json = JSON.stringify(ids);
+        const clusterId = stmts.clusterOf.get(json)?.cluster_id || ids[0];
+        stmts.setCluster.run(clusterId, json);
+      }
+    }),
+
+    /**
+     * 同组的全部文章（不含已隐藏的文章，按发布时间倒序）
+     * @param {string} clusterId - 分组ID
+     * @returns {Array} 文章列表
+     */
+    clusterMembers(clusterId) {
+      return clusterId ? stmts.clusterMembers.all(clusterId).map(rowToArticle) : [];
+    },
+
+    /**
+     * 管理后台的文章列表（包含已隐藏的文章）
+     * @param {object} options - { q: 标题/来源关键词, hiddenOnly: 只看已隐藏, limit, offset }
+     * @returns {{items: Array, total: number}}
+     */
+    adminList({ q = '', hiddenOnly = false, limit = 50, offset = 0 } = {}) {
+      const params = { q, hidden: hiddenOnly ? 1 : 0 };
+      return {
+        items: stmts.adminList.all({ ...params, limit, offset }).map(rowToArticle),
+        total: stmts.adminCount.get(params).n,
+      };
+    },
+  };
+}
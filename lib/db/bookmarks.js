@@ -0,0 +1,112 @@
+// ========== 收藏存储 ==========
+
+import { rowToArticle } from './articles.js';
+
+/**
+ * 将数据库行转换为收藏信息
+ * @param {object} row - bookmarks 表的行
+ * @returns {object} { folder, note, createdAt, updatedAt }
+ */
+function rowToBookmark(row) {
+  return { folder: row.folder, note: row.note, createdAt: row.created_at, updatedAt: row.updated_at };
+}
+
+/**
+ * 创建收藏仓库
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 收藏仓库
+ */
+export function createBookmarkRepo(db) {
+  const stmts = {
+    get: db.prepare('SELECT * FROM bookmarks WHERE username = ? AND article_id = ?'),
+    upsert: db.prepare(`
+      INSERT INTO bookmarks (username, article_id, folder, note, created_at, updated_at)
+      VALUES (@username, @articleId, @folder, @note, @now, @now)
+      ON CONFLICT (username, article_id) DO UPDATE SET folder = @folder, note = @note, updated_at = @now
+    `),
+    delete: db.prepare('DELETE FROM bookmarks WHERE username = ? AND article_id = ?'),
+    // 不返回已被隐藏的文章
+    list: db.prepare(`
+      SELECT b.folder, b.note, b.created_at AS bookmarked_at, b.updated_at AS bookmark_updated_at, a.*
+      FROM bookmarks b JOIN articles a ON a.id = b.article_id
+      WHERE b.username = @username AND a.hidden_at IS NULL AND (@folder IS NULL OR b.folder = @folder)
+      ORDER BY b.created_at DESC, b.article_id DESC
+    `),
+    folders: db.prepare(`
+      SELECT folder AS name, COUNT(*) AS count FROM bookmarks
+      WHERE username = ? GROUP BY folder ORDER BY folder
+    `),
+    ids: db.prepare(`
+      SELECT article_id FROM bookmarks
+      WHERE username = ? AND article_id IN (SELECT value FROM json_each(?))
+    `),
+  };
+
+  return {
+    /**
+     * 获取某篇文章的收藏信息
+     * @param {string} username - 用户名
+     * @param {string} articleId - 文章ID
+     * @returns {object|null}
+     */
+    get(username, articleId) {
+      const row = stmts.get.get(username, articleId);
+      return row ? rowToBookmark(row) : null;
+    },
+
+    /**
+     * 添加收藏或修改收藏夹/备注（保留首次收藏时间）
+     * @param {object} b - { username, articleId, folder, note }
+     * @returns {object} 收藏信息
+     */
+    save({ username, articleId, folder = '', note = '' }) {
+      stmts.upsert.run({ username, articleId, folder, note, now: new Date().toISOString() });
+      return rowToBookmark(stmts.get.get(username, articleId));
+    },
+
+    /**
+     * 取消收藏
+     * @returns {boolean} 之前是否已收藏
+     */
+    remove(username, articleId) {
+      return stmts.delete.run(username, articleId).changes > 0;
+    },
+
+    /**
+     * 列出用户的收藏文章（按收藏时间倒序）
+     * @param {string} username - 用户名
+     * @param {object} options - { folder: 只看某个收藏夹（undefined 表示全部） }
+     * @returns {Array} 文章对象，附带 bookmark 字段
+     */
+    list(username, { folder } = {}) {
+      return stmts.list.all({ username, folder: folder ?? null }).map(row => ({
+        ...rowToArticle(row),
+        bookmark: {
+          folder: row.folder,
+          note: row.note,
+          createdAt: row.bookmarked_at,
+          updatedAt: row.bookmark_updated_at,
+        },
+      }));
+    },
+
+    /**
+     * 列出收藏夹及其文章数
+     * @param {string} username - 用户名
+     * @returns {Array<{name: string, count: number}>}
+     */
+    folders(username) {
+      return stmts.folders.all(username);
+    },
+
+    /**
+     * 批量查询哪些文章已被收藏
+     * @param {string} username - 用户名
+     * @param {string[]} ids - 文章ID列表
+     * @returns {Set<string>}
+     */
+    bookmarkedIds(username, ids) {
+      return new Set(stmts.ids.all(username, JSON.stringify(ids)).map(r => r.article_id));
+    },
+  };
+}
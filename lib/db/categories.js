@@ -0,0 +1,110 @@
+// ========== 分类存储 ==========
+
+// 内置的虚拟分类（不对应新闻源分类），不能作为自定义分类ID；search 为搜索订阅源（/feeds/search.xml）占用
+export const RESERVED_CATEGORY_IDS = ['news', 'recommend', 'search'];
+
+/**
+ * 将数据库行转换为分类对象
+ * @param {object} row - categories 表的行
+ * @returns {object|null} 分类对象
+ */
+function rowToCategory(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    upstream: row.upstream,
+    country: row.country || '',
+    language: row.language || '',
+    icon: row.icon,
+    position: row.position,
+  };
+}
+
+/**
+ * 创建分类仓库
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 分类仓库
+ */
+export function createCategoryRepo(db) {
+  const stmts = {
+    get: db.prepare('SELECT * FROM categories WHERE id = ?'),
+    list: db.prepare('SELECT * FROM categories ORDER BY position, id'),
+    insert: db.prepare(`
+      INSERT INTO categories (id, name, upstream, country, language, icon, position, created_at)
+      VALUES (@id, @name, @upstream, @country, @language, @icon,
+        (SELECT COALESCE(MAX(position), 0) + 1 FROM categories), @createdAt)
+    `),
+    update: db.prepare(`
+      UPDATE categories SET name = @name, upstream = @upstream, country = @country, language = @language, icon = @icon
+      WHERE id = @id
+    `),
+    setPosition: db.prepare('UPDATE categories SET position = ? WHERE id = ?'),
+    delete: db.prepare('DELETE FROM categories WHERE id = ?'),
+  };
+
+  return {
+    /**
+     * 按ID获取分类
+     * @param {string} id - 分类ID
+     * @returns {object|null}
+     */
+    get(id) {
+      return rowToCategory(stmts.get.get(id));
+    },
+
+    /**
+     * 全部分类（按标签栏顺序）
+     * @returns {Array}
+     */
+    list() {
+      return stmts.list.all().map(rowToCategory);
+    },
+
+    /**
+     * 新建分类（排在最后）
+     * @param {object} c - { id, name, upstream, country, language, icon }
+     * @returns {object} 新分类
+     */
+    create({ id, name, upstream, country = '', language = '', icon = '' }) {
+      stmts.insert.run({
+        id, name, upstream, country: country || null, language: language || null, icon,
+        createdAt: new Date().toISOString(),
+      });
+      return rowToCategory(stmts.get.get(id));
+    },
+
+    /**
+     * 修改分类（未传的字段保持不变）
+     * @param {string} id - 分类ID
+     * @param {object} patch - { name, upstream, country, language, icon }
+     * @returns {object|null} 修改后的分类；不存在时返回null
+     */
+    update(id, patch) {
+      const existing = rowToCategory(stmts.get.get(id));
+      if (!existing) return null;
+      const merged = { ...existing, ...patch };
+      stmts.update.run({
+        ...merged, country: merged.country || null, language: merged.language || null,
+      });
+      return rowToCategory(stmts.get.get(id));
+    },
+
+    /**
+     * 调整顺序：按传入顺序重新编号，未列出的分类依原顺序排在后面
+     * @param {string[]} ids - 分类ID
+     */
+    reorder: db.transaction((ids) => {
+      const rest = stmts.list.all().map(r => r.id).filter(id => !ids.includes(id));
+      [...ids, ...rest].forEach((id, i) => stmts.setPosition.run(i + 1, id));
+    }),
+
+    /**
+     * 删除分类（已存储文章的分类标记保持不变）
+     * @returns {boolean} 分类是否存在
+     */
+    remove(id) {
+      return stmts.delete.run(id).changes > 0;
+    },
+  };
+}
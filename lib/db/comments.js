@@ -0,0 +1,255 @@
+// ========== 评论存储 ==========
+
+import crypto from 'crypto';
+
+/**
+ * 将数据库行转换为评论对象（已删除或被隐藏的评论不返回正文）
+ * @param {object} row - 查询结果行（含 likes / liked 统计列）
+ * @returns {object} 评论对象
+ */
+function rowToComment(row) {
+  const deleted = !!row.deleted_at;
+  const status = row.status || 'visible';
+  return {
+    id: row.id,
+    articleId: row.article_id,
+    parentId: row.parent_id || null,
+    username: row.username,
+    displayName: row.display_name || '',
+    text: deleted || status === 'hidden' ? '' : row.text,
+    createdAt: row.created_at,
+    editedAt: row.edited_at || null,
+    deleted,
+    status,
+    likes: row.likes || 0,
+    liked: !!row.liked,
+  };
+}
+
+// 审核状态：visible 公开；pending 待审核（仅作者可见）；hidden 已被管理员隐藏
+export const COMMENT_STATUSES = ['visible', 'pending', 'hidden'];
+
+/**
+ * 生成评论ID（与旧版 data.json 中的算法一致）
+ */
+export function makeCommentId(articleId, username, createdAt, text) {
+  return crypto.createHash('sha1').update(`${articleId}|${username}|${createdAt}|${text}`).digest('hex');
+}
+
+// 顶层评论排序方式
+const SORTERS = {
+  newest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+  oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+  liked: (a, b) => (b.likes - a.likes) || b.createdAt.localeCompare(a.createdAt),
+};
+export const COMMENT_SORTS = Object.keys(SORTERS);
+
+/**
+ * 创建评论仓库
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 评论仓库
+ */
+export function createCommentRepo(db) {
+  // likes: 点赞数；liked: 当前查看者是否点赞过（@viewer 为空时恒为0）
+  const SELECT = `
+    SELECT c.*,
+      (SELECT display_name FROM users u WHERE u.username = c.username) AS display_name,
+      (SELECT COUNT(*) FROM comment_likes l WHERE l.comment_id = c.id) AS likes,
+      EXISTS (SELECT 1 FROM comment_likes l WHERE l.comment_id = c.id AND l.username = @viewer) AS liked
+    FROM comments c
+  `;
+  const stmts = {
+    listByArticle: db.prepare(`${SELECT} WHERE c.article_id = @articleId ORDER BY c.created_at ASC, c.id ASC`),
+    get: db.prepare(`${SELECT} WHERE c.id = @id`),
+    insert: db.prepare(`
+      INSERT INTO comments (id, article_id, parent_id, username, text, created_at, status, moderation_note)
+      VALUES (@id, @articleId, @parentId, @username, @text, @createdAt, @status, @note)
+    `),
+    updateText: db.prepare(`
+      UPDATE comments SET text = @text, edited_at = @editedAt,
+        status = COALESCE(@status, status), moderation_note = COALESCE(@note, moderation_note)
+      WHERE id = @id AND deleted_at IS NULL
+    `),
+    setStatus: db.prepare('UPDATE comments SET status = ?, moderation_note = ? WHERE id = ?'),
+    insertReport: db.prepare('INSERT OR IGNORE INTO comment_reports (comment_id, username, reason, created_at) VALUES (?, ?, ?, ?)'),
+    countReports: db.prepare('SELECT COUNT(*) AS n FROM comment_reports WHERE comment_id = ?'),
+    listReports: db.prepare('SELECT username, reason, created_at FROM comment_reports WHERE comment_id = ? ORDER BY created_at ASC'),
+    clearReports: db.prepare('DELETE FROM comment_reports WHERE comment_id = ?'),
+    queue: db.prepare(`
+      ${SELECT}
+      WHERE c.deleted_at IS NULL
+        AND (c.status = 'pending'
+          OR (c.status = 'visible' AND EXISTS (SELECT 1 FROM comment_reports r WHERE r.comment_id = c.id)))
+      ORDER BY c.created_at ASC
+    `),
+    softDelete: db.prepare('UPDATE comments SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL'),
+    hasLike: db.prepare('SELECT 1 FROM comment_likes WHERE comment_id = ? AND username = ?'),
+    insertLike: db.prepare('INSERT INTO comment_likes (comment_id, username, created_at) VALUES (?, ?, ?)'),
+    deleteLike: db.prepare('DELETE FROM comment_likes WHERE comment_id = ? AND username = ?'),
+    countLikes: db.prepare('SELECT COUNT(*) AS n FROM comment_likes WHERE comment_id = ?'),
+    // 个人主页：公开的评论（不含待审核、被隐藏、已删除的评论，以及已隐藏文章下的评论）
+    listByUser: db.prepare(`
+      SELECT c.*, a.title AS article_title,
+        (SELECT COUNT(*) FROM comment_likes l WHERE l.comment_id = c.id) AS likes
+      FROM comments c JOIN articles a ON a.id = c.article_id
+      WHERE c.username = ? AND c.status = 'visible' AND c.deleted_at IS NULL AND a.hidden_at IS NULL
+      ORDER BY c.created_at DESC, c.id DESC
+    `),
+    counts: db.prepare(`
+      SELECT article_id, COUNT(*) AS n FROM comments
+      WHERE article_id IN (SELECT value FROM json_each(?)) AND status = 'visible' AND deleted_at IS NULL
+      GROUP BY article_id
+    `),
+  };
+
+  /**
+   * 列出文章的全部评论（平铺，按时间正序）
+   */
+  function listByArticle(articleId, viewer = '') {
+    return stmts.listByArticle.all({ articleId, viewer: viewer || '' }).map(rowToComment);
+  }
+
+  return {
+    listByArticle,
+
+    /**
+     * 用户的公开评论（个人主页），按时间倒序，附带文章标题
+     * @param {string} username - 用户名
+     * @returns {Array} 评论列表（articleTitle 为所属文章标题）
+     */
+    listByUser(username) {
+      return stmts.listByUser.all(username).map(row => ({ ...rowToComment(row), articleTitle: row.article_title || '' }));
+    },
+
+    /**
+     * 批量获取公开评论数（不含待审核、被隐藏和已删除的评论）
+     * @param {string[]} ids - 文章ID列表
+     * @returns {Map<string, number>} 文章ID -> 评论数（无评论的不在其中）
+     */
+    counts(ids) {
+      const rows = stmts.counts.all(JSON.stringify(ids));
+      return new Map(rows.map(r => [r.article_id, r.n]));
+    },
+
+    /**
+     * 列出文章的评论树：顶层评论按指定方式排序，回复嵌套在 replies 中（按时间正序）
+     * 待审核的评论只对作者本人可见
+     * @param {string} articleId - 文章ID
+     * @param {string} viewer - 当前查看者用户名（用于标记 liked）
+     * @param {object} options - { sort: newest / oldest / liked }
+     * @returns {Array} 顶层评论列表
+     */
+    listThreads(articleId, viewer = '', { sort = 'newest' } = {}) {
+      const all = listByArticle(articleId, viewer)
+        .filter(c => c.status !== 'pending' || (viewer && c.username === viewer));
+      const byId = new Map(all.map(c => [c.id, { ...c, replies: [] }]));
+      const roots = [];
+      for (const c of byId.values()) {
+        const parent = c.parentId && byId.get(c.parentId);
+        if (parent) parent.replies.push(c);
+        else roots.push(c);
+      }
+      return roots.sort(SORTERS[sort] || SORTERS.newest);
+    },
+
+    /**
+     * 按ID获取评论
+     * @param {string} id - 评论ID
+     * @param {string} viewer - 当前查看者用户名
+     * @returns {object|null}
+     */
+    get(id, viewer = '') {
+      const row = stmts.get.get({ id, viewer: viewer || '' });
+      return row ? rowToComment(row) : null;
+    },
+
+    /**
+     * 发表评论或回复
+     * @param {object} c - { articleId, username, text, parentId, status, note: 待审核原因 }
+     * @returns {object} 新评论
+     */
+    create({ articleId, username, text, parentId = null, status = 'visible', note = null, createdAt = new Date().toISOString() }) {
+      const id = makeCommentId(articleId, username, createdAt, text);
+      stmts.insert.run({ id, articleId, parentId, username, text, createdAt, status, note });
+      return {
+        id, articleId, parentId, username, text, createdAt,
+        editedAt: null, deleted: false, status, likes: 0, liked: false, replies: [],
+      };
+    },
+
+    /**
+     * 修改评论内容（已删除的评论不可修改）
+     * @param {string} id - 评论ID
+     * @param {string} text - 新内容
+     * @param {object} options - { status, note }：需要改变审核状态时传入，否则保持原状态
+     * @returns {boolean} 是否修改成功
+     */
+    updateText(id, text, { status = null, note = null } = {}) {
+      return stmts.updateText.run({ id, text, editedAt: new Date().toISOString(), status, note }).changes > 0;
+    },
+
+    /**
+     * 软删除评论（保留记录以维持回复结构）
+     * @param {string} id - 评论ID
+     * @returns {boolean} 是否删除成功
+     */
+    softDelete(id) {
+      return stmts.softDelete.run(new Date().toISOString(), id).changes > 0;
+    },
+
+    /**
+     * 举报评论（同一用户重复举报只记一次）
+     * @param {string} commentId - 评论ID
+     * @param {string} username - 举报人
+     * @param {string} reason - 举报原因
+     * @returns {{added: boolean, reports: number}} 是否为新举报，以及累计举报人数
+     */
+    report: db.transaction((commentId, username, reason = '') => {
+      const added = stmts.insertReport.run(commentId, username, reason, new Date().toISOString()).changes > 0;
+      return { added, reports: stmts.countReports.get(commentId).n };
+    }),
+
+    /**
+     * 待处理队列：待审核的评论和被举报的公开评论（按时间正序）
+     * @returns {Array} 评论列表，附带 moderationNote 与 reports
+     */
+    listQueue() {
+      return stmts.queue.all({ viewer: '' }).map(row => ({
+        ...rowToComment(row),
+        moderationNote: row.moderation_note || '',
+        reports: stmts.listReports.all(row.id).map(r => ({
+          username: r.username, reason: r.reason, createdAt: r.created_at,
+        })),
+      }));
+    },
+
+    /**
+     * 设置审核状态，同时清除已处理的举报
+     * @param {string} id - 评论ID
+     * @param {string} status - visible / pending / hidden
+     * @param {string} note - 原因说明
+     * @returns {boolean} 评论是否存在
+     */
+    setStatus: db.transaction((id, status, note = null) => {
+      const changed = stmts.setStatus.run(status, note, id).changes > 0;
+      if (changed && status !== 'pending') stmts.clearReports.run(id);
+      return changed;
+    }),
+
+    /**
+     * 切换评论点赞状态
+     * @param {string} commentId - 评论ID
+     * @param {string} username - 用户名
+     * @returns {{liked: boolean, likes: number}}
+     */
+    toggleLike: db.transaction((commentId, username) => {
+      const liked = !stmts.hasLike.get(commentId, username);
+      if (liked) {
+        stmts.insertLike.run(commentId, username, new Date().toISOString());
+      } else {
+        stmts.deleteLike.run(commentId, username);
+      }
+      return { liked, likes: stmts.countLikes.get(commentId).n };
+    }),
+  };
+}
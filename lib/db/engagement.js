@@ -0,0 +1,64 @@
+// ========== 互动统计 ==========
+// 按时间窗口汇总的互动计数（热榜使用）、单个用户的行为记录（个性化推荐使用）
+
+/**
+ * 创建互动统计仓库
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 互动统计仓库
+ */
+export function createEngagementRepo(db) {
+  const stmts = {
+    // 只统计公开的评论，评论点赞计入所属文章
+    countsSince: db.prepare(`
+      SELECT article_id, 'likes' AS kind, COUNT(*) AS n FROM article_likes
+        WHERE created_at >= @since GROUP BY article_id
+      UNION ALL
+      SELECT article_id, 'comments', COUNT(*) FROM comments
+        WHERE created_at >= @since AND deleted_at IS NULL AND status = 'visible' GROUP BY article_id
+      UNION ALL
+      SELECT c.article_id, 'commentLikes', COUNT(*) FROM comment_likes l JOIN comments c ON c.id = l.comment_id
+        WHERE l.created_at >= @since AND c.deleted_at IS NULL AND c.status = 'visible' GROUP BY c.article_id
+      UNION ALL
+      SELECT article_id, 'views', COUNT(*) FROM article_events
+        WHERE created_at >= @since AND type = 'view' GROUP BY article_id
+    `),
+    // 用户的点赞、评论（未删除）和阅读事件；匿名访客只有阅读事件
+    userSignals: db.prepare(`
+      SELECT article_id, 'like' AS kind, created_at FROM article_likes
+        WHERE username = @username AND created_at >= @since
+      UNION ALL
+      SELECT article_id, 'comment', created_at FROM comments
+        WHERE username = @username AND created_at >= @since AND deleted_at IS NULL
+      UNION ALL
+      SELECT article_id, type, created_at FROM article_events
+        WHERE visitor = @visitor AND created_at >= @since
+      ORDER BY created_at DESC LIMIT @limit
+    `),
+  };
+
+  return {
+    /**
+     * 汇总某时间之后的互动计数
+     * @param {string} since - ISO时间
+     * @returns {Map<string, {likes: number, comments: number, commentLikes: number, views: number}>}
+     */
+    countsSince(since) {
+      const out = new Map();
+      for (const { article_id: id, kind, n } of stmts.countsSince.all({ since })) {
+        if (!out.has(id)) out.set(id, { likes: 0, comments: 0, commentLikes: 0, views: 0 });
+        out.get(id)[kind] = n;
+      }
+      return out;
+    },
+
+    /**
+     * 获取某用户某时间之后的行为记录（按时间倒序）
+     * @param {object} query - { username: 登录用户名（匿名时为空）, visitor: 访客标识, since: ISO时间, limit }
+     * @returns {Array<{articleId: string, kind: string, at: string}>} kind: like / comment / view / click / dwell
+     */
+    userSignals({ username = '', visitor = '', since, limit = 500 }) {
+      return stmts.userSignals.all({ username, visitor, since, limit })
+        .map(r => ({ articleId: r.article_id, kind: r.kind, at: r.created_at }));
+    },
+  };
+}
@@ -0,0 +1,81 @@
+// ========== 旧版 data.json 导入 ==========
+
+import { hashPassword } from '../auth.js';
+import { makeCommentId } from './comments.js';
+
+const IMPORT_MARK = 'legacy_json_imported_at';
+
+/**
+ * 是否已经执行过导入
+ * @param {object} store - openStore 返回的存储对象
+ * @returns {boolean}
+ */
+export function hasImportedLegacyData(store) {
+  return !!store.meta.get(IMPORT_MARK);
+}
+
+/**
+ * 将旧版 data.json 的内容导入数据库（单个事务，失败则全部回滚）
+ * 旧格式：{ users: [{username, password|passwordHash}], likesDB: {id: {count, users[]}},
+ *          articleStore: {id: 文章}, commentsDB: {id: [{id, username, text, createdAt, likedBy[]}]}, sessions }
+ * @param {object} store - openStore 返回的存储对象
+ * @param {object} data - 解析后的 data.json
+ * @returns {object} 各类数据的导入条数
+ */
+export function importLegacyData(store, data) {
+  const stats = { users: 0, sessions: 0, articles: 0, likes: 0, comments: 0, commentLikes: 0 };
+  const { db } = store;
+  const insertLike = db.prepare('INSERT OR IGNORE INTO article_likes (article_id, username, created_at) VALUES (?, ?, ?)');
+  const insertComment = db.prepare(`
+    INSERT OR IGNORE INTO comments (id, article_id, username, text, created_at) VALUES (?, ?, ?, ?, ?)
+  `);
+  const insertCommentLike = db.prepare('INSERT OR IGNORE INTO comment_likes (comment_id, username, created_at) VALUES (?, ?, ?)');
+  const now = new Date().toISOString();
+
+  store.transaction(() => {
+    for (const u of data.users || []) {
+      if (!u || !u.username || store.users.find(u.username)) continue;
+      // 旧版明文密码在导入时直接哈希
+      const passwordHash = u.passwordHash || hashPassword(u.password ?? '');
+      store.users.create({ username: u.username, passwordHash, createdAt: u.createdAt || now });
+      stats.users++;
+    }
+
+    for (const [key, s] of Object.entries(data.sessions || {})) {
+      if (!s || s.expiresAt <= Date.now() || !store.users.find(s.username)) continue;
+      store.sessions.set(key, s);
+      stats.sessions++;
+    }
+
+    for (const [id, a] of Object.entries(data.articleStore || {})) {
+      // 旧版热榜写入的文章只有 category 字段
+      const primaryCategory = a.primaryCategory || a.category || null;
+      const categories = Array.isArray(a.categories) ? a.categories : (primaryCategory ? [primaryCategory] : []);
+      // 旧版只请求过美国版的头条
+      store.articles.upsert({ ...a, id: a.id || id, primaryCategory, categories, editions: ['us'] });
+      stats.articles++;
+    }
+
+    for (const [id, val] of Object.entries(data.likesDB || {})) {
+      for (const username of val.users || []) {
+        stats.likes += insertLike.run(id, username, now).changes;
+      }
+    }
+
+    for (const [articleId, items] of Object.entries(data.commentsDB || {})) {
+      for (const c of items || []) {
+        if (!c || !c.username || !c.text) continue;
+        const createdAt = c.createdAt || now;
+        const commentId = c.id || makeCommentId(articleId, c.username, createdAt, c.text);
+        stats.comments += insertComment.run(commentId, articleId, c.username, c.text, createdAt).changes;
+        for (const username of c.likedBy || []) {
+          stats.commentLikes += insertCommentLike.run(commentId, username, now).changes;
+        }
+      }
+    }
+
+    store.meta.set(IMPORT_MARK, now);
+  });
+
+  return stats;
+}
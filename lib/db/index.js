@@ -0,0 +1,89 @@
+// ========== 嵌入式数据库存储层（SQLite） ==========
+
+import Database from 'better-sqlite3';
+import { migrations } from './schema.js';
+import { createUserRepo } from './users.js';
+import { createSessionRepo } from './sessions.js';
+import { createArticleRepo } from './articles.js';
+import { createLikeRepo } from './likes.js';
+import { createCommentRepo } from './comments.js';
+import { createBookmarkRepo } from './bookmarks.js';
+import { createEngagementRepo } from './engagement.js';
+import { createAnalyticsRepo } from './analytics.js';
+import { createCategoryRepo } from './categories.js';
+import { createTopicRepo } from './topics.js';
+import { createNotificationRepo } from './notifications.js';
+import { createRankRepo } from './ranks.js';
+
+/**
+ * 执行尚未应用的表结构迁移
+ * @param {object} db - better-sqlite3 数据库实例
+ */
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  for (let v = current; v < migrations.length; v++) {
+    db.transaction(() => {
+      db.exec(migrations[v]);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+/**
+ * 打开数据库并创建各仓库
+ * @param {string} file - 数据库文件路径（':memory:' 表示内存库）
+ * @returns {object} 存储对象：{ db, users, sessions, articles, likes, comments, bookmarks, engagement, analytics, categories, topics, notifications, ranks, meta }
+ */
+export function openStore(file) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');   // 写前日志：崩溃时不会损坏已提交的数据
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const metaGet = db.prepare('SELECT value FROM meta WHERE key = ?');
+  const metaSet = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+  const statsStmt = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM users) AS users,
+      (SELECT COUNT(*) FROM users WHERE role = 'admin') AS admins,
+      (SELECT COUNT(*) FROM users WHERE banned_at IS NOT NULL) AS bannedUsers,
+      (SELECT COUNT(*) FROM articles) AS articles,
+      (SELECT COUNT(*) FROM articles WHERE hidden_at IS NOT NULL) AS hiddenArticles,
+      (SELECT COUNT(*) FROM comments WHERE deleted_at IS NULL) AS comments,
+      (SELECT COUNT(*) FROM comments WHERE deleted_at IS NULL AND status = 'pending') AS pendingComments,
+      (SELECT COUNT(DISTINCT comment_id) FROM comment_reports) AS reportedComments,
+      (SELECT COUNT(*) FROM article_likes) AS articleLikes,
+      (SELECT COUNT(*) FROM sessions WHERE expires_at > @now) AS activeSessions
+  `);
+
+  return {
+    db,
+    users: createUserRepo(db),
+    sessions: createSessionRepo(db),
+    articles: createArticleRepo(db),
+    likes: createLikeRepo(db),
+    comments: createCommentRepo(db),
+    bookmarks: createBookmarkRepo(db),
+    engagement: createEngagementRepo(db),
+    analytics: createAnalyticsRepo(db),
+    categories: createCategoryRepo(db),
+    topics: createTopicRepo(db),
+    notifications: createNotificationRepo(db),
+    ranks: createRankRepo(db),
+    meta: {
+      get: (key) => metaGet.get(key)?.value ?? null,
+      set: (key, value) => metaSet.run(key, value == null ? null : String(value)),
+    },
+    /**
+     * 汇总统计（管理后台使用）
+     * @returns {object} 各项计数
+     */
+    stats: () => statsStmt.get({ now: Date.now() }),
+    /**
+     * 在单个事务中执行函数
+     * @param {Function} fn - 要执行的函数
+     */
+    transaction: (fn) => db.transaction(fn)(),
+    close: () => db.close(),
+  };
+}
@@ -0,0 +1,74 @@
+// ========== 文章点赞存储 ==========
+
+import { rowToArticle } from './articles.js';
+
+/**
+ * 创建文章点赞仓库
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 点赞仓库
+ */
+export function createLikeRepo(db) {
+  const stmts = {
+    count: db.prepare('SELECT COUNT(*) AS n FROM article_likes WHERE article_id = ?'),
+    has: db.prepare('SELECT 1 FROM article_likes WHERE article_id = ? AND username = ?'),
+    insert: db.prepare('INSERT INTO article_likes (article_id, username, created_at) VALUES (?, ?, ?)'),
+    delete: db.prepare('DELETE FROM article_likes WHERE article_id = ? AND username = ?'),
+    counts: db.prepare(`
+      SELECT article_id, COUNT(*) AS n FROM article_likes
+      WHERE article_id IN (SELECT value FROM json_each(?))
+      GROUP BY article_id
+    `),
+    listByUser: db.prepare(`
+      SELECT a.*, l.created_at AS liked_at FROM article_likes l
+      JOIN articles a ON a.id = l.article_id
+      WHERE l.username = ? AND a.hidden_at IS NULL
+      ORDER BY l.created_at DESC
+    `),
+  };
+
+  return {
+    /**
+     * 获取文章点赞数
+     * @param {string} articleId - 文章ID
+     * @returns {number}
+     */
+    count(articleId) {
+      return stmts.count.get(articleId).n;
+    },
+
+    /**
+     * 批量获取点赞数
+     * @param {string[]} ids - 文章ID列表
+     * @returns {Map<string, number>} 文章ID -> 点赞数（无点赞的不在其中）
+     */
+    counts(ids) {
+      const rows = stmts.counts.all(JSON.stringify(ids));
+      return new Map(rows.map(r => [r.article_id, r.n]));
+    },
+
+    /**
+     * 用户点赞过的文章（不含已隐藏的文章），按点赞时间倒序
+     * @param {string} username - 用户名
+     * @returns {Array} 文章列表，附带 likedAt
+     */
+    listByUser(username) {
+      return stmts.listByUser.all(username).map(row => ({ ...rowToArticle(row), likedAt: row.liked_at }));
+    },
+
+    /**
+     * 切换点赞状态
+     * @param {string} articleId - 文章ID
+     * @param {string} username - 用户名
+     * @returns {{liked: boolean, likes: number}} 切换后的状态
+     */
+    toggle: db.transaction((articleId, username) => {
+      const liked = !stmts.has.get(articleId, username);
+      if (liked) {
+        stmts.insert.run(articleId, username, new Date().toISOString());
+      } else {
+        stmts.delete.run(articleId, username);
+      }
+      return { liked, likes: stmts.count.get(articleId).n };
+    }),
+  };
+}
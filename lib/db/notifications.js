@@ -0,0 +1,111 @@
+// ========== 站内通知存储 ==========
+
+// 通知类型：reply 评论被回复；like 评论被点赞；mention 在评论中被 @ 提到
+export const NOTIFICATION_TYPES = ['reply', 'like', 'mention'];
+
+const EXCERPT_LENGTH = 80;   // 通知中评论摘录的最大长度
+
+/**
+ * 将数据库行转换为通知对象
+ * @param {object} row - notifications 表的行（附带文章标题和评论内容）
+ * @returns {object} 通知对象
+ */
+function rowToNotification(row) {
+  // 评论已删除或被隐藏时不显示摘录
+  const visible = row.comment_text && !row.comment_deleted_at && row.comment_status === 'visible';
+  return {
+    id: row.id,
+    type: row.type,
+    actor: row.actor,
+    articleId: row.article_id,
+    articleTitle: row.article_title || '',
+    commentId: row.comment_id,
+    excerpt: visible ? row.comment_text.slice(0, EXCERPT_LENGTH) : '',
+    createdAt: row.created_at,
+    read: !!row.read_at,
+  };
+}
+
+/**
+ * 创建通知仓库
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 通知仓库
+ */
+export function createNotificationRepo(db) {
+  const stmts = {
+    insert: db.prepare(`
+      INSERT INTO notifications (username, type, actor, article_id, comment_id, created_at)
+      VALUES (@username, @type, @actor, @articleId, @commentId, @createdAt)
+      ON CONFLICT (username, type, actor, comment_id) DO NOTHING
+    `),
+    list: db.prepare(`
+      SELECT n.*, a.title AS article_title,
+        c.text AS comment_text, c.deleted_at AS comment_deleted_at, c.status AS comment_status
+      FROM notifications n
+      LEFT JOIN articles a ON a.id = n.article_id
+      LEFT JOIN comments c ON c.id = n.comment_id
+      WHERE n.username = ?
+      ORDER BY n.created_at DESC, n.id DESC LIMIT ?
+    `),
+    get: db.prepare(`
+      SELECT n.*, a.title AS article_title,
+        c.text AS comment_text, c.deleted_at AS comment_deleted_at, c.status AS comment_status
+      FROM notifications n
+      LEFT JOIN articles a ON a.id = n.article_id
+      LEFT JOIN comments c ON c.id = n.comment_id
+      WHERE n.id = ?
+    `),
+    unread: db.prepare('SELECT COUNT(*) AS n FROM notifications WHERE username = ? AND read_at IS NULL'),
+    markRead: db.prepare(`
+      UPDATE notifications SET read_at = ?
+      WHERE username = ? AND read_at IS NULL AND id IN (SELECT value FROM json_each(?))
+    `),
+    markAllRead: db.prepare('UPDATE notifications SET read_at = ? WHERE username = ? AND read_at IS NULL'),
+  };
+
+  return {
+    /**
+     * 新建通知（同一人对同一条评论的同类通知只记一次）
+     * @param {object} n - { username: 接收人, type, actor, articleId, commentId }
+     * @returns {object|null} 新通知；重复时返回null
+     */
+    create({ username, type, actor, articleId, commentId }) {
+      const { changes, lastInsertRowid } = stmts.insert.run({
+        username, type, actor, articleId, commentId, createdAt: new Date().toISOString(),
+      });
+      return changes ? rowToNotification(stmts.get.get(lastInsertRowid)) : null;
+    },
+
+    /**
+     * 用户最近的通知（按时间倒序）
+     * @param {string} username - 用户名
+     * @param {object} options - { limit }
+     * @returns {Array}
+     */
+    list(username, { limit = 200 } = {}) {
+      return stmts.list.all(username, limit).map(rowToNotification);
+    },
+
+    /**
+     * 未读通知数
+     * @param {string} username - 用户名
+     * @returns {number}
+     */
+    unreadCount(username) {
+      return stmts.unread.get(username).n;
+    },
+
+    /**
+     * 标记为已读
+     * @param {string} username - 用户名
+     * @param {number[]} [ids] - 通知ID；不传表示全部
+     * @returns {number} 本次标记的条数
+     */
+    markRead(username, ids) {
+      const now = new Date().toISOString();
+      return ids
+        ? stmts.markRead.run(now, username, JSON.stringify(ids)).changes
+        : stmts.markAllRead.run(now, username).changes;
+    },
+  };
+}
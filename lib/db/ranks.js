@@ -0,0 +1,45 @@
+// ========== 头条排名记录 ==========
+
+/**
+ * 创建排名记录仓库
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 排名仓库
+ */
+export function createRankRepo(db) {
+  const stmts = {
+    insert: db.prepare(`
+      INSERT INTO article_ranks (article_id, category, edition, rank, seen_at)
+      VALUES (@articleId, @category, @edition, @rank, @seenAt)
+    `),
+    history: db.prepare(`
+      SELECT category, edition, rank, seen_at FROM article_ranks
+      WHERE article_id = ? ORDER BY seen_at DESC LIMIT ?
+    `),
+  };
+
+  return {
+    /**
+     * 记录一次头条列表中各文章的排名（单个事务）
+     * @param {Array} list - [{ articleId, category, edition, rank }]
+     */
+    recordMany: db.transaction((list) => {
+      const seenAt = new Date().toISOString();
+      for (const r of list) stmts.insert.run({ ...r, seenAt });
+    }),
+
+    /**
+     * 文章的排名变化（按时间倒序）
+     * @param {string} articleId - 文章ID
+     * @param {object} options - { limit }
+     * @returns {Array} [{ category, edition, rank, seenAt }]
+     */
+    history(articleId, { limit = 200 } = {}) {
+      return stmts.history.all(articleId, limit).map(r => ({
+        category: r.category,
+        edition: r.edition,
+        rank: r.rank,
+        seenAt: r.seen_at,
+      }));
+    },
+  };
+}
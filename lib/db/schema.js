@@ -0,0 +1,224 @@
+// ========== 数据库表结构迁移 ==========
+// 按顺序执行，已执行的版本号记录在 PRAGMA user_version 中。
+// 只能在末尾追加新迁移，不要修改已发布的迁移。
+
+export const migrations = [
+  // v1：用户、会话、文章、文章点赞、评论、评论点赞
+  `
+  CREATE TABLE users (
+    username      TEXT PRIMARY KEY COLLATE NOCASE, -- 用户名不区分大小写
+    password_hash TEXT NOT NULL,
+    created_at    TEXT NOT NULL
+  );
+
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,               -- 会话令牌的SHA256摘要
+    username   TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_sessions_expires ON sessions(expires_at);
+
+  CREATE TABLE articles (
+    id               TEXT PRIMARY KEY,         -- URL的SHA1
+    title            TEXT,
+    summary          TEXT,
+    cover            TEXT,
+    content          TEXT,
+    url              TEXT,
+    source           TEXT NOT NULL DEFAULT '',
+    primary_category TEXT,                     -- 主分类（前端分类ID）
+    categories       TEXT NOT NULL DEFAULT '[]', -- 所属分类（JSON数组）
+    published_at     TEXT,
+    created_at       TEXT NOT NULL
+  );
+  CREATE INDEX idx_articles_published ON articles(published_at DESC, id DESC);
+
+  CREATE TABLE article_likes (
+    article_id TEXT NOT NULL,
+    username   TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (article_id, username)
+  );
+
+  CREATE TABLE comments (
+    id         TEXT PRIMARY KEY,
+    article_id TEXT NOT NULL,
+    username   TEXT NOT NULL,
+    text       TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_comments_article ON comments(article_id, created_at);
+
+  CREATE TABLE comment_likes (
+    comment_id TEXT NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    username   TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (comment_id, username)
+  );
+
+  CREATE TABLE meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+
+  // v2：评论楼中楼回复、编辑和软删除
+  `
+  ALTER TABLE comments ADD COLUMN parent_id TEXT REFERENCES comments(id);
+  ALTER TABLE comments ADD COLUMN edited_at TEXT;
+  ALTER TABLE comments ADD COLUMN deleted_at TEXT;
+  CREATE INDEX idx_comments_parent ON comments(parent_id);
+  `,
+
+  // v3：评论审核状态与举报
+  `
+  ALTER TABLE comments ADD COLUMN status TEXT NOT NULL DEFAULT 'visible'; -- visible / pending / hidden
+  ALTER TABLE comments ADD COLUMN moderation_note TEXT;                   -- 进入待审核的原因
+  CREATE INDEX idx_comments_status ON comments(status);
+
+  CREATE TABLE comment_reports (
+    comment_id TEXT NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    username   TEXT NOT NULL,
+    reason     TEXT NOT NULL DEFAULT '',
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (comment_id, username)
+  );
+  `,
+
+  // v4：用户角色与封禁、文章隐藏
+  `
+  ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user';  -- user / admin
+  ALTER TABLE users ADD COLUMN banned_at TEXT;
+  ALTER TABLE users ADD COLUMN ban_reason TEXT;
+  ALTER TABLE articles ADD COLUMN hidden_at TEXT;                  -- 被管理员隐藏的时间
+  `,
+
+  // v5：用户收藏（稍后阅读），可选收藏夹与备注
+  `
+  CREATE TABLE bookmarks (
+    username   TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+    article_id TEXT NOT NULL,
+    folder     TEXT NOT NULL DEFAULT '',     -- 收藏夹名称（空表示未分类）
+    note       TEXT NOT NULL DEFAULT '',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (username, article_id)
+  );
+  CREATE INDEX idx_bookmarks_user ON bookmarks(username, created_at DESC);
+  `,
+
+  // v6：阅读事件（浏览、点击原文、停留时长），以及热榜按时间窗口统计互动所需的索引
+  `
+  CREATE TABLE article_events (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    article_id TEXT NOT NULL,
+    type       TEXT NOT NULL,                 -- view / click / dwell
+    visitor    TEXT NOT NULL,                 -- u:<用户名> 或 v:<访客ID>
+    dwell_ms   INTEGER,                       -- 仅 dwell 事件
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_article_events_time ON article_events(created_at);
+  CREATE INDEX idx_article_events_dedup ON article_events(article_id, visitor, type, created_at);
+  CREATE INDEX idx_article_likes_time ON article_likes(created_at);
+  CREATE INDEX idx_comments_time ON comments(created_at);
+  CREATE INDEX idx_comment_likes_time ON comment_likes(created_at);
+  `,
+
+  // v7：按用户读取行为记录（个性化推荐）
+  `
+  CREATE INDEX idx_article_events_visitor ON article_events(visitor, created_at);
+  CREATE INDEX idx_article_likes_user ON article_likes(username, created_at);
+  CREATE INDEX idx_comments_user ON comments(username, created_at);
+  `,
+
+  // v8：相似报道分组（同组文章的 cluster_id 相同）
+  `
+  ALTER TABLE articles ADD COLUMN cluster_id TEXT;
+  CREATE INDEX idx_articles_cluster ON articles(cluster_id);
+  `,
+
+  // v9：可配置的分类（取代代码中的分类映射），初始数据为原有的四个分类
+  `
+  CREATE TABLE categories (
+    id         TEXT PRIMARY KEY,              -- 前端分类ID
+    name       TEXT NOT NULL,                 -- 显示名称
+    upstream   TEXT NOT NULL,                 -- 新闻源分类（NewsAPI 分类 / RSS 配置键）
+    country    TEXT,                          -- 上游国家代码（空表示使用新闻源默认值）
+    language   TEXT,                          -- 内容语言
+    icon       TEXT NOT NULL DEFAULT '',
+    position   INTEGER NOT NULL,              -- 标签栏顺序（升序）
+    created_at TEXT NOT NULL
+  );
+
+  INSERT INTO categories (id, name, upstream, icon, position, created_at) VALUES
+    ('tech', '科技', 'technology', '💻', 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ('business', '商业', 'business', '💼', 2, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ('world', '国际', 'general', '🌍', 3, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ('sports', '体育', 'sports', '⚽', 4, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+  `,
+
+  // v10：新闻版本。文章记录出现过的版本（此前的上游请求都是美国版），用户保存自己选择的版本
+  `
+  ALTER TABLE articles ADD COLUMN editions TEXT NOT NULL DEFAULT '[]';
+  UPDATE articles SET editions = '["us"]';
+  ALTER TABLE users ADD COLUMN edition TEXT;
+  `,
+
+  // v11：关注的话题（关键词 / 来源 / 实体），记录上次查看时间用于统计未读数
+  `
+  CREATE TABLE topics (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    username       TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+    kind           TEXT NOT NULL,                 -- keyword / source / entity
+    value          TEXT NOT NULL,                 -- 关键词、来源名称或实体名称
+    name           TEXT NOT NULL,                 -- 标签显示名称
+    created_at     TEXT NOT NULL,
+    last_viewed_at TEXT NOT NULL
+  );
+  CREATE UNIQUE INDEX idx_topics_user_value ON topics(username, kind, value COLLATE NOCASE);
+  CREATE INDEX idx_articles_source ON articles(source COLLATE NOCASE);
+  `,
+
+  // v12：站内通知（评论被回复、被点赞、被 @ 提到）；同一人对同一条评论的同类通知只记一次
+  `
+  CREATE TABLE notifications (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    username   TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,  -- 接收人
+    type       TEXT NOT NULL,                 -- reply / like / mention
+    actor      TEXT NOT NULL,                 -- 触发通知的用户
+    article_id TEXT NOT NULL,
+    comment_id TEXT NOT NULL,                 -- reply/mention 为新评论，like 为被点赞的评论
+    created_at TEXT NOT NULL,
+    read_at    TEXT
+  );
+  CREATE UNIQUE INDEX idx_notifications_dedup ON notifications(username, type, actor, comment_id);
+  CREATE INDEX idx_notifications_user ON notifications(username, created_at DESC);
+  `,
+
+  // v13：原文正文抽取。content 保存清洗后的正文HTML，记录抽取时间（抽取失败时 content 为空，过一段时间再重试）
+  `
+  ALTER TABLE articles ADD COLUMN content_fetched_at TEXT;
+  `,
+
+  // v14：后台抓取。记录文章最近一次出现在上游结果中的时间（首次出现即 created_at），以及在各分类头条中的排名变化
+  `
+  ALTER TABLE articles ADD COLUMN last_seen_at TEXT;
+  UPDATE articles SET last_seen_at = created_at;
+  CREATE TABLE article_ranks (
+    article_id TEXT NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+    category   TEXT NOT NULL,
+    edition    TEXT NOT NULL,
+    rank       INTEGER NOT NULL,              -- 在该分类头条中的位置（从1开始）
+    seen_at    TEXT NOT NULL
+  );
+  CREATE INDEX idx_article_ranks_article ON article_ranks(article_id, seen_at);
+  `,
+
+  // v15：用户资料（显示名称、头像地址、个人简介），公开在个人主页
+  `
+  ALTER TABLE users ADD COLUMN display_name TEXT NOT NULL DEFAULT '';
+  ALTER TABLE users ADD COLUMN avatar TEXT NOT NULL DEFAULT '';
+  ALTER TABLE users ADD COLUMN bio TEXT NOT NULL DEFAULT '';
+  `,
+];
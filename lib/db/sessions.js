@@ -0,0 +1,48 @@
+// ========== 会话存储 ==========
+
+/**
+ * 创建会话仓库（键为会话令牌的摘要）
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 会话仓库
+ */
+export function createSessionRepo(db) {
+  const stmts = {
+    get: db.prepare('SELECT username, created_at, expires_at FROM sessions WHERE token_hash = ?'),
+    insert: db.prepare('INSERT OR REPLACE INTO sessions (token_hash, username, created_at, expires_at) VALUES (?, ?, ?, ?)'),
+    delete: db.prepare('DELETE FROM sessions WHERE token_hash = ?'),
+    prune: db.prepare('DELETE FROM sessions WHERE expires_at <= ?'),
+    deleteByUser: db.prepare('DELETE FROM sessions WHERE username = ?'),
+  };
+
+  return {
+    get(key) {
+      const row = stmts.get.get(key);
+      if (!row) return null;
+      return { username: row.username, createdAt: row.created_at, expiresAt: row.expires_at };
+    },
+
+    set(key, { username, createdAt, expiresAt }) {
+      stmts.insert.run(key, username, createdAt, expiresAt);
+    },
+
+    delete(key) {
+      stmts.delete.run(key);
+    },
+
+    /**
+     * 删除所有过期会话
+     * @param {number} now - 当前时间戳
+     */
+    prune(now = Date.now()) {
+      stmts.prune.run(now);
+    },
+
+    /**
+     * 删除某用户的全部会话（封禁时强制下线）
+     * @param {string} username - 用户名
+     */
+    deleteByUser(username) {
+      stmts.deleteByUser.run(username);
+    },
+  };
+}
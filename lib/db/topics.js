@@ -0,0 +1,119 @@
+// ========== 关注话题存储 ==========
+
+// 话题类型：keyword 关键词（支持搜索语法）、source 新闻来源、entity 实体（人名/机构等，按短语匹配）
+export const TOPIC_KINDS = ['keyword', 'source', 'entity'];
+
+// 每个用户最多关注的话题数
+export const MAX_TOPICS_PER_USER = 20;
+
+/**
+ * 将数据库行转换为话题对象
+ * @param {object} row - topics 表的行
+ * @returns {object|null} 话题对象
+ */
+function rowToTopic(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    kind: row.kind,
+    value: row.value,
+    name: row.name,
+    createdAt: row.created_at,
+    lastViewedAt: row.last_viewed_at,
+  };
+}
+
+/**
+ * 创建话题仓库
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 话题仓库
+ */
+export function createTopicRepo(db) {
+  const stmts = {
+    get: db.prepare('SELECT * FROM topics WHERE id = ? AND username = ?'),
+    find: db.prepare('SELECT * FROM topics WHERE username = ? AND kind = ? AND value = ? COLLATE NOCASE'),
+    list: db.prepare('SELECT * FROM topics WHERE username = ? ORDER BY created_at, id'),
+    count: db.prepare('SELECT COUNT(*) AS n FROM topics WHERE username = ?'),
+    insert: db.prepare(`
+      INSERT INTO topics (username, kind, value, name, created_at, last_viewed_at)
+      VALUES (@username, @kind, @value, @name, @now, @now)
+    `),
+    rename: db.prepare('UPDATE topics SET name = ? WHERE id = ? AND username = ?'),
+    markViewed: db.prepare('UPDATE topics SET last_viewed_at = ? WHERE id = ? AND username = ?'),
+    delete: db.prepare('DELETE FROM topics WHERE id = ? AND username = ?'),
+  };
+
+  return {
+    /**
+     * 获取用户的某个话题
+     * @param {number} id - 话题ID
+     * @param {string} username - 用户名
+     * @returns {object|null}
+     */
+    get(id, username) {
+      return rowToTopic(stmts.get.get(id, username));
+    },
+
+    /**
+     * 按类型和值查找话题（不区分大小写）
+     * @returns {object|null}
+     */
+    find(username, kind, value) {
+      return rowToTopic(stmts.find.get(username, kind, value));
+    },
+
+    /**
+     * 用户关注的全部话题（按关注时间）
+     * @param {string} username - 用户名
+     * @returns {Array}
+     */
+    list(username) {
+      return stmts.list.all(username).map(rowToTopic);
+    },
+
+    /**
+     * 用户关注的话题数
+     * @param {string} username - 用户名
+     * @returns {number}
+     */
+    count(username) {
+      return stmts.count.get(username).n;
+    },
+
+    /**
+     * 关注话题（关注时间即上次查看时间，已存储的文章不计入未读）
+     * @param {object} t - { username, kind, value, name }
+     * @returns {object} 新话题
+     */
+    create({ username, kind, value, name }) {
+      const { lastInsertRowid } = stmts.insert.run({ username, kind, value, name, now: new Date().toISOString() });
+      return rowToTopic(stmts.get.get(lastInsertRowid, username));
+    },
+
+    /**
+     * 修改话题显示名称
+     * @returns {object|null} 修改后的话题；不存在时返回null
+     */
+    rename(id, username, name) {
+      if (!stmts.rename.run(name, id, username).changes) return null;
+      return rowToTopic(stmts.get.get(id, username));
+    },
+
+    /**
+     * 记录查看时间（此后入库的匹配文章计为未读）
+     * @param {number} id - 话题ID
+     * @param {string} username - 用户名
+     */
+    markViewed(id, username) {
+      stmts.markViewed.run(new Date().toISOString(), id, username);
+    },
+
+    /**
+     * 取消关注
+     * @returns {boolean} 话题是否存在
+     */
+    remove(id, username) {
+      return stmts.delete.run(id, username).changes > 0;
+    },
+  };
+}
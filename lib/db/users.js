@@ -0,0 +1,137 @@
+// ========== 用户存储 ==========
+
+export const USER_ROLES = ['user', 'admin'];
+
+// 个人资料各字段的最大长度
+export const PROFILE_LIMITS = {
+  displayName: 30,
+  avatar: 500,
+  bio: 200,
+};
+
+/**
+ * 将数据库行转换为用户对象
+ * @param {object} row - users 表的行
+ * @returns {object} 用户对象
+ */
+function rowToUser(row) {
+  return {
+    username: row.username,
+    passwordHash: row.password_hash,
+    role: row.role || 'user',
+    bannedAt: row.banned_at || null,
+    banReason: row.ban_reason || '',
+    edition: row.edition || '',
+    displayName: row.display_name || '',
+    avatar: row.avatar || '',
+    bio: row.bio || '',
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * 创建用户仓库
+ * @param {object} db - better-sqlite3 数据库实例
+ * @returns {object} 用户仓库
+ */
+export function createUserRepo(db) {
+  const stmts = {
+    find: db.prepare('SELECT * FROM users WHERE username = ?'),
+    insert: db.prepare('INSERT INTO users (username, password_hash, created_at, role) VALUES (?, ?, ?, ?)'),
+    setRole: db.prepare('UPDATE users SET role = ? WHERE username = ?'),
+    setBan: db.prepare('UPDATE users SET banned_at = ?, ban_reason = ? WHERE username = ?'),
+    setEdition: db.prepare('UPDATE users SET edition = ? WHERE username = ?'),
+    setProfile: db.prepare('UPDATE users SET display_name = @displayName, avatar = @avatar, bio = @bio WHERE username = @username'),
+    setPassword: db.prepare('UPDATE users SET password_hash = ? WHERE username = ?'),
+    list: db.prepare(`
+      SELECT u.*, (SELECT COUNT(*) FROM comments c WHERE c.username = u.username) AS comment_count
+      FROM users u
+      WHERE (@q = '' OR instr(lower(u.username), lower(@q)) > 0)
+      ORDER BY u.created_at DESC, u.username ASC
+      LIMIT @limit OFFSET @offset
+    `),
+    count: db.prepare(`SELECT COUNT(*) AS n FROM users WHERE (@q = '' OR instr(lower(username), lower(@q)) > 0)`),
+  };
+
+  return {
+    /**
+     * 按用户名查找用户
+     * @param {string} username - 用户名
+     * @returns {object|null} { username, passwordHash, role, bannedAt, banReason, edition, displayName, avatar, bio, createdAt }
+     */
+    find(username) {
+      const row = stmts.find.get(username);
+      return row ? rowToUser(row) : null;
+    },
+
+    /**
+     * 创建用户
+     * @param {object} user - { username, passwordHash, role, createdAt }
+     */
+    create({ username, passwordHash, role = 'user', createdAt = new Date().toISOString() }) {
+      stmts.insert.run(username, passwordHash, createdAt, role);
+    },
+
+    /**
+     * 修改用户角色
+     * @param {string} username - 用户名
+     * @param {string} role - user / admin
+     * @returns {boolean} 用户是否存在
+     */
+    setRole(username, role) {
+      return stmts.setRole.run(role, username).changes > 0;
+    },
+
+    /**
+     * 封禁或解封用户
+     * @param {string} username - 用户名
+     * @param {boolean} banned - 是否封禁
+     * @param {string} reason - 封禁原因
+     * @returns {boolean} 用户是否存在
+     */
+    setBanned(username, banned, reason = '') {
+      const at = banned ? new Date().toISOString() : null;
+      return stmts.setBan.run(at, banned ? reason : null, username).changes > 0;
+    },
+
+    /**
+     * 保存用户选择的新闻版本
+     * @param {string} username - 用户名
+     * @param {string} edition - 版本ID
+     */
+    setEdition(username, edition) {
+      stmts.setEdition.run(edition, username);
+    },
+
+    /**
+     * 更新个人资料
+     * @param {string} username - 用户名
+     * @param {object} profile - { displayName, avatar, bio }
+     */
+    updateProfile(username, { displayName = '', avatar = '', bio = '' }) {
+      stmts.setProfile.run({ username, displayName, avatar, bio });
+    },
+
+    /**
+     * 修改密码
+     * @param {string} username - 用户名
+     * @param {string} passwordHash - 新密码的哈希（见 auth.js hashPassword）
+     */
+    setPassword(username, passwordHash) {
+      stmts.setPassword.run(passwordHash, username);
+    },
+
+    /**
+     * 分页列出用户（附带评论数）
+     * @param {object} options - { q: 用户名关键词, limit, offset }
+     * @returns {{items: Array, total: number}}
+     */
+    list({ q = '', limit = 50, offset = 0 } = {}) {
+      const items = stmts.list.all({ q, limit, offset }).map(row => {
+        const { passwordHash, ...user } = rowToUser(row);
+        return { ...user, commentCount: row.comment_count };
+      });
+      return { items, total: stmts.count.get({ q }).n };
+    },
+  };
+}
@@ -0,0 +1,39 @@
+// ========== 新闻版本（Edition） ==========
+// 每个版本对应一个上游国家代码和默认界面语言；
+// 列表、热榜的上游请求和缓存都按版本区分，文章记录自己出现过的版本
+
+export const EDITIONS = {
+  us: { id: 'us', name: '美国', country: 'us', language: 'en' },
+  gb: { id: 'gb', name: '英国', country: 'gb', language: 'en' },
+  cn: { id: 'cn', name: '中国', country: 'cn', language: 'zh' },
+  jp: { id: 'jp', name: '日本', country: 'jp', language: 'ja' },
+};
+
+export const EDITION_COOKIE = 'edition';           // 匿名访客的版本偏好Cookie
+const EDITION_COOKIE_TTL_S = 365 * 24 * 3600;      // 保存一年
+
+/**
+ * 判断是否为支持的版本
+ * @param {string} id - 版本ID
+ * @returns {boolean}
+ */
+export function isEdition(id) {
+  return typeof id === 'string' && Object.hasOwn(EDITIONS, id);
+}
+
+/**
+ * 生成版本Cookie的Set-Cookie值
+ * @param {string} id - 版本ID
+ * @param {object} options - { secure: 是否仅HTTPS }
+ * @returns {string} Set-Cookie头的值
+ */
+export function editionCookie(id, { secure = false } = {}) {
+  const attrs = [
+    `${EDITION_COOKIE}=${encodeURIComponent(id)}`,
+    'Path=/',
+    'SameSite=Lax',
+    `Max-Age=${EDITION_COOKIE_TTL_S}`,
+  ];
+  if (secure) attrs.push('Secure');
+  return attrs.join('; ');
+}
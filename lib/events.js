@@ -0,0 +1,60 @@
+// ========== 实时推送（Server-Sent Events） ==========
+// 进程内的订阅者列表：每个连接对应一个 SSE 响应流，事件按行协议写出。
+// 连接时记录登录用户，个人事件（如通知）只发给该用户的连接。
+// 连接空闲时定期发送注释行（": ping"），避免被代理或浏览器判定为超时断开。
+
+/**
+ * 创建事件中心
+ * @param {object} options - { heartbeatMs: 心跳间隔, retryMs: 建议的浏览器重连间隔, maxClients: 最大连接数 }
+ * @returns {object} 事件中心：subscribe(res, meta) / publish(event, data, filter) / size
+ */
+export function createEventHub({ heartbeatMs = 25000, retryMs = 3000, maxClients = 1000 } = {}) {
+  const clients = new Map();   // 已连接的响应流 -> { username }
+  let nextId = 1;              // 事件序号（写入 id: 字段，便于客户端排查丢失）
+
+  const heartbeat = setInterval(() => {
+    for (const res of clients.keys()) res.write(': ping\n\n');
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  return {
+    /**
+     * 将响应转为 SSE 流并加入订阅者列表
+     * @param {object} res - Express响应对象
+     * @param {object} meta - { username: 登录用户名（匿名为空） }
+     * @returns {Function|null} 取消订阅函数；连接数已满时返回null（未写入任何内容）
+     */
+    subscribe(res, { username = '' } = {}) {
+      if (clients.size >= maxClients) return null;
+      res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',   // 关闭 nginx 的响应缓冲
+      });
+      res.flushHeaders();
+      res.write(`retry: ${retryMs}\n\n`);
+      clients.set(res, { username });
+      return () => clients.delete(res);
+    },
+
+    /**
+     * 广播事件；指定 username 时只发给该用户的连接
+     * @param {string} event - 事件名
+     * @param {object} data - 事件数据（JSON序列化）
+     * @param {object} filter - { username }
+     */
+    publish(event, data, { username = '' } = {}) {
+      if (!clients.size) return;
+      const chunk = `id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+      for (const [res, meta] of clients) {
+        if (!username || meta.username === username) res.write(chunk);
+      }
+    },
+
+    /** 当前连接数 */
+    get size() {
+      return clients.size;
+    },
+  };
+}
@@ -0,0 +1,341 @@
+// ========== 正文抽取 ==========
+// 从新闻原文页面中提取正文段落和配图，输出只含白名单标签的安全HTML。
+// 按可读性（readability）的思路：去掉导航/页眉页脚/侧栏等区块，优先取 <article> / <main>，
+// 再按段落长度和链接密度过滤掉版权声明、分享按钮、相关推荐等噪音。
+
+import fs from 'fs';
+import path from 'path';
+import { httpText } from './http.js';
+
+const MIN_PARAGRAPH_CHARS = 25;    // 少于该字数的段落视为噪音（按钮文字、图片来源等）
+const MIN_CONTENT_CHARS = 200;     // 正文总字数不足时视为抽取失败
+const MAX_LINK_DENSITY = 0.5;      // 链接文字占比超过该值的段落视为导航/推荐列表
+const MAX_IMAGES = 10;             // 最多保留的配图数
+const MIN_IMAGE_SIZE = 100;        // 标注了宽高且小于该值的图片视为图标
+const CJK_RE = /[\u3400-\u9fff\uf900-\ufaff]/g;   // 中日韩汉字（阅读时长按字计算）
+const MAX_HTML_CHARS = 2 * 1024 * 1024;   // 参与抽取的页面HTML上限（超出部分截断）
+
+// 整块丢弃的标签（连同内容）
+const DROP_TAGS = ['script', 'style', 'noscript', 'template', 'iframe', 'svg', 'form', 'nav', 'header', 'footer', 'aside', 'button', 'select', 'textarea', 'figcaption'];
+// class / id 命中时丢弃的段落或图片
+const NOISE_RE = /share|social|related|promo|newsletter|subscribe|advert|sponsor|caption|credit|byline|comment|copyright|logo|icon|avatar/i;
+
+// 常见的HTML命名实体
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', middot: '·', bull: '•',
+};
+
+/**
+ * 解码HTML实体
+ * @param {string} s - 原始文本
+ * @returns {string} 解码后的文本
+ */
+function decodeEntities(s) {
+  return String(s || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : Number(e.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} s - 文本
+ * @returns {string}
+ */
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * 去除标签并合并空白，得到纯文本
+ * @param {string} html - HTML片段
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  return decodeEntities(String(html || '').replace(/<[^<>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 读取标签上的属性值
+ * @param {string} tag - 开始标签（如 <img src="...">）
+ * @param {string} name - 属性名
+ * @returns {string}
+ */
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return m ? decodeEntities(m[1] ?? m[2] ?? m[3]) : '';
+}
+
+/**
+ * 将相对地址解析为绝对地址，只接受 http / https
+ * @param {string} href - 原始地址
+ * @param {string} base - 页面地址
+ * @returns {string} 绝对地址；无效时为空
+ */
+function resolveUrl(href, base) {
+  try {
+    const u = new URL(href.trim(), base);
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.href : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * 按文档顺序查找元素，取最近的同名闭合标签（不处理嵌套），效果同 /<(名称)\b([^>]*)>([\s\S]*?)<\/\1>/gi。
+ * 正则的惰性匹配遇到未闭合的标签会一直扫描到文末，大量未闭合标签时耗时成平方级；
+ * 这里每种标签记住下一个闭合标签的位置，整篇只向后扫描一遍
+ * @param {string} html - HTML
+ * @param {string} names - 标签名（正则片段，如 'p|h[2-4]'）
+ * @param {string[]} voidTags - 无需闭合的标签（如 img），inner 为空
+ * @returns {Array} [{ tag: 小写标签名, attrs: 属性部分, inner: 内部HTML, start, end }]
+ */
+function findElements(html, names, voidTags = []) {
+  const openRe = new RegExp(`<(${names})\\b([^<>]*)>`, 'gi');
+  const closeAt = new Map();   // 标签名 -> 下一个闭合标签的位置（-1 表示其后没有）
+  const found = [];
+  let m;
+  while ((m = openRe.exec(html))) {
+    const tag = m[1].toLowerCase();
+    const from = openRe.lastIndex;
+    if (voidTags.includes(tag)) {
+      found.push({ tag, attrs: m[2], inner: '', start: m.index, end: from });
+      continue;
+    }
+    let close = closeAt.get(tag);
+    if (close === undefined || (close >= 0 && close < from)) {
+      const closeRe = new RegExp(`</${tag}>`, 'gi');
+      closeRe.lastIndex = from;
+      close = closeRe.exec(html)?.index ?? -1;
+      closeAt.set(tag, close);
+    }
+    if (close < 0) continue;
+    const end = close + tag.length + 3;
+    found.push({ tag, attrs: m[2], inner: html.slice(from, close), start: m.index, end });
+    openRe.lastIndex = end;
+  }
+  return found;
+}
+
+/**
+ * 去掉找到的元素（连同内容）
+ * @param {string} html - HTML
+ * @param {Array} elements - findElements 的结果
+ * @returns {string}
+ */
+function removeRanges(html, elements) {
+  const out = [];
+  let pos = 0;
+  for (const e of elements) {
+    out.push(html.slice(pos, e.start));
+    pos = e.end;
+  }
+  out.push(html.slice(pos));
+  return out.join('');
+}
+
+/**
+ * 去掉注释和整块丢弃的标签
+ * @param {string} html - 页面HTML
+ * @returns {string}
+ */
+function stripBoilerplate(html) {
+  // 注释：找不到结束符时其后不会再有完整的注释
+  const comments = [];
+  for (let pos = 0; ;) {
+    const start = html.indexOf('<!--', pos);
+    const close = start < 0 ? -1 : html.indexOf('-->', start + 4);
+    if (close < 0) break;
+    pos = close + 3;
+    comments.push({ start, end: pos });
+  }
+  let s = removeRanges(html, comments);
+  for (const tag of DROP_TAGS) s = removeRanges(s, findElements(s, tag));
+  return s;
+}
+
+/**
+ * 统计片段中段落的文字量（用于挑选正文区域）
+ * @param {string} html - HTML片段
+ * @returns {number}
+ */
+function paragraphChars(html) {
+  return findElements(html, 'p').reduce((n, p) => n + htmlToText(p.inner).length, 0);
+}
+
+/**
+ * 挑选正文所在区域：段落最多的 <article>，其次 <main>，否则整个 <body>
+ * @param {string} html - 已去除噪音区块的HTML
+ * @returns {string}
+ */
+function mainRegion(html) {
+  const candidates = [...findElements(html, 'article'), ...findElements(html, 'main')]
+    .map(e => html.slice(e.start, e.end));
+  let best = '';
+  let bestChars = 0;
+  for (const c of candidates) {
+    const n = paragraphChars(c);
+    if (n > bestChars) { best = c; bestChars = n; }
+  }
+  if (bestChars >= MIN_CONTENT_CHARS) return best;
+  const start = html.search(/<body\b/i);
+  let end = -1;
+  for (const m of html.matchAll(/<\/body>/gi)) end = m.index + m[0].length;
+  return start >= 0 && end > start ? html.slice(start, end) : html;
+}
+
+/**
+ * 将段落内部的HTML转为安全的行内HTML：只保留链接、加粗、斜体和换行
+ * @param {string} inner - 段落内部HTML
+ * @param {string} base - 页面地址（解析相对链接）
+ * @returns {string}
+ */
+function sanitizeInline(inner, base) {
+  const out = [];
+  const open = [];   // 未闭合的标签；链接地址无效时记为 'a-'（只输出文字，不输出标签）
+  for (const part of inner.split(/(<[^<>]*>)/)) {
+    if (!part) continue;
+    if (part[0] !== '<') {
+      out.push(escapeHtml(decodeEntities(part).replace(/\s+/g, ' ')));
+      continue;
+    }
+    const m = part.match(/^<(\/?)([a-z0-9]+)/i);
+    if (!m) continue;
+    const closing = !!m[1];
+    const name = { b: 'strong', strong: 'strong', i: 'em', em: 'em', a: 'a', br: 'br' }[m[2].toLowerCase()];
+    if (!name) continue;
+    if (name === 'br') {
+      if (!closing) out.push('<br>');
+    } else if (!closing) {
+      if (name === 'a') {
+        const href = resolveUrl(attr(part, 'href'), base);
+        open.push(href ? 'a' : 'a-');
+        if (href) out.push(`<a href="${escapeHtml(href)}" target="_blank" rel="noopener nofollow">`);
+      } else {
+        open.push(name);
+        out.push(`<${name}>`);
+      }
+    } else {
+      // 闭合到最近的同名标签，中间未闭合的一并闭合
+      const at = Math.max(open.lastIndexOf(name), name === 'a' ? open.lastIndexOf('a-') : -1);
+      if (at < 0) continue;
+      for (const tag of open.splice(at).reverse()) if (tag !== 'a-') out.push(`</${tag}>`);
+    }
+  }
+  for (const tag of open.reverse()) if (tag !== 'a-') out.push(`</${tag}>`);
+  return out.join('').trim();
+}
+
+/**
+ * 处理图片标签：解析地址（兼容懒加载属性），过滤图标和追踪像素
+ * @param {string} tag - <img> 标签
+ * @param {string} base - 页面地址
+ * @returns {object|null} { src, alt }
+ */
+function parseImage(tag, base) {
+  if (NOISE_RE.test(`${attr(tag, 'class')} ${attr(tag, 'id')}`)) return null;
+  const width = Number(attr(tag, 'width'));
+  const height = Number(attr(tag, 'height'));
+  if ((width && width < MIN_IMAGE_SIZE) || (height && height < MIN_IMAGE_SIZE)) return null;
+  const raw = attr(tag, 'data-src') || attr(tag, 'src') || attr(tag, 'srcset').split(/[\s,]/)[0];
+  const src = raw && !raw.startsWith('data:') ? resolveUrl(raw, base) : '';
+  return src ? { src, alt: attr(tag, 'alt') } : null;
+}
+
+/**
+ * 从页面HTML中抽取正文
+ * @param {string} html - 页面HTML
+ * @param {string} pageUrl - 页面地址（解析相对链接和图片地址）
+ * @returns {object|null} { html: 安全的正文HTML, text: 纯文本, images: 配图地址 }；正文过短时返回null
+ */
+export function extractContent(html, pageUrl) {
+  const region = mainRegion(stripBoilerplate(String(html || '').slice(0, MAX_HTML_CHARS)));
+  const blocks = [];
+  const images = [];
+  const texts = [];
+
+  const addImage = (tag) => {
+    const img = parseImage(tag, pageUrl);
+    if (!img || images.length >= MAX_IMAGES || images.includes(img.src)) return;
+    images.push(img.src);
+    blocks.push(`<figure><img src="${escapeHtml(img.src)}" alt="${escapeHtml(img.alt)}" loading="lazy"></figure>`);
+  };
+
+  // 按文档顺序遍历段落、小标题、引用和图片
+  for (const { tag, attrs, inner, start, end } of findElements(region, 'p|h[2-4]|blockquote|img', ['img'])) {
+    if (tag === 'img') {
+      addImage(region.slice(start, end));
+      continue;
+    }
+    if (NOISE_RE.test(`${attr(attrs, 'class')} ${attr(attrs, 'id')}`)) continue;
+    // 段落中夹带的图片单独成块
+    for (const img of inner.match(/<img\b[^<>]*>/gi) || []) addImage(img);
+
+    const text = htmlToText(inner);
+    if (!text) continue;
+    if (tag[0] === 'h') {
+      blocks.push(`<h3>${escapeHtml(text)}</h3>`);
+      continue;
+    }
+    if (text.length < MIN_PARAGRAPH_CHARS) continue;
+    const linkChars = findElements(inner, 'a').reduce((n, a) => n + htmlToText(a.inner).length, 0);
+    if (linkChars / text.length > MAX_LINK_DENSITY) continue;
+
+    const body = sanitizeInline(inner.replace(/<img\b[^<>]*>/gi, ''), pageUrl);
+    blocks.push(tag === 'blockquote' ? `<blockquote><p>${body}</p></blockquote>` : `<p>${body}</p>`);
+    texts.push(text);
+  }
+
+  // 去掉末尾没有正文跟随的小标题和图片（通常是"相关阅读"之类的区块）
+  while (blocks.length && !blocks[blocks.length - 1].endsWith('</p>') && !blocks[blocks.length - 1].endsWith('</blockquote>')) {
+    const removed = blocks.pop();
+    if (removed.startsWith('<figure>')) images.pop();
+  }
+
+  const text = texts.join('\n');
+  if (text.length < MIN_CONTENT_CHARS) return null;
+  return { html: blocks.join('\n'), text, images };
+}
+
+/**
+ * 估算阅读时长：中文按每分钟 400 字，其他语言按每分钟 220 词
+ * @param {string} text - 纯文本
+ * @returns {number} 分钟数（至少 1）
+ */
+export function readingMinutes(text) {
+  const s = String(text || '');
+  const cjk = (s.match(CJK_RE) || []).length;
+  const words = (s.replace(CJK_RE, ' ').match(/\S+/g) || []).length;
+  return Math.max(1, Math.round(cjk / 400 + words / 220));
+}
+
+/**
+ * 创建原文页面获取函数
+ * 指定夹具目录时从本地读取保存的HTML（离线开发/测试用），目录中的 index.json 记录 { 原文地址: 文件名 }；
+ * 否则通过HTTP获取（沿用 HTTPS_PROXY 代理设置）
+ * @param {object} options - { fixtureDir: 夹具目录, timeoutMs: 请求超时 }
+ * @returns {Function} (url) => Promise<string> 页面HTML
+ */
+export function createPageFetcher({ fixtureDir = '', timeoutMs = 10000 } = {}) {
+  if (fixtureDir) {
+    let index = null;
+    return async (url) => {
+      if (!index) index = JSON.parse(fs.readFileSync(path.join(fixtureDir, 'index.json'), 'utf-8'));
+      const file = index[url];
+      if (!file) throw new Error(`夹具中没有该页面: ${url}`);
+      return fs.readFileSync(path.join(fixtureDir, file), 'utf-8');
+    };
+  }
+  return (url) => httpText(url, {
+    timeoutMs,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; toutiao-clone/1.0)',
+      Accept: 'text/html,application/xhtml+xml',
+    },
+  });
+}
@@ -0,0 +1,170 @@
+// ========== 订阅源输出 ==========
+// 把文章列表渲染为 RSS 2.0、Atom 1.0 和 JSON Feed 1.1，供阅读器和内部工具订阅。
+// 本站的点赞数、评论数作为扩展字段输出：XML 中使用 engagement 命名空间
+// （RSS 另带阅读器普遍支持的 slash:comments），JSON Feed 中使用 _engagement 对象。
+
+export const FEED_FORMATS = {
+  xml: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+
+const ENGAGEMENT_NS = 'urn:toutiao-clone:engagement';
+const SLASH_NS = 'http://purl.org/rss/1.0/modules/slash/';
+const MEDIA_NS = 'http://search.yahoo.com/mrss/';
+const DC_NS = 'http://purl.org/dc/elements/1.1/';
+
+/**
+ * 转义XML文本（同时去掉XML不允许的控制字符）
+ * @param {*} value - 文本
+ * @returns {string}
+ */
+function xml(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 订阅源的更新时间：条目中最新的入库或发布时间
+ * @param {Array} items - 条目（含 publishedAt / firstSeenAt）
+ * @returns {string} ISO时间；没有条目时为纪元时间
+ */
+export function feedUpdatedAt(items) {
+  let latest = 0;
+  for (const item of items) {
+    for (const t of [item.publishedAt, item.firstSeenAt]) {
+      const ms = Date.parse(t || '');
+      if (ms > latest) latest = ms;
+    }
+  }
+  return new Date(latest).toISOString();
+}
+
+/**
+ * 条目的发布时间：发布时间缺失或无法解析时退回入库时间
+ * @param {object} item - 条目（含 publishedAt / firstSeenAt）
+ * @returns {string} ISO时间；都无法解析时为空
+ */
+function itemPublishedAt(item) {
+  for (const t of [item.publishedAt, item.firstSeenAt]) {
+    const ms = Date.parse(t || '');
+    if (Number.isFinite(ms)) return new Date(ms).toISOString();
+  }
+  return '';
+}
+
+/**
+ * 渲染 RSS 2.0
+ * @param {object} feed - { title, description, language, homeUrl, feedUrl, updated, items }
+ *   items: [{ id, url, title, summary, cover, source, category, publishedAt, likes, comments }]
+ * @returns {string}
+ */
+export function renderRss(feed) {
+  const items = feed.items.map(item => {
+    const published = itemPublishedAt(item);
+    return `
+    <item>
+      <title>${xml(item.title)}</title>
+      <link>${xml(item.url)}</link>
+      <guid isPermaLink="false">${xml(item.id)}</guid>
+      ${published ? `<pubDate>${new Date(published).toUTCString()}</pubDate>` : ''}
+      ${item.summary ? `<description>${xml(item.summary)}</description>` : ''}
+      ${item.category ? `<category>${xml(item.category)}</category>` : ''}
+      ${item.source ? `<dc:creator>${xml(item.source)}</dc:creator>` : ''}
+      ${item.cover ? `<media:content url="${xml(item.cover)}" medium="image"/>` : ''}
+      <slash:comments>${item.comments}</slash:comments>
+      <engagement:likes>${item.likes}</engagement:likes>
+      <engagement:comments>${item.comments}</engagement:comments>
+    </item>`;
+  }).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="${DC_NS}" xmlns:slash="${SLASH_NS}" xmlns:media="${MEDIA_NS}" xmlns:engagement="${ENGAGEMENT_NS}">
+  <channel>
+    <title>${xml(feed.title)}</title>
+    <link>${xml(feed.homeUrl)}</link>
+    <description>${xml(feed.description)}</description>
+    <language>${xml(feed.language)}</language>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${xml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * 渲染 Atom 1.0（参数同 renderRss）
+ * @returns {string}
+ */
+export function renderAtom(feed) {
+  const entries = feed.items.map(item => {
+    const published = itemPublishedAt(item);
+    return `
+  <entry>
+    <id>urn:sha1:${xml(item.id)}</id>
+    <title>${xml(item.title)}</title>
+    <link rel="alternate" href="${xml(item.url)}"/>
+    <updated>${xml(published || feed.updated)}</updated>
+    ${published ? `<published>${published}</published>` : ''}
+    <author><name>${xml(item.source || feed.title)}</name></author>
+    ${item.summary ? `<summary>${xml(item.summary)}</summary>` : ''}
+    ${item.category ? `<category term="${xml(item.category)}"/>` : ''}
+    ${item.cover ? `<media:thumbnail url="${xml(item.cover)}"/>` : ''}
+    <engagement:likes>${item.likes}</engagement:likes>
+    <engagement:comments>${item.comments}</engagement:comments>
+  </entry>`;
+  }).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="${MEDIA_NS}" xmlns:engagement="${ENGAGEMENT_NS}" xml:lang="${xml(feed.language)}">
+  <id>${xml(feed.feedUrl)}</id>
+  <title>${xml(feed.title)}</title>
+  <subtitle>${xml(feed.description)}</subtitle>
+  <updated>${xml(feed.updated)}</updated>
+  <link rel="self" href="${xml(feed.feedUrl)}"/>
+  <link rel="alternate" href="${xml(feed.homeUrl)}"/>${entries}
+</feed>
+`;
+}
+
+/**
+ * 渲染 JSON Feed 1.1（参数同 renderRss）
+ * @returns {string}
+ */
+export function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    language: feed.language,
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_text: item.summary || item.title,
+      ...(item.summary && { summary: item.summary }),
+      ...(item.cover && { image: item.cover }),
+      ...(itemPublishedAt(item) && { date_published: itemPublishedAt(item) }),
+      ...(item.source && { authors: [{ name: item.source }] }),
+      ...(item.category && { tags: [item.category] }),
+      _engagement: { likes: item.likes, comments: item.comments },
+    })),
+  }, null, 2);
+}
+
+const RENDERERS = { xml: renderRss, atom: renderAtom, json: renderJsonFeed };
+
+/**
+ * 按格式渲染订阅源
+ * @param {string} format - xml / atom / json（见 FEED_FORMATS）
+ * @param {object} feed - 订阅源数据（见 renderRss）
+ * @returns {string}
+ */
+export function renderFeed(format, feed) {
+  return RENDERERS[format](feed);
+}
@@ -0,0 +1,91 @@
+// ========== HTTP工具函数 ==========
+
+import fetch from 'node-fetch';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+
+const PROXY_URL = process.env.HTTPS_PROXY || process.env.HTTP_PROXY || '';  // 代理设置
+const MAX_BODY_BYTES = 5 * 1024 * 1024;   // 响应体上限：超出时中止读取并报错（防止超大页面占满内存）
+
+/**
+ * 发送HTTP请求（带超时、响应体大小限制和代理支持）
+ * @param {string} url - 请求地址
+ * @param {object} options - 配置选项（maxBytes：响应体字节上限）
+ * @returns {Promise<Response>} fetch响应
+ */
+async function request(url, { timeoutMs = 10000, headers = {}, maxBytes = MAX_BODY_BYTES } = {}) {
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    const options = { signal: ac.signal, headers, size: maxBytes };
+    if (PROXY_URL) {
+      options.agent = new HttpsProxyAgent(PROXY_URL);  // 使用代理
+    }
+    const r = await fetch(url, options);
+    // 读取响应体也受超时控制，所以在 finally 之前完成
+    const body = await r.text();
+    return { status: r.status, ok: r.ok, headers: r.headers, body };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或HTTP日期）
+ * @param {string|null} value - 响应头的值
+ * @returns {number} 建议等待的毫秒数；未提供或无法解析时为0
+ */
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+}
+
+/**
+ * 构造请求失败的错误对象
+ * 附带 status（HTTP状态码）、code（上游错误码）、rateLimited（是否被限流）和 retryAfterMs（建议等待时长），
+ * 供调用方决定重试节奏
+ * @param {object} r - request 的返回值
+ * @param {string} detail - 错误描述
+ * @param {string} code - 上游错误码（NewsAPI 限流时为 rateLimited）
+ * @returns {Error}
+ */
+function httpError(r, detail, code = '') {
+  const err = new Error(`HTTP ${r.status}: ${detail}`);
+  err.status = r.status;
+  err.code = code;
+  err.rateLimited = r.status === 429 || code === 'rateLimited';
+  err.retryAfterMs = parseRetryAfter(r.headers.get('retry-after'));
+  return err;
+}
+
+/**
+ * 发送HTTP请求并解析JSON响应
+ * @param {string} url - 请求地址
+ * @param {object} options - 配置选项
+ * @returns {Promise<object>} JSON响应
+ */
+export async function httpJSON(url, options = {}) {
+  const r = await request(url, options);
+  let data = {};
+  try { data = JSON.parse(r.body); } catch (_) {}
+  if (!r.ok) {
+    throw httpError(r, data.message || data.error || 'Unknown error', data.code);
+  }
+  return data;
+}
+
+/**
+ * 发送HTTP请求并返回文本响应（用于RSS/Atom等非JSON数据）
+ * @param {string} url - 请求地址
+ * @param {object} options - 配置选项
+ * @returns {Promise<string>} 响应文本
+ */
+export async function httpText(url, options = {}) {
+  const r = await request(url, options);
+  if (!r.ok) {
+    throw httpError(r, r.body.slice(0, 200) || 'Unknown error');
+  }
+  return r.body;
+}
@@ -0,0 +1,19 @@
+// ========== @提及解析 ==========
+// 评论中的 @用户名 以空白或常见标点结束（用户名本身可以包含中文）；邮箱地址中的 @ 不算提及
+
+const MENTION_RE = /(?<![\w@])@([^\s@,，.。!！?？:：;；、()（）"'“”‘’<>《》]{1,30})/g;
+export const MAX_MENTIONS = 5;   // 每条评论最多通知的用户数
+
+/**
+ * 提取评论中提到的用户名（去重，保留首次出现的顺序）
+ * @param {string} text - 评论正文
+ * @returns {string[]} 最多 MAX_MENTIONS 个用户名（未校验是否存在）
+ */
+export function parseMentions(text) {
+  const names = new Set();
+  for (const m of String(text || '').matchAll(MENTION_RE)) {
+    names.add(m[1]);
+    if (names.size >= MAX_MENTIONS) break;
+  }
+  return [...names];
+}
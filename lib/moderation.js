@@ -0,0 +1,112 @@
+// ========== 评论审核 ==========
+// 服务端长度校验、滑动窗口限流、屏蔽词/正则过滤
+
+import fs from 'fs';
+
+export const COMMENT_MAX_LENGTH = 300;   // 评论最大长度（字符）
+
+/**
+ * 创建滑动窗口限流器（进程内存储，重启后清空）
+ * @param {object} options - { windowMs: 窗口长度, max: 窗口内最多请求数 }
+ * @returns {object} 限流器：check(key) / hit(key) / reset(key)
+ */
+export function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();   // key -> 窗口内的请求时间戳（升序）
+  let lastSweep = 0;
+
+  // 丢弃窗口外的记录
+  function prune(list, now) {
+    while (list.length && list[0] <= now - windowMs) list.shift();
+  }
+
+  // 每个窗口最多全量清理一次空键，避免长期运行时内存增长
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    for (const [key, list] of hits) {
+      prune(list, now);
+      if (!list.length) hits.delete(key);
+    }
+  }
+
+  return {
+    /**
+     * 查询是否还能再请求一次（不记录）
+     * @param {string} key - 限流维度（用户名、IP等）
+     * @returns {{allowed: boolean, retryAfterMs: number}}
+     */
+    check(key, now = Date.now()) {
+      const list = hits.get(key) || [];
+      prune(list, now);
+      if (list.length >= max) {
+        return { allowed: false, retryAfterMs: list[0] + windowMs - now };
+      }
+      return { allowed: true, retryAfterMs: 0 };
+    },
+
+    /**
+     * 记录一次请求
+     * @param {string} key - 限流维度（用户名、IP等）
+     * @returns {{allowed: boolean, retryAfterMs: number}} 超限时不记录本次请求
+     */
+    hit(key, now = Date.now()) {
+      sweep(now);
+      const list = hits.get(key) || [];
+      prune(list, now);
+      if (list.length >= max) {
+        return { allowed: false, retryAfterMs: list[0] + windowMs - now };
+      }
+      list.push(now);
+      hits.set(key, list);
+      return { allowed: true, retryAfterMs: 0 };
+    },
+
+    /**
+     * 清除某个键的记录
+     * @param {string} key - 限流维度
+     */
+    reset(key) {
+      hits.delete(key);
+    },
+  };
+}
+
+/**
+ * 创建内容过滤器
+ * @param {object} rules - { words: 屏蔽词（不区分大小写）, patterns: 正则表达式源码 }
+ * @returns {object} 过滤器：check(text)
+ */
+export function createContentFilter({ words = [], patterns = [] } = {}) {
+  const lowered = words.map(w => String(w).toLowerCase()).filter(Boolean);
+  const regexes = patterns.map(p => new RegExp(p, 'i'));
+
+  return {
+    /**
+     * 检查文本是否命中规则
+     * @param {string} text - 评论正文
+     * @returns {{flagged: boolean, reason: string}} 命中时 reason 说明命中的规则
+     */
+    check(text) {
+      const lower = String(text).toLowerCase();
+      const word = lowered.find(w => lower.includes(w));
+      if (word) return { flagged: true, reason: `屏蔽词: ${word}` };
+      const re = regexes.find(r => r.test(text));
+      if (re) return { flagged: true, reason: `规则: ${re.source}` };
+      return { flagged: false, reason: '' };
+    },
+  };
+}
+
+/**
+ * 从JSON文件读取过滤规则（文件不存在时返回空规则）
+ * @param {string} file - 规则文件路径，格式 { "words": [...], "patterns": [...] }
+ * @returns {{words: Array, patterns: Array}}
+ */
+export function loadFilterRules(file) {
+  if (!file || !fs.existsSync(file)) return { words: [], patterns: [] };
+  const raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return {
+    words: Array.isArray(raw.words) ? raw.words : [],
+    patterns: Array.isArray(raw.patterns) ? raw.patterns : [],
+  };
+}
@@ -0,0 +1,86 @@
+// ========== 服务端渲染的文章页 ==========
+// /article/:id 返回与首页相同的 SPA 页面，但在 <head> 中写入文章标题、摘要以及
+// Open Graph / Twitter Card 元信息，供聊天软件和社交网站生成链接预览；
+// <noscript> 中附带文章标题、摘要和原文链接，未运行脚本的客户端也能看到内容。
+
+export const SITE_NAME = '今日洋闻';
+const DESCRIPTION_MAX_CHARS = 200;
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} s - 文本
+ * @returns {string}
+ */
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * 截断摘要（按字符，超出时以省略号结尾）
+ * @param {string} text - 摘要
+ * @returns {string}
+ */
+function truncate(text) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > DESCRIPTION_MAX_CHARS ? `${s.slice(0, DESCRIPTION_MAX_CHARS - 1)}…` : s;
+}
+
+/**
+ * 原文链接只接受 http / https（避免 javascript: 等地址出现在可点击的链接中）
+ * @param {string} url - 原文地址
+ * @returns {boolean}
+ */
+function isWebUrl(url) {
+  try {
+    const { protocol } = new URL(String(url || ''));
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * 渲染文章页
+ * @param {string} template - 首页 index.html 的内容
+ * @param {object} article - 文章对象
+ * @param {object} options - { url: 文章页的完整地址 }
+ * @returns {string} HTML
+ */
+export function renderArticlePage(template, article, { url }) {
+  const articleTitle = article.title || '';
+  const title = articleTitle ? `${articleTitle} - ${SITE_NAME}` : SITE_NAME;
+  const description = truncate(article.summary) || article.source || SITE_NAME;
+  const meta = [
+    ['name', 'description', description],
+    ['property', 'og:type', 'article'],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:title', articleTitle],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ...(article.cover ? [['property', 'og:image', article.cover]] : []),
+    ...(article.publishedAt ? [['property', 'article:published_time', article.publishedAt]] : []),
+    ['name', 'twitter:card', article.cover ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', articleTitle],
+    ['name', 'twitter:description', description],
+    ...(article.cover ? [['name', 'twitter:image', article.cover]] : []),
+  ].map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeHtml(value)}" />`);
+  const head = [
+    `<title>${escapeHtml(title)}</title>`,
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    ...meta,
+  ].join('\n    ');
+
+  const noscript = `
+    <noscript>
+      <article class="ssr-article">
+        <h1>${escapeHtml(articleTitle)}</h1>
+        <p>${escapeHtml(article.source || '')}${article.publishedAt ? ` · ${escapeHtml(article.publishedAt)}` : ''}</p>
+        <p>${escapeHtml(article.summary || '')}</p>
+        ${isWebUrl(article.url) ? `<p><a href="${escapeHtml(article.url)}" rel="noopener">${escapeHtml(article.url)}</a></p>` : ''}
+      </article>
+    </noscript>`;
+
+  return template
+    .replace(/<title>[\s\S]*?<\/title>/, () => head)
+    .replace(/<body>/, () => `<body>${noscript}`);
+}
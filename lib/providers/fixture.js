@@ -0,0 +1,58 @@
+// ========== 本地JSON夹具新闻源（离线开发/测试用） ==========
+
+import fs from 'fs';
+
+/**
+ * 创建JSON夹具新闻源
+ * 夹具文件格式：{ "articles": [{ ...NewsAPI文章字段, "category": "technology" }] }
+ * @param {object} options - { file: 夹具文件路径 }
+ * @returns {object} 新闻源实例
+ */
+export function createFixtureProvider({ file } = {}) {
+  let cache = null;
+
+  /**
+   * 读取夹具文件（首次调用时加载，之后复用）
+   * @returns {Array} 文章列表
+   */
+  function load() {
+    if (!cache) {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      cache = Array.isArray(parsed) ? parsed : (parsed.articles || []);
+    }
+    return cache;
+  }
+
+  /**
+   * 判断文章是否匹配关键词（标题/摘要，不区分大小写）
+   * @param {object} a - 文章
+   * @param {string} q - 关键词
+   * @returns {boolean}
+   */
+  function matches(a, q) {
+    if (!q) return true;
+    const needle = q.toLowerCase();
+    return `${a.title || ''} ${a.description || ''}`.toLowerCase().includes(needle);
+  }
+
+  /**
+   * 按发布时间倒序排列
+   * @param {Array} list - 文章列表
+   * @returns {Array} 新数组
+   */
+  const byDateDesc = (list) => list.slice().sort((a, b) =>
+    new Date(b.publishedAt || 0).getTime() - new Date(a.publishedAt || 0).getTime());
+
+  return {
+    name: 'fixture',
+
+    async fetchTopHeadlines(category, q = '', pageSize = 20) {
+      const list = load().filter(a => (!category || a.category === category) && matches(a, q));
+      return byDateDesc(list).slice(0, Number(pageSize));
+    },
+
+    async search(q) {
+      return byDateDesc(load().filter(a => matches(a, q))).slice(0, 50);
+    },
+  };
+}
@@ -0,0 +1,34 @@
+// ========== 新闻源（Provider）层 ==========
+//
+// 每个新闻源实现相同的接口：
+//   fetchTopHeadlines(category, q, pageSize, { country }) -> Promise<Array>  获取某个上游分类的头条
+//                                                         （country 为空时使用新闻源默认值，不支持的新闻源忽略）
+//   search(q)                                -> Promise<Array>  按关键词搜索
+// 返回的文章统一使用 NewsAPI 的字段格式：
+//   { title, description, url, urlToImage, publishedAt, source: { name } }
+
+import fs from 'fs';
+import { createNewsApiProvider } from './newsapi.js';
+import { createRssProvider } from './rss.js';
+import { createFixtureProvider } from './fixture.js';
+
+/**
+ * 根据名称创建新闻源
+ * @param {string} name - 新闻源名称：newsapi / rss / fixture
+ * @param {object} config - { apiKey, country, rssFeedsFile, fixtureFile }
+ * @returns {object} 新闻源实例
+ */
+export function createProvider(name, config = {}) {
+  switch (name) {
+    case 'newsapi':
+      return createNewsApiProvider({ apiKey: config.apiKey, country: config.country });
+    case 'rss': {
+      const feeds = JSON.parse(fs.readFileSync(config.rssFeedsFile, 'utf-8'));
+      return createRssProvider({ feeds });
+    }
+    case 'fixture':
+      return createFixtureProvider({ file: config.fixtureFile });
+    default:
+      throw new Error(`未知的新闻源: ${name}`);
+  }
+}
@@ -0,0 +1,59 @@
+// ========== NewsAPI 新闻源 ==========
+
+import { httpJSON } from '../http.js';
+
+const BASE_URL = 'https://newsapi.org/v2';
+
+/**
+ * 创建 NewsAPI 新闻源
+ * @param {object} options - { apiKey, country }
+ * @returns {object} 新闻源实例
+ */
+export function createNewsApiProvider({ apiKey, country = 'us' } = {}) {
+  /**
+   * 请求 NewsAPI 指定端点
+   * @param {string} endpoint - 端点名（top-headlines / everything）
+   * @param {object} params - 查询参数
+   * @returns {Promise<Array>} 文章列表
+   */
+  async function call(endpoint, params) {
+    const url = `${BASE_URL}/${endpoint}?${new URLSearchParams({
+      ...params,
+      apiKey,
+    }).toString()}`;
+    const data = await httpJSON(url);
+    return data.articles || [];
+  }
+
+  return {
+    name: 'newsapi',
+
+    /**
+     * 获取分类头条
+     * @param {string} category - NewsAPI分类（technology/business/general/sports...）
+     * @param {string} q - 搜索关键词
+     * @param {number} pageSize - 条数
+     * @param {object} options - { country: 覆盖默认国家代码 }
+     */
+    fetchTopHeadlines(category, q = '', pageSize = 20, options = {}) {
+      return call('top-headlines', {
+        category,
+        q,
+        country: options.country || country,
+        pageSize: String(pageSize),
+      });
+    },
+
+    /**
+     * 全文搜索
+     * @param {string} q - 搜索关键词
+     */
+    search(q) {
+      return call('everything', {
+        q,
+        sortBy: 'publishedAt',
+        pageSize: '50',
+      });
+    },
+  };
+}
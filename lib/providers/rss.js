@@ -0,0 +1,152 @@
+// ========== RSS/Atom 新闻源 ==========
+
+import { httpText } from '../http.js';
+
+/**
+ * 解码XML实体和CDATA
+ * @param {string} s - 原始文本
+ * @returns {string} 解码后的文本
+ */
+function decodeXml(s) {
+  if (!s) return '';
+  return s
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * 去除HTML标签（摘要中常夹带HTML）
+ * @param {string} s - 含HTML的文本
+ * @returns {string} 纯文本
+ */
+function stripTags(s) {
+  return String(s || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 读取第一个匹配标签的文本内容
+ * @param {string} xml - XML片段
+ * @param {string[]} names - 候选标签名（按优先级）
+ * @returns {string} 标签内容
+ */
+function tagText(xml, names) {
+  for (const name of names) {
+    const re = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i');
+    const m = xml.match(re);
+    if (m) return decodeXml(m[1]);
+  }
+  return '';
+}
+
+/**
+ * 读取第一个匹配标签的属性值
+ * @param {string} xml - XML片段
+ * @param {string} name - 标签名
+ * @param {string} attr - 属性名
+ * @param {Function} filter - 可选的标签过滤（接收完整标签字符串）
+ * @returns {string} 属性值
+ */
+function tagAttr(xml, name, attr, filter = () => true) {
+  const re = new RegExp(`<${name}\\b[^>]*>`, 'gi');
+  for (const m of xml.matchAll(re)) {
+    if (!filter(m[0])) continue;
+    const a = m[0].match(new RegExp(`\\s${attr}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    if (a) return decodeXml(a[1]);
+  }
+  return '';
+}
+
+/**
+ * 解析RSS 2.0或Atom文档为 NewsAPI 格式的文章列表
+ * @param {string} xml - 订阅源XML
+ * @returns {Array} 文章列表
+ */
+export function parseFeed(xml) {
+  const isAtom = /<feed\b[^>]*>/i.test(xml) && !/<rss\b/i.test(xml);
+  const channelHead = xml.split(isAtom ? /<entry\b/i : /<item\b/i)[0];
+  const feedTitle = tagText(channelHead, ['title']);
+  const blocks = xml.match(isAtom ? /<entry\b[\s\S]*?<\/entry>/gi : /<item\b[\s\S]*?<\/item>/gi) || [];
+
+  return blocks.map((block) => {
+    const url = isAtom
+      ? tagAttr(block, 'link', 'href', (t) => !/rel\s*=\s*["'](?!alternate)/i.test(t))
+      : (tagText(block, ['link']) || tagText(block, ['guid']));
+    const image = tagAttr(block, 'media:content', 'url')
+      || tagAttr(block, 'media:thumbnail', 'url')
+      || tagAttr(block, 'enclosure', 'url', (t) => /type\s*=\s*["']image\//i.test(t));
+    const published = tagText(block, isAtom ? ['published', 'updated'] : ['pubDate', 'dc:date']);
+    const date = published ? new Date(published) : null;
+
+    return {
+      title: stripTags(tagText(block, ['title'])),
+      description: stripTags(tagText(block, isAtom ? ['summary', 'content'] : ['description', 'content:encoded'])),
+      url,
+      urlToImage: image || null,
+      publishedAt: date && !isNaN(date.getTime()) ? date.toISOString() : null,
+      source: { name: tagText(block, ['source']) || feedTitle },
+    };
+  }).filter(a => a.title && a.url);
+}
+
+/**
+ * 创建RSS/Atom新闻源
+ * @param {object} options - { feeds: { NewsAPI分类: [订阅源URL...] } }
+ * @returns {object} 新闻源实例
+ */
+export function createRssProvider({ feeds = {} } = {}) {
+  /**
+   * 拉取多个订阅源并合并（单个源失败不影响其他源；全部失败时抛出，由调用方降级到本地数据）
+   * @param {string[]} urls - 订阅源地址列表
+   * @param {string} category - 文章所属分类
+   * @returns {Promise<Array>} 按发布时间倒序的文章列表
+   */
+  async function fetchAll(urls, category) {
+    let failed = 0;
+    let lastError = null;
+    const results = await Promise.all(urls.map(async (url) => {
+      try {
+        return parseFeed(await httpText(url)).map(a => ({ ...a, category }));
+      } catch (err) {
+        console.error(`[rss] fetch ${url} failed:`, err.message);
+        failed++;
+        lastError = err;
+        return [];
+      }
+    }));
+    if (urls.length && failed === urls.length) {
+      throw new Error(`分类 ${category} 的 ${failed} 个订阅源全部拉取失败: ${lastError.message}`);
+    }
+    return results.flat().sort((a, b) =>
+      new Date(b.publishedAt || 0).getTime() - new Date(a.publishedAt || 0).getTime());
+  }
+
+  /**
+   * 判断文章是否匹配关键词
+   */
+  const matches = (a, q) => !q || `${a.title} ${a.description}`.toLowerCase().includes(q.toLowerCase());
+
+  return {
+    name: 'rss',
+
+    async fetchTopHeadlines(category, q = '', pageSize = 20) {
+      const list = await fetchAll(feeds[category] || [], category);
+      return list.filter(a => matches(a, q)).slice(0, Number(pageSize));
+    },
+
+    async search(q) {
+      // 部分分类的订阅源全部失败时仍返回其余分类的结果，所有分类都失败才抛出
+      const settled = await Promise.allSettled(Object.entries(feeds).map(([cat, urls]) => fetchAll(urls, cat)));
+      const rejected = settled.filter(r => r.status === 'rejected');
+      if (settled.length && rejected.length === settled.length) throw rejected[0].reason;
+      const all = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+      return all.flat().filter(a => matches(a, q)).slice(0, 50);
+    },
+  };
+}
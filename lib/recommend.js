@@ -0,0 +1,177 @@
+// ========== 个性化推荐 ==========
+// 根据用户点赞、评论和阅读过的文章建立兴趣画像（分类、来源、标题关键词），
+// 按内容相似度为候选文章打分，再叠加新鲜度与热度，最后做多样性重排。
+// 没有任何行为数据的新用户（冷启动）按热度和新鲜度排序，同样经过多样性重排。
+
+import { tokenize } from './search.js';
+
+// 各类行为的兴趣权重
+export const SIGNAL_WEIGHTS = {
+  like: 3,
+  comment: 2,
+  click: 1.5,
+  view: 1,
+  dwell: 1,
+};
+
+const SIGNAL_HALF_LIFE_MS = 14 * 24 * 3600 * 1000;   // 行为权重的半衰期：14天
+const MAX_PROFILE_TERMS = 60;                        // 画像中保留的关键词数量
+
+// 相似度各部分的权重
+const SIMILARITY_WEIGHTS = { category: 0.45, source: 0.2, terms: 0.35 };
+
+/**
+ * 提取标题关键词（去重）
+ * @param {object} article - 文章对象
+ * @returns {Set<string>}
+ */
+function titleTerms(article) {
+  return new Set(tokenize(article.title || '').map(t => t.term).filter(t => t.length > 1));
+}
+
+/**
+ * 将权重表归一化，使最大值为1
+ * @param {Map<string, number>} map
+ * @returns {Map<string, number>}
+ */
+function normalize(map) {
+  const max = Math.max(0, ...map.values());
+  if (!max) return map;
+  return new Map([...map].map(([k, v]) => [k, v / max]));
+}
+
+/**
+ * 构建兴趣画像
+ * @param {Array<{article: object, kind: string, at: string}>} signals - 用户行为（kind: like / comment / view / click / dwell）
+ * @param {object} options - { now }
+ * @returns {{categories: Map, sources: Map, terms: Map, seen: Set<string>, size: number}}
+ */
+export function buildProfile(signals, { now = Date.now() } = {}) {
+  const categories = new Map();
+  const sources = new Map();
+  const terms = new Map();
+  const seen = new Set();
+  const add = (map, key, w) => { if (key) map.set(key, (map.get(key) || 0) + w); };
+
+  for (const { article, kind, at } of signals) {
+    seen.add(article.id);
+    const base = SIGNAL_WEIGHTS[kind] || 0;
+    if (!base) continue;
+    const ageMs = Math.max(0, now - (Date.parse(at || '') || now));
+    const w = base * Math.pow(0.5, ageMs / SIGNAL_HALF_LIFE_MS);
+
+    add(categories, article.primaryCategory, w);
+    add(sources, article.source, w);
+    for (const term of titleTerms(article)) add(terms, term, w);
+  }
+
+  // 只保留权重最高的关键词，避免长尾噪声
+  const topTerms = new Map([...terms].sort((a, b) => b[1] - a[1]).slice(0, MAX_PROFILE_TERMS));
+  return {
+    categories: normalize(categories),
+    sources: normalize(sources),
+    terms: normalize(topTerms),
+    seen,
+    size: signals.length,
+  };
+}
+
+/**
+ * 候选文章与画像的内容相似度（0~1）
+ * @param {object} article - 候选文章
+ * @param {object} profile - buildProfile 的返回值
+ * @returns {number}
+ */
+export function contentSimilarity(article, profile) {
+  const cat = profile.categories.get(article.primaryCategory) || 0;
+  const src = profile.sources.get(article.source) || 0;
+
+  // 标题关键词：命中画像关键词的权重之和，按标题长度做平方根归一
+  const words = titleTerms(article);
+  let hit = 0;
+  for (const w of words) hit += profile.terms.get(w) || 0;
+  const termScore = words.size ? Math.min(1, hit / Math.sqrt(words.size)) : 0;
+
+  return SIMILARITY_WEIGHTS.category * cat + SIMILARITY_WEIGHTS.source * src + SIMILARITY_WEIGHTS.terms * termScore;
+}
+
+/**
+ * 新鲜度（0~1）：发布后 halfLifeHours 小时降为一半
+ * @param {string} publishedAt - 发布时间
+ * @param {number} now - 当前时间戳
+ * @param {number} halfLifeHours - 半衰期（小时）
+ * @returns {number}
+ */
+export function freshness(publishedAt, now = Date.now(), halfLifeHours = 24) {
+  const t = Date.parse(publishedAt || '');
+  if (Number.isNaN(t)) return 0;
+  return Math.pow(0.5, Math.max(0, now - t) / 3600000 / halfLifeHours);
+}
+
+/**
+ * 多样性重排：依次选出得分最高的文章，与已选文章同分类/同来源的候选按次数衰减
+ * @param {Array<{article: object, score: number}>} scored - 已打分的候选
+ * @param {object} options - { categoryPenalty, sourcePenalty }
+ * @returns {Array} 重排后的列表
+ */
+export function diversify(scored, { categoryPenalty = 0.8, sourcePenalty = 0.7 } = {}) {
+  const remaining = scored.slice().sort((a, b) => b.score - a.score);
+  const catCount = new Map();
+  const srcCount = new Map();
+  const out = [];
+
+  while (remaining.length) {
+    let bestIdx = 0;
+    let best = -Infinity;
+    // 剩余列表按原始分数降序，原始分数已低于当前最优时不可能再胜出
+    for (let i = 0; i < remaining.length && remaining[i].score > best; i++) {
+      const { article, score } = remaining[i];
+      const adjusted = score
+        * Math.pow(categoryPenalty, catCount.get(article.primaryCategory) || 0)
+        * Math.pow(sourcePenalty, srcCount.get(article.source) || 0);
+      if (adjusted > best) {
+        best = adjusted;
+        bestIdx = i;
+      }
+    }
+    const [pick] = remaining.splice(bestIdx, 1);
+    catCount.set(pick.article.primaryCategory, (catCount.get(pick.article.primaryCategory) || 0) + 1);
+    srcCount.set(pick.article.source, (srcCount.get(pick.article.source) || 0) + 1);
+    out.push({ ...pick, score: best });
+  }
+  return out;
+}
+
+/**
+ * 生成推荐列表
+ * @param {Array} candidates - 候选文章
+ * @param {object} profile - buildProfile 的返回值
+ * @param {object} options - { now, popularity: Map<文章ID, 热度分（任意非负数）> }
+ * @returns {Array<{article: object, score: number, reason: string}>} 推荐结果（已读文章排在最后）
+ */
+export function recommend(candidates, profile, { now = Date.now(), popularity = new Map() } = {}) {
+  const coldStart = profile.size === 0;
+  const maxPop = Math.max(1, ...popularity.values());
+  // 新鲜度以候选中最新的文章为基准，新闻源长时间未更新时仍能区分先后
+  const newest = Math.max(0, ...candidates.map(a => Date.parse(a.publishedAt || '') || 0));
+  const freshAt = newest ? Math.min(now, newest) : now;
+
+  const scored = candidates.map(article => {
+    const pop = Math.log1p(popularity.get(article.id) || 0) / Math.log1p(maxPop);
+    const fresh = freshness(article.publishedAt, freshAt);
+    const sim = coldStart ? 0 : contentSimilarity(article, profile);
+    // 冷启动时只看热度与新鲜度；有画像时相似度为主
+    const score = coldStart
+      ? 0.5 * pop + 0.5 * fresh
+      : 0.6 * sim + 0.25 * fresh + 0.15 * pop;
+    let reason = 'fresh';
+    if (sim >= 0.3) reason = 'interest';
+    else if (pop >= fresh && pop > 0) reason = 'popular';
+    return { article, score, reason };
+  });
+
+  // 已读过的文章不参与重排，放在最后（新鲜内容优先）
+  const unseen = scored.filter(s => !profile.seen.has(s.article.id));
+  const seen = scored.filter(s => profile.seen.has(s.article.id)).sort((a, b) => b.score - a.score);
+  return [...diversify(unseen), ...seen];
+}
@@ -0,0 +1,131 @@
+// ========== 后台定时任务 ==========
+// 进程内的任务调度：每个任务按固定间隔运行，失败后按指数退避重试。
+// 上游返回限流错误（err.rateLimited，见 http.js）时暂停所有任务，
+// 等待 Retry-After 或默认的限流冷却时间后再继续，避免在配额耗尽期间继续消耗请求。
+
+/**
+ * 创建任务调度器
+ * @param {object} options - { retryMs: 首次失败后的重试间隔, maxBackoffMs: 退避上限, rateLimitMs: 限流时的默认暂停时长 }
+ * @returns {object} 调度器：add / remove / has / status / stop
+ */
+export function createScheduler({ retryMs = 60 * 1000, maxBackoffMs = 6 * 3600 * 1000, rateLimitMs = 30 * 60 * 1000 } = {}) {
+  const jobs = new Map();   // 任务名 -> 任务状态
+  let pausedUntil = 0;      // 限流暂停截止时间（时间戳）
+  let stopped = false;
+
+  /**
+   * 安排任务在 delayMs 后运行（加入少量随机抖动，避免多个任务同时触发）
+   */
+  function schedule(job, delayMs) {
+    clearTimeout(job.timer);
+    if (stopped) return;
+    const delay = Math.max(0, delayMs) + Math.floor(Math.random() * 1000);
+    job.nextRunAt = Date.now() + delay;
+    job.timer = setTimeout(() => run(job), delay);
+    job.timer.unref();
+  }
+
+  /**
+   * 运行一次任务，根据结果安排下一次
+   */
+  async function run(job) {
+    if (jobs.get(job.name) !== job) return;   // 已被移除
+    const now = Date.now();
+    if (now < pausedUntil) return schedule(job, pausedUntil - now);
+
+    job.running = true;
+    job.lastRunAt = new Date(now).toISOString();
+    try {
+      await job.run();
+      job.runs++;
+      job.consecutiveFailures = 0;
+      job.lastSuccessAt = new Date().toISOString();
+      schedule(job, job.intervalMs);
+    } catch (err) {
+      job.runs++;
+      job.failures++;
+      job.consecutiveFailures++;
+      job.lastError = {
+        message: String(err && (err.message || err)),
+        status: err?.status || null,
+        rateLimited: !!err?.rateLimited,
+        at: new Date().toISOString(),
+      };
+      let delay = Math.min(retryMs * 2 ** (job.consecutiveFailures - 1), maxBackoffMs);
+      if (err?.rateLimited) {
+        delay = Math.max(delay, err.retryAfterMs || rateLimitMs);
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      }
+      schedule(job, delay);
+      console.error(`[scheduler] ${job.name} failed (${job.consecutiveFailures}):`, job.lastError.message);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  return {
+    /**
+     * 添加任务（同名任务已存在时忽略）
+     * @param {string} name - 任务名
+     * @param {Function} fn - 任务函数（返回Promise；抛出错误视为失败）
+     * @param {object} options - { intervalMs: 运行间隔, delayMs: 首次运行前的等待时间, meta: 状态中附带的信息 }
+     */
+    add(name, fn, { intervalMs, delayMs = 0, meta = {} }) {
+      if (jobs.has(name) || stopped) return;
+      const job = {
+        name, meta, intervalMs, run: fn, timer: null, running: false,
+        runs: 0, failures: 0, consecutiveFailures: 0,
+        lastRunAt: null, lastSuccessAt: null, lastError: null, nextRunAt: null,
+      };
+      jobs.set(name, job);
+      schedule(job, delayMs);
+    },
+
+    /**
+     * 移除任务（正在运行的这一次不会中断）
+     * @param {string} name - 任务名
+     */
+    remove(name) {
+      const job = jobs.get(name);
+      if (!job) return;
+      clearTimeout(job.timer);
+      jobs.delete(name);
+    },
+
+    /** 任务名列表 */
+    names() {
+      return [...jobs.keys()];
+    },
+
+    /**
+     * 各任务的运行状态
+     * @returns {object} { pausedUntil, jobs: [...] }
+     */
+    status() {
+      return {
+        pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+        jobs: [...jobs.values()].map(j => ({
+          name: j.name,
+          ...j.meta,
+          intervalMs: j.intervalMs,
+          running: j.running,
+          runs: j.runs,
+          failures: j.failures,
+          consecutiveFailures: j.consecutiveFailures,
+          lastRunAt: j.lastRunAt,
+          lastSuccessAt: j.lastSuccessAt,
+          lastError: j.lastError,
+          nextRunAt: j.nextRunAt ? new Date(j.nextRunAt).toISOString() : null,
+        })),
+      };
+    },
+
+    /**
+     * 停止所有任务
+     */
+    stop() {
+      stopped = true;
+      for (const job of jobs.values()) clearTimeout(job.timer);
+    },
+  };
+}
@@ -0,0 +1,357 @@
+// ========== 本地全文检索 ==========
+// 基于倒排索引的文章搜索：
+//   - 分词：英文/数字按单词切分，中日韩文字按二元组（bigram）切分
+//   - 排序：BM25，标题/来源权重高于摘要
+//   - 查询语法：普通词（全部需匹配）、"短语"、前缀*
+//   - 过滤：分类、来源、发布时间范围
+//   - 结果附带 <mark> 高亮片段（已做HTML转义）
+
+const FIELDS = { title: 3, source: 2, summary: 1 };  // 字段及其权重
+const K1 = 1.2;
+const B = 0.75;
+const SNIPPET_LENGTH = 160;
+
+// 常见英文停用词（不参与索引和查询）
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'will', 'with',
+]);
+
+const CJK = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff\\uac00-\\ud7af';
+const TOKEN_RE = new RegExp(`[${CJK}]+|[\\p{L}\\p{N}]+`, 'gu');
+const CJK_RE = new RegExp(`^[${CJK}]`, 'u');
+
+/**
+ * 分词
+ * @param {string} text - 原文
+ * @param {object} options - { keepStopwords: 是否保留停用词（短语查询需要保留位置） }
+ * @returns {Array<{term: string, pos: number, start: number, end: number}>} 词元及其位置和原文偏移
+ */
+export function tokenize(text, { keepStopwords = false } = {}) {
+  const out = [];
+  if (!text) return out;
+  const src = String(text);
+  let pos = 0;
+  for (const m of src.matchAll(TOKEN_RE)) {
+    const word = m[0];
+    const start = m.index;
+    if (CJK_RE.test(word)) {
+      // 中文等无空格文字：单字成词，多字按二元组切分
+      const chars = Array.from(word);
+      if (chars.length === 1) {
+        out.push({ term: word, pos: pos++, start, end: start + word.length });
+        continue;
+      }
+      let offset = start;
+      for (let i = 0; i < chars.length - 1; i++) {
+        const term = chars[i] + chars[i + 1];
+        out.push({ term, pos: pos++, start: offset, end: offset + term.length });
+        offset += chars[i].length;
+      }
+    } else {
+      const term = word.normalize('NFKC').toLowerCase();
+      if (!keepStopwords && STOPWORDS.has(term)) {
+        pos++;
+        continue;
+      }
+      out.push({ term, pos: pos++, start, end: start + word.length });
+    }
+  }
+  return out;
+}
+
+/**
+ * 将一段文本转换为查询子句（多个词元时按短语处理，保留停用词占位）
+ * @param {string} text - 文本
+ * @returns {object|null} 子句
+ */
+function textClause(text) {
+  const tokens = tokenize(text);
+  if (!tokens.length) return null;
+  if (tokens.length === 1) return { type: 'term', terms: [tokens[0].term] };
+  return {
+    type: 'phrase',
+    terms: tokens.map(t => t.term),
+    offsets: tokens.map(t => t.pos - tokens[0].pos),  // 相对位置（跳过的停用词也占位）
+  };
+}
+
+/**
+ * 解析查询字符串
+ * @param {string} q - 查询，如：apple "climate change" tech*
+ * @returns {Array<{type: string, terms: string[]}>} 子句：term / phrase / prefix
+ */
+export function parseQuery(q) {
+  const clauses = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  for (const m of String(q || '').matchAll(re)) {
+    const raw = m[1] !== undefined ? m[1] : m[2];
+    if (m[2] !== undefined && raw.endsWith('*') && raw.length > 1) {
+      const tokens = tokenize(raw.slice(0, -1), { keepStopwords: true });
+      if (tokens.length === 1) {
+        clauses.push({ type: 'prefix', terms: [tokens[0].term] });
+        continue;
+      }
+    }
+    // 连续的中文二元组需要相邻出现，同样按短语处理
+    const clause = textClause(raw.replace(/\*$/, ''));
+    if (clause) clauses.push(clause);
+  }
+  return clauses;
+}
+
+/**
+ * HTML转义
+ * @param {string} s - 原文
+ * @returns {string}
+ */
+function escapeHtml(s) {
+  return String(s || '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  }[c]));
+}
+
+/**
+ * 用 <mark> 包裹命中区间，输出转义后的HTML
+ * @param {string} text - 原文
+ * @param {Array<[number, number]>} ranges - 命中区间（字符偏移）
+ * @returns {string}
+ */
+function markRanges(text, ranges) {
+  if (!ranges.length) return escapeHtml(text);
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  const merged = [sorted[0].slice()];
+  for (const [s, e] of sorted.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (s <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  }
+  let html = '';
+  let cursor = 0;
+  for (const [s, e] of merged) {
+    html += escapeHtml(text.slice(cursor, s)) + '<mark>' + escapeHtml(text.slice(s, e)) + '</mark>';
+    cursor = e;
+  }
+  return html + escapeHtml(text.slice(cursor));
+}
+
+/**
+ * 创建搜索索引
+ * @returns {object} 索引实例
+ */
+export function createSearchIndex() {
+  const postings = new Map();   // term -> Map(docId -> { title: [pos], summary: [pos], source: [pos] })
+  const docs = new Map();       // docId -> { article, lengths: { field: 词数 } }
+  const totalLengths = { title: 0, summary: 0, source: 0 };
+  let sortedTerms = null;       // 前缀查询用的有序词表（索引变化后失效）
+
+  /**
+   * 从索引中移除文档
+   * @param {string} id - 文章ID
+   */
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const field of Object.keys(FIELDS)) {
+      totalLengths[field] -= doc.lengths[field];
+      for (const { term } of tokenize(doc.article[field])) {
+        const list = postings.get(term);
+        if (!list) continue;
+        list.delete(id);
+        if (!list.size) postings.delete(term);
+      }
+    }
+    docs.delete(id);
+    sortedTerms = null;
+  }
+
+  /**
+   * 添加或更新文档
+   * @param {object} article - 文章对象（id, title, summary, source, categories, primaryCategory, publishedAt）
+   */
+  function add(article) {
+    if (!article || !article.id) return;
+    remove(article.id);
+    const lengths = {};
+    for (const field of Object.keys(FIELDS)) {
+      const tokens = tokenize(article[field]);
+      lengths[field] = tokens.length;
+      totalLengths[field] += tokens.length;
+      for (const { term, pos } of tokens) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const list = postings.get(term);
+        if (!list.has(article.id)) list.set(article.id, { title: [], summary: [], source: [] });
+        list.get(article.id)[field].push(pos);
+      }
+    }
+    docs.set(article.id, { article, lengths });
+    sortedTerms = null;
+  }
+
+  /**
+   * 展开前缀为索引中的词
+   * @param {string} prefix - 前缀
+   * @returns {string[]}
+   */
+  function expandPrefix(prefix) {
+    if (!sortedTerms) sortedTerms = Array.from(postings.keys()).sort();
+    let lo = 0;
+    let hi = sortedTerms.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sortedTerms[mid] < prefix) lo = mid + 1;
+      else hi = mid;
+    }
+    const out = [];
+    for (let i = lo; i < sortedTerms.length && sortedTerms[i].startsWith(prefix) && out.length < 50; i++) {
+      out.push(sortedTerms[i]);
+    }
+    return out;
+  }
+
+  /**
+   * 计算子句在各文档中的命中情况
+   * @param {object} clause - parseQuery 返回的子句
+   * @returns {Map<string, object>} docId -> { field: 命中次数 }
+   */
+  function matchClause(clause) {
+    const hits = new Map();
+    const addHits = (docId, field, n) => {
+      if (!hits.has(docId)) hits.set(docId, { title: 0, summary: 0, source: 0 });
+      hits.get(docId)[field] += n;
+    };
+
+    if (clause.type === 'term' || clause.type === 'prefix') {
+      const terms = clause.type === 'prefix' ? expandPrefix(clause.terms[0]) : clause.terms;
+      for (const term of terms) {
+        for (const [docId, fields] of postings.get(term) || []) {
+          for (const field of Object.keys(FIELDS)) {
+            if (fields[field].length) addHits(docId, field, fields[field].length);
+          }
+        }
+      }
+      return hits;
+    }
+
+    // 短语：所有词必须在同一字段内位置连续出现
+    const lists = clause.terms.map(t => postings.get(t));
+    if (lists.some(l => !l)) return hits;
+    for (const [docId, first] of lists[0]) {
+      for (const field of Object.keys(FIELDS)) {
+        let count = 0;
+        for (const p of first[field]) {
+          if (lists.every((l, i) => l.get(docId)?.[field].includes(p + clause.offsets[i]))) count++;
+        }
+        if (count) addHits(docId, field, count);
+      }
+    }
+    return hits;
+  }
+
+  /**
+   * 生成高亮片段
+   * @param {object} article - 文章
+   * @param {Set<string>} terms - 需要高亮的词
+   * @returns {{title: string, summary: string}} 转义后的HTML
+   */
+  function highlight(article, terms) {
+    const rangesOf = (text) => tokenize(text, { keepStopwords: true })
+      .filter(t => terms.has(t.term))
+      .map(t => [t.start, t.end]);
+
+    const title = article.title || '';
+    const summary = article.summary || '';
+    const summaryRanges = rangesOf(summary);
+
+    // 摘要过长时截取第一个命中附近的窗口
+    let start = 0;
+    if (summary.length > SNIPPET_LENGTH && summaryRanges.length) {
+      const first = Math.min(...summaryRanges.map(r => r[0]));
+      start = Math.max(0, Math.min(first - 40, summary.length - SNIPPET_LENGTH));
+      // 尽量从单词边界开始，避免截断英文单词
+      const space = summary.indexOf(' ', start);
+      if (start > 0 && space >= 0 && space < first) start = space + 1;
+    }
+    const end = Math.min(summary.length, start + SNIPPET_LENGTH);
+    const window = summaryRanges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s - start, e - start]);
+    const snippet = (start > 0 ? '…' : '') +
+      markRanges(summary.slice(start, end), window) +
+      (end < summary.length ? '…' : '');
+
+    return { title: markRanges(title, rangesOf(title)), summary: snippet };
+  }
+
+  /**
+   * 搜索
+   * @param {string} q - 查询字符串
+   * @param {object} filters - { category, source, from, to }（from/to 为 ISO 日期或时间）
+   * @returns {Array<{article: object, score: number, highlights: object}>} 按相关度倒序
+   */
+  function search(q, { category, source, from, to } = {}) {
+    const clauses = parseQuery(q);
+    if (!clauses.length) return [];
+
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    // 只给日期时包含当天
+    const toTime = to ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : Infinity;
+    const sourceLower = source ? String(source).toLowerCase() : '';
+    const N = docs.size || 1;
+    const avg = {};
+    for (const field of Object.keys(FIELDS)) avg[field] = (totalLengths[field] / N) || 1;
+
+    let candidates = null;
+    const clauseHits = clauses.map((clause) => {
+      const hits = matchClause(clause);
+      // 所有子句都必须命中（AND）
+      const ids = new Set(hits.keys());
+      candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+      return hits;
+    });
+
+    const highlightTerms = new Set();
+    for (const clause of clauses) {
+      const terms = clause.type === 'prefix' ? expandPrefix(clause.terms[0]) : clause.terms;
+      terms.forEach(t => highlightTerms.add(t));
+    }
+
+    const results = [];
+    for (const id of candidates || []) {
+      const { article, lengths } = docs.get(id);
+      if (category && category !== 'news' && article.primaryCategory !== category &&
+          !(article.categories || []).includes(category)) continue;
+      if (sourceLower && String(article.source || '').toLowerCase() !== sourceLower) continue;
+      const t = Date.parse(article.publishedAt || '');
+      if ((from || to) && (Number.isNaN(t) || t < fromTime || t > toTime)) continue;
+
+      let score = 0;
+      clauseHits.forEach((hits) => {
+        const df = hits.size;
+        const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+        const fieldHits = hits.get(id);
+        for (const [field, weight] of Object.entries(FIELDS)) {
+          const tf = fieldHits[field];
+          if (!tf) continue;
+          const norm = 1 - B + B * (lengths[field] / avg[field]);
+          score += weight * idf * (tf * (K1 + 1)) / (tf + K1 * norm);
+        }
+      });
+      results.push({ article, score, highlights: highlight(article, highlightTerms) });
+    }
+
+    // 相关度相同的按发布时间倒序
+    return results.sort((a, b) => (b.score - a.score) ||
+      (Date.parse(b.article.publishedAt || 0) || 0) - (Date.parse(a.article.publishedAt || 0) || 0));
+  }
+
+  return {
+    add,
+    remove,
+    search,
+    /** 已索引的文档数 */
+    get size() {
+      return docs.size;
+    },
+  };
+}
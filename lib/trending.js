@@ -0,0 +1,69 @@
+// ========== 热榜排序 ==========
+// 基于本地互动数据（点赞、评论、评论点赞、浏览）打分，并按发布时间衰减：
+//   score = (互动分 + 1) / (发布后小时数 + 2) ^ gravity
+// 与 Hacker News 的排序公式相同，gravity 越大，旧文章下沉越快。
+
+// 统计窗口：只计算窗口内发生的互动，候选文章为窗口内发布或有互动的文章
+export const TRENDING_WINDOWS = {
+  '1h': 3600 * 1000,
+  '24h': 24 * 3600 * 1000,
+  '7d': 7 * 24 * 3600 * 1000,
+};
+
+// 各类互动的权重
+export const ENGAGEMENT_WEIGHTS = {
+  likes: 3,
+  comments: 4,
+  commentLikes: 1,
+  views: 0.5,
+};
+
+export const DEFAULT_GRAVITY = 1.8;
+
+/**
+ * 计算互动分
+ * @param {object} counts - { likes, comments, commentLikes, views }
+ * @param {object} weights - 各类互动的权重
+ * @returns {number}
+ */
+export function engagementPoints(counts = {}, weights = ENGAGEMENT_WEIGHTS) {
+  return Object.entries(weights).reduce((sum, [key, w]) => sum + (counts[key] || 0) * w, 0);
+}
+
+/**
+ * 计算单篇文章的热度分
+ * @param {object} counts - 窗口内的互动计数
+ * @param {string} publishedAt - 发布时间
+ * @param {object} options - { now, gravity, weights, fallbackAgeMs: 发布时间未知时视为的文章年龄 }
+ * @returns {number}
+ */
+export function trendingScore(counts, publishedAt, {
+  now = Date.now(),
+  gravity = DEFAULT_GRAVITY,
+  weights = ENGAGEMENT_WEIGHTS,
+  fallbackAgeMs = TRENDING_WINDOWS['24h'],
+} = {}) {
+  const published = Date.parse(publishedAt || '');
+  const ageMs = Number.isNaN(published) ? fallbackAgeMs : Math.max(0, now - published);
+  return (engagementPoints(counts, weights) + 1) / Math.pow(ageMs / 3600000 + 2, gravity);
+}
+
+/**
+ * 对候选文章排序
+ * @param {Array} articles - 候选文章（rowToArticle 格式）
+ * @param {Map<string, object>} countsById - 文章ID -> 窗口内的互动计数
+ * @param {object} options - { category: 前端分类ID（空或 news 表示全部）, limit, now, gravity, weights, fallbackAgeMs }
+ * @returns {Array<{article: object, counts: object, score: number}>} 按热度倒序
+ */
+export function rankTrending(articles, countsById, { category = '', limit = 10, ...scoreOptions } = {}) {
+  const empty = { likes: 0, comments: 0, commentLikes: 0, views: 0 };
+  return articles
+    .filter(a => !category || category === 'news'
+      || a.primaryCategory === category || (a.categories || []).includes(category))
+    .map(article => {
+      const counts = { ...empty, ...countsById.get(article.id) };
+      return { article, counts, score: trendingScore(counts, article.publishedAt, scoreOptions) };
+    })
+    .sort((a, b) => (b.score - a.score) || String(b.article.publishedAt).localeCompare(String(a.article.publishedAt)))
+    .slice(0, limit);
+}
@@ -0,0 +1,394 @@
+// ========== 管理后台 ==========
+// 数据全部来自 /api/admin/*，权限由服务端校验
+
+/**
+ * 发送JSON请求
+ * @param {string} url - 请求地址
+ * @param {object} opts - fetch选项
+ * @returns {Promise<object>} 响应数据
+ */
+async function fetchJSON(url, opts) {
+  const res = await fetch(url, opts);
+  if (!res.ok) {
+    const body = await res.text();
+    let message = body;
+    try { message = JSON.parse(body).error || body; } catch (_) {}
+    const err = new Error(message);
+    err.status = res.status;
+    throw err;
+  }
+  return res.json();
+}
+
+/**
+ * 发送POST请求（JSON请求体）
+ */
+function postJSON(url, body = {}) {
+  return fetchJSON(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+/**
+ * HTML转义
+ * @param {string} s - 原始字符串
+ * @returns {string} 转义后的字符串
+ */
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[c]));
+}
+
+/**
+ * 格式化时间
+ */
+function fmtTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '';
+}
+
+/**
+ * 执行操作并在失败时提示
+ * @param {Function} fn - 异步操作
+ * @param {Function} after - 成功后的回调（通常是刷新当前面板，可省略）
+ */
+async function run(fn, after) {
+  try {
+    await fn();
+    if (after) await after();
+  } catch (e) {
+    alert('操作失败：' + (e.message || e));
+  }
+}
+
+// ========== 概览 ==========
+
+const STAT_LABELS = {
+  users: '用户',
+  admins: '管理员',
+  bannedUsers: '已封禁用户',
+  articles: '文章',
+  hiddenArticles: '已隐藏文章',
+  comments: '评论',
+  pendingComments: '待审核评论',
+  reportedComments: '被举报评论',
+  articleLikes: '文章点赞',
+  activeSessions: '在线会话',
+  searchIndexSize: '搜索索引文章数',
+};
+
+async function loadStats() {
+  const stats = await fetchJSON('/api/admin/stats');
+  document.getElementById('statsGrid').innerHTML = Object.entries(STAT_LABELS).map(([key, label]) => `
+    <div class="admin-stat">
+      <div class="admin-stat-value">${escapeHtml(stats[key] ?? 0)}</div>
+      <div class="admin-stat-label">${label}</div>
+    </div>`).join('');
+}
+
+// ========== 评论审核 ==========
+
+const STATUS_LABELS = { visible: '公开', pending: '待审核', hidden: '已隐藏' };
+
+async function loadQueue() {
+  const { items } = await fetchJSON('/api/admin/comments/queue');
+  const body = document.getElementById('queueBody');
+  if (!items.length) {
+    body.innerHTML = '<tr><td colspan="5" class="admin-empty">暂无待处理的评论</td></tr>';
+    return;
+  }
+  body.innerHTML = items.map(c => `
+    <tr data-id="${escapeHtml(c.id)}">
+      <td class="admin-text">${escapeHtml(c.text)}<div class="admin-sub">${fmtTime(c.createdAt)}</div></td>
+      <td>${escapeHtml(c.username)}</td>
+      <td>${STATUS_LABELS[c.status] || escapeHtml(c.status)}</td>
+      <td>
+        ${c.moderationNote ? `<div>${escapeHtml(c.moderationNote)}</div>` : ''}
+        ${c.reports.map(r => `<div class="admin-sub">${escapeHtml(r.username)}：${escapeHtml(r.reason || '（未填写）')}</div>`).join('')}
+      </td>
+      <td class="admin-actions">
+        <button class="btn" data-act="approve">通过</button>
+        <button class="btn" data-act="hide">隐藏</button>
+        <button class="btn" data-act="delete">删除</button>
+      </td>
+    </tr>`).join('');
+}
+
+document.getElementById('queueBody').addEventListener('click', (e) => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const id = encodeURIComponent(btn.closest('tr').dataset.id);
+  const act = btn.dataset.act;
+  if (act === 'delete' && !confirm('确定删除这条评论吗？')) return;
+  run(() => act === 'delete'
+    ? fetchJSON(`/api/admin/comments/${id}`, { method: 'DELETE' })
+    : postJSON(`/api/admin/comments/${id}/${act}`), loadQueue);
+});
+
+// ========== 分页表格（用户、文章） ==========
+
+/**
+ * 创建带“加载更多”的列表面板
+ * @param {object} options - { url, form, body, more, renderRow }
+ * @returns {Function} reload()：按当前搜索条件重新加载第一页
+ */
+function createPagedTable({ url, form, body, more, renderRow, emptyText }) {
+  const formEl = document.getElementById(form);
+  const bodyEl = document.getElementById(body);
+  const moreEl = document.getElementById(more);
+  let cursor = '';
+
+  async function load(reset) {
+    const params = new URLSearchParams();
+    for (const [key, value] of new FormData(formEl)) {
+      if (value) params.set(key, value === 'on' ? '1' : value);
+    }
+    if (!reset && cursor) params.set('cursor', cursor);
+    const data = await fetchJSON(`${url}?${params}`);
+    const html = data.items.map(renderRow).join('');
+    if (reset) {
+      bodyEl.innerHTML = html || `<tr><td colspan="6" class="admin-empty">${emptyText}</td></tr>`;
+    } else {
+      bodyEl.insertAdjacentHTML('beforeend', html);
+    }
+    cursor = data.nextCursor || '';
+    moreEl.style.display = data.hasMore ? 'block' : 'none';
+  }
+
+  formEl.addEventListener('submit', (e) => {
+    e.preventDefault();
+    run(() => load(true));
+  });
+  moreEl.onclick = () => run(() => load(false));
+  return () => load(true);
+}
+
+const loadUsers = createPagedTable({
+  url: '/api/admin/users',
+  form: 'userSearch',
+  body: 'usersBody',
+  more: 'usersMore',
+  emptyText: '没有找到用户',
+  renderRow: (u) => `
+    <tr data-username="${escapeHtml(u.username)}">
+      <td>${escapeHtml(u.username)}</td>
+      <td>${u.role === 'admin' ? '管理员' : '普通用户'}</td>
+      <td>${u.bannedAt ? `已封禁<div class="admin-sub">${escapeHtml(u.banReason)}</div>` : '正常'}</td>
+      <td>${u.commentCount}</td>
+      <td>${fmtTime(u.createdAt)}</td>
+      <td class="admin-actions">
+        ${u.role === 'admin'
+          ? '<button class="btn" data-act="demote">取消管理员</button>'
+          : u.bannedAt
+            ? '<button class="btn" data-act="unban">解封</button>'
+            : '<button class="btn" data-act="ban">封禁</button><button class="btn" data-act="promote">设为管理员</button>'}
+      </td>
+    </tr>`,
+});
+
+document.getElementById('usersBody').addEventListener('click', (e) => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const name = btn.closest('tr').dataset.username;
+  const base = `/api/admin/users/${encodeURIComponent(name)}`;
+  const act = btn.dataset.act;
+  if (act === 'ban') {
+    const reason = prompt(`封禁 ${name} 的原因：`, '');
+    if (reason === null) return;
+    run(() => postJSON(`${base}/ban`, { reason }), loadUsers);
+  } else if (act === 'unban') {
+    run(() => postJSON(`${base}/unban`), loadUsers);
+  } else {
+    run(() => postJSON(`${base}/role`, { role: act === 'promote' ? 'admin' : 'user' }), loadUsers);
+  }
+});
+
+const loadArticles = createPagedTable({
+  url: '/api/admin/articles',
+  form: 'articleSearch',
+  body: 'articlesBody',
+  more: 'articlesMore',
+  emptyText: '没有找到文章',
+  renderRow: (a) => `
+    <tr data-id="${escapeHtml(a.id)}">
+      <td class="admin-text">${a.url ? `<a href="${escapeHtml(a.url)}" target="_blank" rel="noopener">${escapeHtml(a.title)}</a>` : escapeHtml(a.title)}</td>
+      <td>${escapeHtml(a.source)}</td>
+      <td>${fmtTime(a.publishedAt)}</td>
+      <td>${a.likes}</td>
+      <td>${a.hidden ? '已隐藏' : '公开'}</td>
+      <td class="admin-actions">
+        <button class="btn" data-act="${a.hidden ? 'unhide' : 'hide'}">${a.hidden ? '恢复' : '隐藏'}</button>
+      </td>
+    </tr>`,
+});
+
+document.getElementById('articlesBody').addEventListener('click', (e) => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const id = encodeURIComponent(btn.closest('tr').dataset.id);
+  run(() => postJSON(`/api/admin/articles/${id}/${btn.dataset.act}`), loadArticles);
+});
+
+// ========== 阅读数据 ==========
+
+/**
+ * 格式化停留时长
+ * @param {number} ms - 毫秒
+ * @returns {string} 如 "1分20秒"
+ */
+function fmtDuration(ms) {
+  const s = Math.round(ms / 1000);
+  return s >= 60 ? `${Math.floor(s / 60)}分${s % 60}秒` : `${s}秒`;
+}
+
+/**
+ * 格式化点击率
+ */
+function fmtRate(r) {
+  return `${(r * 100).toFixed(1)}%`;
+}
+
+async function loadAnalytics() {
+  const form = new FormData(document.getElementById('analyticsForm'));
+  const from = new Date(Date.now() - Number(form.get('days')) * 24 * 3600 * 1000);
+  const params = new URLSearchParams({ from: from.toISOString(), groupBy: form.get('groupBy') });
+  const data = await fetchJSON(`/api/admin/analytics?${params}`);
+
+  const t = data.totals;
+  document.getElementById('analyticsTotals').innerHTML = [
+    ['浏览', t.views], ['独立访客', t.visitors], ['点击原文', t.clicks],
+    ['点击率', fmtRate(t.ctr)], ['平均停留', fmtDuration(t.avgDwellMs)],
+  ].map(([label, value]) => `
+    <div class="admin-stat">
+      <div class="admin-stat-value">${escapeHtml(value)}</div>
+      <div class="admin-stat-label">${label}</div>
+    </div>`).join('');
+
+  const body = document.getElementById('analyticsBody');
+  if (!data.groups.length) {
+    body.innerHTML = '<tr><td colspan="6" class="admin-empty">该时间段内没有阅读数据</td></tr>';
+    return;
+  }
+  body.innerHTML = data.groups.map(g => `
+    <tr>
+      <td class="admin-text">${escapeHtml(g.title || g.key)}</td>
+      <td>${g.views}</td>
+      <td>${g.visitors}</td>
+      <td>${g.clicks}</td>
+      <td>${fmtRate(g.ctr)}</td>
+      <td>${fmtDuration(g.avgDwellMs)}</td>
+    </tr>`).join('');
+}
+
+document.getElementById('analyticsForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  run(loadAnalytics);
+});
+
+// ========== 分类管理 ==========
+
+const CATEGORY_FIELDS = ['icon', 'name', 'upstream', 'country', 'language'];
+
+async function loadCategories() {
+  const { items } = await fetchJSON('/api/admin/categories');
+  const body = document.getElementById('categoriesBody');
+  if (!items.length) {
+    body.innerHTML = '<tr><td colspan="7" class="admin-empty">还没有分类</td></tr>';
+    return;
+  }
+  body.innerHTML = items.map((c, i) => `
+    <tr data-id="${escapeHtml(c.id)}">
+      <td>${escapeHtml(c.id)}</td>
+      ${CATEGORY_FIELDS.map(key => `<td><input class="admin-input" name="${key}" value="${escapeHtml(c[key])}" /></td>`).join('')}
+      <td class="admin-actions">
+        <button class="btn" data-act="save">保存</button>
+        <button class="btn" data-act="up" ${i === 0 ? 'disabled' : ''}>上移</button>
+        <button class="btn" data-act="down" ${i === items.length - 1 ? 'disabled' : ''}>下移</button>
+        <button class="btn" data-act="delete">删除</button>
+      </td>
+    </tr>`).join('');
+}
+
+document.getElementById('categoriesBody').addEventListener('click', (e) => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const row = btn.closest('tr');
+  const id = row.dataset.id;
+  const url = `/api/admin/categories/${encodeURIComponent(id)}`;
+  const act = btn.dataset.act;
+  if (act === 'save') {
+    const patch = Object.fromEntries(CATEGORY_FIELDS.map(key => [key, row.querySelector(`[name="${key}"]`).value]));
+    run(() => fetchJSON(url, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(patch)
+    }), loadCategories);
+  } else if (act === 'delete') {
+    if (!confirm(`确定删除分类 ${id} 吗？已存储的文章不受影响。`)) return;
+    run(() => fetchJSON(url, { method: 'DELETE' }), loadCategories);
+  } else {
+    // 上移/下移：与相邻行交换后提交完整顺序
+    const ids = [...document.querySelectorAll('#categoriesBody tr')].map(tr => tr.dataset.id);
+    const i = ids.indexOf(id);
+    const j = act === 'up' ? i - 1 : i + 1;
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+    run(() => postJSON('/api/admin/categories/reorder', { ids }), loadCategories);
+  }
+});
+
+document.getElementById('categoryCreate').addEventListener('submit', (e) => {
+  e.preventDefault();
+  const form = e.target;
+  run(() => postJSON('/api/admin/categories', Object.fromEntries(new FormData(form))), () => {
+    form.reset();
+    return loadCategories();
+  });
+});
+
+// ========== 标签切换与初始化 ==========
+
+const PANELS = {
+  stats: loadStats,
+  queue: loadQueue,
+  users: loadUsers,
+  articles: loadArticles,
+  analytics: loadAnalytics,
+  categories: loadCategories,
+};
+
+/**
+ * 切换到指定面板并加载其数据
+ * @param {string} name - 面板名称
+ */
+function showPanel(name) {
+  document.querySelectorAll('#adminTabs .tab').forEach(t => t.classList.toggle('active', t.dataset.panel === name));
+  Object.keys(PANELS).forEach(key => {
+    document.getElementById(`panel-${key}`).style.display = key === name ? 'block' : 'none';
+  });
+  run(PANELS[name]);
+}
+
+async function init() {
+  let me = null;
+  try {
+    me = await fetchJSON('/api/me');
+  } catch (_) {
+    // 未登录
+  }
+  if (!me || me.role !== 'admin') {
+    document.getElementById('adminDenied').style.display = 'block';
+    document.getElementById('adminTabs').style.display = 'none';
+    document.querySelectorAll('.admin-panel').forEach(p => { p.style.display = 'none'; });
+    return;
+  }
+
+  document.getElementById('adminUser').textContent = `👤 ${me.username}`;
+  document.querySelectorAll('#adminTabs .tab').forEach(tab => {
+    tab.onclick = () => showPanel(tab.dataset.panel);
+  });
+  showPanel('stats');
+}
+
+init();
@@ -1,9 +1,13 @@
+import { t, getLang, setLang, applyI18n } from './i18n.js';
+
 // ========== DOM元素引用 ==========
 const tabs = document.getElementById('tabs');             // 分类标签容器
 const feed = document.getElementById('feed');             // 新闻列表容器
 const trending = document.getElementById('trending');     // 热榜容器
 const searchForm = document.getElementById('searchForm'); // 搜索表单
 const qInput = document.getElementById('q');              // 搜索输入框
+const followBtn = document.getElementById('followBtn');   // 关注搜索词按钮
+const feedLink = document.getElementById('feedLink');     // RSS 订阅链接
 const cardTpl = document.getElementById('cardTpl');       // 卡片模板
 const userInfo = document.getElementById('userInfo');     // 用户信息区
 
@@ -16,6 +20,7 @@ let feedEmptyEl = null;       // 新闻列表空状态提示
 let trendingEmptyEl = null;   // 热榜空状态提示
 let loaderEl = null;          // 加载动画
 let noMoreEl = null;          // 没有更多内容提示
+let newBannerEl = null;       // 新内容提示条
 
 /**
  * 等待DOM完全加载
@@ -38,18 +43,28 @@ function initDOMRefs() {
   trendingEmptyEl = document.getElementById('trendingEmpty');
   loaderEl = document.getElementById('loader');
   noMoreEl = document.getElementById('noMore');
+  newBannerEl = document.getElementById('newBanner');
   brandEl = document.getElementById('brand');
   backToTopBtn = document.getElementById('backToTop');
 }
 
 // ========== 应用状态 ==========
-let currentUser = localStorage.getItem('username') || '';  // 当前登录用户
+let currentUser = '';  // 当前登录用户（由服务端会话决定，见 loadCurrentUser）
+let currentRole = '';  // 当前用户角色：user / admin
+let currentDisplayName = '';  // 当前用户的显示名称（未设置时为空）
 
 // 应用状态对象
 let state = {
+  view: 'news',       // 当前视图：news 新闻列表 / bookmarks 我的收藏 / topic 关注的话题 / archive 往期
   category: 'news',   // 当前分类（默认综合）
+  folder: null,       // 收藏视图下的收藏夹（null 表示全部）
+  topicId: null,      // 话题视图下的话题ID
+  archiveDate: '',    // 往期视图下的日期（YYYY-MM-DD，本地时区）
+  archiveCategory: 'news', // 往期视图下的分类
   q: '',              // 搜索关键词
-  page: 1,            // 当前页码
+  trendingWindow: '24h', // 热榜时间窗口：1h / 24h / 7d
+  edition: '',        // 新闻版本（国家/地区），空表示由服务端决定
+  cursor: '',         // 下一页游标（服务端返回的 nextCursor，空表示第一页）
   busy: false,        // 是否正在加载数据
   eof: false          // 是否已加载完所有数据
 };
@@ -62,7 +77,13 @@ let state = {
  */
 async function fetchJSON(url, opts) {
   const res = await fetch(url, opts);
-  if (!res.ok) throw new Error(await res.text());
+  if (!res.ok) {
+    // 服务端错误响应形如 { error: '...' }，优先显示其中的提示
+    const body = await res.text();
+    let message = body;
+    try { message = JSON.parse(body).error || body; } catch (_) {}
+    throw new Error(message);
+  }
   return res.json();
 }
 
@@ -74,26 +95,63 @@ async function fetchJSON(url, opts) {
 function timeFromNow(iso) {
   const d = new Date(iso);
   const diff = (Date.now() - d.getTime()) / 1000;
-  if (diff < 60) return `${Math.floor(diff)}秒前`;
-  if (diff < 3600) return `${Math.floor(diff/60)}分钟前`;
-  if (diff < 86400) return `${Math.floor(diff/3600)}小时前`;
+  if (diff < 60) return t('time.seconds', { n: Math.floor(diff) });
+  if (diff < 3600) return t('time.minutes', { n: Math.floor(diff/60) });
+  if (diff < 86400) return t('time.hours', { n: Math.floor(diff/3600) });
   return d.toLocaleString();
 }
 
+let categoryList = [];  // 分类列表（离开收藏视图时重新渲染标签栏）
+let topicList = [];     // 当前用户关注的话题（附带未读数）
+
 /**
- * 渲染分类标签页
+ * 渲染分类标签页（关注的话题排在分类之后）
  * @param {Array} categories - 分类列表
  */
 function renderTabs(categories) {
+  categoryList = categories;
   tabs.innerHTML = '';
   categories.forEach(c => {
     const btn = document.createElement('button');
-    btn.className = 'tab' + (state.category === c.id ? ' active' : '');
-    btn.textContent = c.name;
+    btn.className = 'tab' + (state.view === 'news' && state.category === c.id ? ' active' : '');
+    // 内置分类按界面语言显示，管理员新增的分类显示其配置的名称
+    const name = t(`category.${c.id}`, {}, c.name);
+    btn.textContent = c.icon ? `${c.icon} ${name}` : name;
     btn.dataset.id = c.id;
     btn.onclick = () => switchCategory(c.id);
     tabs.appendChild(btn);
   });
+
+  topicList.forEach(topic => {
+    const btn = document.createElement('button');
+    btn.className = 'tab tab-topic' + (state.view === 'topic' && state.topicId === topic.id ? ' active' : '');
+    btn.dataset.topic = topic.id;
+    btn.textContent = `# ${topic.name}`;
+    if (topic.unread) {
+      const badge = document.createElement('span');
+      badge.className = 'tab-unread';
+      badge.textContent = topic.unread > 99 ? '99+' : topic.unread;
+      badge.title = t('topic.unread', { n: topic.unread });
+      btn.appendChild(badge);
+    }
+    const remove = document.createElement('span');
+    remove.className = 'tab-remove';
+    remove.textContent = '×';
+    remove.title = t('topic.unfollow');
+    remove.onclick = (e) => {
+      e.stopPropagation();
+      unfollowTopic(topic);
+    };
+    btn.appendChild(remove);
+    btn.onclick = () => switchTopic(topic.id);
+    tabs.appendChild(btn);
+  });
+
+  const archiveBtn = document.createElement('button');
+  archiveBtn.className = 'tab tab-archive';
+  archiveBtn.textContent = `📅 ${t('archive.tab')}`;
+  archiveBtn.onclick = () => showArchive();
+  tabs.appendChild(archiveBtn);
 }
 
 /**
@@ -141,12 +199,43 @@ function makeCard(a) {
     catNode.className = 'cat ' + cls;
   }
   
-  // 设置标题和摘要
-  node.querySelector('.title').textContent = a.title;
-  node.querySelector('.summary').textContent = a.summary || '';
+  // 设置标题和摘要（搜索结果使用服务端生成的高亮片段，已做HTML转义）
+  if (a.highlights) {
+    node.querySelector('.title').innerHTML = a.highlights.title;
+    node.querySelector('.summary').innerHTML = a.highlights.summary;
+  } else {
+    node.querySelector('.title').textContent = a.title;
+    node.querySelector('.summary').textContent = a.summary || '';
+  }
   node.querySelector('.time').textContent = timeFromNow(a.publishedAt);
   node.querySelector('.likes').textContent = a.likes || 0;
+
+  // 收藏视图显示收藏备注
+  if (a.bookmark && a.bookmark.note) {
+    const noteEl = document.createElement('p');
+    noteEl.className = 'bookmark-note';
+    noteEl.textContent = `📝 ${a.bookmark.note}`;
+    node.querySelector('.summary').after(noteEl);
+  }
   
+  // 同一事件有多家媒体报道时，列出其他来源（点击打开对应报道）
+  if (a.sourceCount > 1) {
+    const coverageEl = document.createElement('div');
+    coverageEl.className = 'coverage';
+    const countEl = document.createElement('span');
+    countEl.className = 'coverage-count';
+    countEl.textContent = t('coverage.count', { n: a.sourceCount });
+    coverageEl.appendChild(countEl);
+    (a.related || []).forEach(r => {
+      const link = document.createElement('a');
+      link.textContent = r.source || r.title;
+      link.title = r.title || '';
+      link.onclick = () => openDetail(r.id);
+      coverageEl.appendChild(link);
+    });
+    node.querySelector('.summary').after(coverageEl);
+  }
+
   // 点击封面或标题打开详情
   const open = () => {
     openDetail(a.id);
@@ -157,21 +246,32 @@ function makeCard(a) {
   // 点赞按钮点击事件
   node.querySelector('.like').onclick = async () => {
     if (!currentUser) {
-      alert('请先登录！');
+      alert(t('auth.required'));
       return;
     }
     try {
       const r = await fetchJSON(`/api/articles/${encodeURIComponent(a.id)}/like`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username: currentUser })
+        method: 'POST'
       });
       node.querySelector('.likes').textContent = r.likes;
     } catch (e) {
-      alert('点赞失败：' + e.message);
+      alert(t('error.like', { message: e.message }));
     }
   };
   
+  // 收藏按钮点击事件（快速收藏到未分类；收藏夹和备注在详情中编辑）
+  const bbtn = node.querySelector('.bookmark');
+  if (bbtn) {
+    setBookmarkButton(bbtn, !!a.bookmarked || !!a.bookmark);
+    bbtn.onclick = async () => {
+      const on = !bbtn.classList.contains('active');
+      const ok = await toggleBookmark(a.id, on);
+      if (!ok) return;
+      // 在收藏视图中取消收藏时直接移除卡片
+      if (!on && state.view === 'bookmarks') node.remove();
+    };
+  }
+
   // 评论按钮点击事件
   const cbtn = node.querySelector('.comment-btn');
   if (cbtn) {
@@ -198,25 +298,43 @@ async function loadMore() {
   if (loaderEl) loaderEl.style.display = 'flex';
   if (noMoreEl) noMoreEl.style.display = 'none';
   
-  // 调用统一的新闻API端点：传递分类、页码、搜索关键词
+  // 收藏视图走收藏列表；话题视图走话题文章流；往期视图走按日归档；有搜索关键词时走本地全文搜索，否则走新闻列表；都使用游标分页
   try {
-    const params = new URLSearchParams({ 
-      category: state.category, 
-      q: state.q || '', 
-      page: state.page, 
-      pageSize: 10 
-    });
-    const data = await fetchJSON(`/api/news?${params}`);
+    const params = new URLSearchParams({ pageSize: 10 });
+    let url = '/api/news';
+    if (state.view === 'bookmarks') {
+      url = '/api/bookmarks';
+      if (state.folder !== null) params.set('folder', state.folder);
+    } else if (state.view === 'topic') {
+      url = `/api/topics/${encodeURIComponent(state.topicId)}/feed`;
+      if (state.edition) params.set('edition', state.edition);
+    } else if (state.view === 'archive') {
+      url = '/api/archive';
+      params.set('date', state.archiveDate);
+      params.set('tzOffset', new Date().getTimezoneOffset());
+      if (state.archiveCategory !== 'news') params.set('category', state.archiveCategory);
+      if (state.edition) params.set('edition', state.edition);
+    } else if (state.q) {
+      url = '/api/search';
+      params.set('q', state.q);
+      if (state.category !== 'news' && state.category !== 'recommend') params.set('category', state.category);
+    } else {
+      params.set('category', state.category);
+      if (state.edition) params.set('edition', state.edition);
+    }
+    if (state.cursor) params.set('cursor', state.cursor);
+    const data = await fetchJSON(`${url}?${params}`);
     const items = data.items || [];
     
-    // 将新闻卡片添加到列表
-    items.forEach(a => feed.appendChild(makeCard(a)));
-    
-    // 增加页码以便下次加载
-    if (items.length > 0) state.page = Number(state.page) + 1;
+    // 将新闻卡片添加到列表（跳过已渲染的文章）
+    items.forEach(a => {
+      if (!feed.querySelector(`.card[data-id="${CSS.escape(a.id)}"]`)) feed.appendChild(makeCard(a));
+      live.newestShown = Math.max(live.newestShown, Date.parse(a.publishedAt || '') || 0);
+    });
     
-    // 如果返回的数据少于10条，说明已经没有更多内容
-    state.eof = items.length < 10;
+    // 记录下一页游标，由服务端明确告知是否还有更多
+    state.cursor = data.nextCursor || '';
+    state.eof = !data.hasMore;
   } catch (e) {
     console.error('loadMore failed', e);
     state.eof = true;
@@ -234,7 +352,12 @@ async function init() {
   console.log('[app] init start');
   await waitForDOM();
   initDOMRefs();
+  applyI18n();
+  await loadCurrentUser();
   updateUserUI();
+  loadUnreadCount();
+  await initEditionSwitch();
+  await loadTopics();
 
   /**
    * 显示初始化错误提示
@@ -256,9 +379,10 @@ async function init() {
   try {
     const cats = await fetchJSON('/api/categories');
     const categories = cats.categories;
+    applyListParams(categories);
     renderTabs(categories);
   } catch (e) {
-    showInitError('加载分类失败：' + (e && e.message ? e.message : e));
+    showInitError(t('error.loadCategories', { message: e && e.message ? e.message : e }));
     return;
   }
 
@@ -266,7 +390,7 @@ async function init() {
   try {
     await refresh();
   } catch (e) {
-    showInitError('加载文章失败：' + (e && e.message ? e.message : e));
+    showInitError(t('error.loadArticles', { message: e && e.message ? e.message : e }));
     return;
   }
 
@@ -279,6 +403,20 @@ async function init() {
     console.error('[app] renderTrending failed:', e);
   }
 
+  // 分享链接：列表加载后打开地址栏中的文章
+  const sharedId = articleIdFromPath();
+  if (sharedId) openDetail(sharedId, { updateUrl: false });
+
+  // 热榜时间窗口切换
+  document.querySelectorAll('#trendingWindows .trend-window').forEach(btn => {
+    btn.onclick = () => {
+      state.trendingWindow = btn.dataset.window;
+      document.querySelectorAll('#trendingWindows .trend-window')
+        .forEach(b => b.classList.toggle('active', b === btn));
+      renderTrending();
+    };
+  });
+
   // 绑定品牌标题点击事件 -> 跳转到综合分类
   if (brandEl) {
     brandEl.onclick = () => {
@@ -291,7 +429,10 @@ async function init() {
     });
   }
 
-  console.log('[app] init done', { category: state.category, page: state.page });
+  // 订阅实时推送（点赞数、评论、新文章、个人通知）
+  connectLive();
+
+  console.log('[app] init done', { category: state.category, cursor: state.cursor });
   
   // 无限滚动监听
   window.addEventListener('scroll', () => {
@@ -322,9 +463,11 @@ async function refresh() {
     console.warn('[app] refresh: #feedEmpty not found in DOM (cached ref is null)');
   }
   
-  // 重置分页状态
-  state.page = 1;
+  // 重置分页状态和新内容提示
+  state.cursor = '';
   state.eof = false;
+  resetNewArticles();
+  updateFeedLink();
   
   // 加载第一页数据
   await loadMore();
@@ -342,8 +485,14 @@ async function refresh() {
 /**
  * 切换分类
  * @param {string} cat - 分类ID
+ * @param {object} options - { updateUrl: 是否写入浏览历史（前进/后退时为 false） }
  */
-async function switchCategory(cat) {
+async function switchCategory(cat, { updateUrl = true } = {}) {
+  // 从收藏视图返回时恢复分类标签栏
+  if (state.view !== 'news') {
+    state.view = 'news';
+    renderTabs(categoryList);
+  }
   state.category = cat;
   
   // 更新活动标签样式
@@ -352,307 +501,1133 @@ async function switchCategory(cat) {
   });
   
   // 切换分类时重置分页
-  state.page = 1;
+  state.cursor = '';
   state.eof = false;
+  if (updateUrl) syncListUrl();
   
-  refresh();
+  await refresh();
+  renderTrending();
 }
 
 // 搜索表单提交事件
 searchForm.addEventListener('submit', (e) => {
   e.preventDefault();
   state.q = qInput.value.trim();
+  // 搜索针对新闻列表，收藏视图下提交时先返回分类视图
+  if (state.view !== 'news') {
+    state.view = 'news';
+    renderTabs(categoryList);
+  }
+  syncListUrl();
   refresh();
 });
 
-// ========== 用户认证相关 ==========
+// ========== 关注的话题 ==========
 
 /**
- * 更新用户信息UI
+ * 加载当前用户关注的话题（未登录时为空）
  */
-function updateUserUI() {
-  userInfo.innerHTML = currentUser
-    ? `👤 ${currentUser} <button id="logoutBtn">退出</button>`
-    : `<button id="loginBtn">登录</button> / <button id="regBtn">注册</button>`;
-
-  if (currentUser) {
-    // 已登录：绑定退出按钮
-    document.getElementById('logoutBtn').onclick = () => {
-      localStorage.removeItem('username');
-      currentUser = '';
-      updateUserUI();
-    };
-  } else {
-    // 未登录：绑定登录和注册按钮
-    document.getElementById('loginBtn').onclick = showLogin;
-    document.getElementById('regBtn').onclick = showRegister;
+async function loadTopics() {
+  if (!currentUser) {
+    topicList = [];
+    return;
+  }
+  try {
+    topicList = (await fetchJSON('/api/topics')).topics || [];
+  } catch (e) {
+    console.error('load topics failed', e);
+    topicList = [];
   }
 }
 
 /**
- * 显示登录对话框
+ * 切换到话题视图；第一页加载后服务端清零该话题的未读数，随后刷新标签栏
+ * @param {number} id - 话题ID
  */
-async function showLogin() {
-  const username = prompt('用户名：');
-  const password = prompt('密码：');
-  if (!username || !password) return;
-  
+async function switchTopic(id) {
+  state.view = 'topic';
+  state.topicId = id;
+  renderTabs(categoryList);
+  await refresh();
+  renderTrending();
+  await loadTopics();
+  if (state.view === 'topic' && state.topicId === id) renderTabs(categoryList);
+}
+
+/**
+ * 关注话题（已关注时直接返回已有话题）
+ * @param {string} kind - keyword / source / entity
+ * @param {string} value - 关键词、来源名称或实体名称
+ * @returns {Promise<object|null>} 话题；未登录或失败时返回null
+ */
+async function followTopic(kind, value) {
+  if (!currentUser) {
+    alert(t('auth.required'));
+    return null;
+  }
+  const existing = topicList.find(tp => tp.kind === kind && tp.value.toLowerCase() === value.toLowerCase());
+  if (existing) return existing;
   try {
-    const r = await fetchJSON('/api/login', {
+    const topic = await fetchJSON('/api/topics', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username, password })
+      body: JSON.stringify({ kind, value })
     });
-    localStorage.setItem('username', r.username);
-    currentUser = r.username;
-    alert('登录成功');
-    updateUserUI();
+    topicList.push(topic);
+    return topic;
   } catch (e) {
-    alert('登录失败');
+    alert(t('topic.followFailed', { message: e.message || e }));
+    return null;
   }
 }
 
 /**
- * 显示注册对话框
+ * 取消关注话题（正在查看该话题时返回分类视图）
+ * @param {object} topic - 话题
  */
-async function showRegister() {
-  const username = prompt('注册用户名：');
-  const password = prompt('密码：');
-  if (!username || !password) return;
-  
+async function unfollowTopic(topic) {
+  if (!confirm(t('topic.unfollowConfirm', { name: topic.name }))) return;
   try {
-    await fetchJSON('/api/register', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username, password })
-    });
-    alert('注册成功，请登录');
+    await fetchJSON(`/api/topics/${encodeURIComponent(topic.id)}`, { method: 'DELETE' });
   } catch (e) {
-    alert('注册失败');
+    alert(t('error.action', { message: e.message || e }));
+    return;
   }
+  topicList = topicList.filter(tp => tp.id !== topic.id);
+  if (state.view === 'topic' && state.topicId === topic.id) switchCategory(state.category);
+  else if (!['bookmarks', 'archive'].includes(state.view)) renderTabs(categoryList);
 }
 
-// ========== 热榜渲染 ==========
+// 关注搜索框中的关键词；整体加引号的词（如 "OpenAI"）作为实体按短语匹配
+followBtn.addEventListener('click', async () => {
+  const q = qInput.value.trim() || state.q;
+  if (!q) {
+    alert(t('topic.enterKeyword'));
+    return;
+  }
+  const entity = /^"[^"]+"$/.test(q);
+  const topic = await followTopic(entity ? 'entity' : 'keyword', entity ? q.slice(1, -1).trim() : q);
+  if (!topic) return;
+  qInput.value = '';
+  state.q = '';
+  switchTopic(topic.id);
+});
+
+// ========== 我的收藏 ==========
 
 /**
- * 渲染热榜列表
+ * 更新收藏按钮的显示状态
+ * @param {HTMLElement} btn - 收藏按钮
+ * @param {boolean} on - 是否已收藏
  */
-async function renderTrending() {
-  /**
-   * 等待feed中至少有一篇文章（避免在feed加载前显示热榜）
-   * @param {number} timeoutMs - 超时时间（毫秒）
-   * @returns {Promise<boolean>} 是否成功等到内容
-   */
-  const waitForFeedItem = (timeoutMs = 3000) => new Promise((resolve) => {
-    const interval = 150;
-    const max = Math.ceil(timeoutMs / interval);
-    let i = 0;
-    const t = setInterval(() => {
-      if (feed.children && feed.children.length > 0) {
-        clearInterval(t);
-        resolve(true);
-        return;
-      }
-      i++;
-      if (i >= max) {
-        clearInterval(t);
-        resolve(false);
-      }
-    }, interval);
-  });
+function setBookmarkButton(btn, on) {
+  btn.classList.toggle('active', on);
+  btn.title = on ? t('bookmark.remove') : t('bookmark.add');
+  if (btn.id === 'modalBookmark') {
+    btn.textContent = on ? `★ ${t('bookmark.added')}` : `☆ ${t('bookmark.add')}`;
+  } else {
+    btn.textContent = on ? '★' : '☆';
+  }
+}
 
-  // 等待feed加载完成
-  const ready = await waitForFeedItem(3000);
-  if (!ready) {
-    console.log('[app] renderTrending skipped: feed empty after wait');
+/**
+ * 收藏或取消收藏文章，并同步页面上所有对应按钮
+ * @param {string} id - 文章ID
+ * @param {boolean} on - true 收藏 / false 取消收藏
+ * @param {object} body - 收藏夹与备注（仅收藏时使用）
+ * @returns {Promise<boolean>} 是否成功
+ */
+async function toggleBookmark(id, on, body = {}) {
+  if (!currentUser) {
+    alert(t('auth.required'));
+    return false;
+  }
+  try {
+    await fetchJSON(`/api/articles/${encodeURIComponent(id)}/bookmark`, on
+      ? { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+      : { method: 'DELETE' });
+  } catch (e) {
+    alert(t('error.action', { message: e.message || e }));
+    return false;
+  }
+  const card = document.querySelector(`.card[data-id="${CSS.escape(id)}"] .bookmark`);
+  if (card) setBookmarkButton(card, on);
+  return true;
+}
+
+/**
+ * 进入"我的收藏"视图：标签栏显示收藏夹，列表显示收藏的文章
+ * @param {string|null} folder - 收藏夹（null 表示全部）
+ */
+async function showBookmarks(folder = null) {
+  if (!currentUser) {
+    alert(t('auth.required'));
     return;
   }
+  state.view = 'bookmarks';
+  state.folder = folder;
 
+  // 标签栏：返回 + 全部收藏 + 各收藏夹
+  let folders = [];
   try {
-    const { items } = await fetchJSON('/api/trending');
-    trending.innerHTML = '';
-    if (trendingEmptyEl) trendingEmptyEl.style.display = 'none';
-    
-    // 如果没有热榜数据，显示空状态
-    if (!items || !items.length) {
-      if (trendingEmptyEl) trendingEmptyEl.style.display = 'block';
-      return;
-    }
-    
-    // 渲染每个热榜项
-    items.forEach(a => {
-      const li = document.createElement('li');
-      li.className = 'trend-item';
-      
-      // 标题链接
-      const title = document.createElement('a');
-      title.href = '#';
-      title.className = 'trend-link';
-      title.textContent = a.title;
-      title.dataset.id = a.id;
-      title.onclick = (e) => { 
-        e.preventDefault(); 
-        if (a.url) window.open(a.url, '_blank'); 
-      };
+    folders = (await fetchJSON('/api/bookmarks/folders')).folders || [];
+  } catch (e) {
+    console.error('load folders failed', e);
+  }
+  tabs.innerHTML = '';
+  const entries = [
+    { label: t('bookmark.back'), onClick: () => switchCategory(state.category) },
+    { label: t('bookmark.all'), folder: null },
+    ...folders.map(f => ({ label: `${f.name || t('bookmark.unfiled')} (${f.count})`, folder: f.name })),
+  ];
+  entries.forEach(entry => {
+    const btn = document.createElement('button');
+    const isFolder = !entry.onClick;
+    btn.className = 'tab' + (isFolder && entry.folder === folder ? ' active' : '');
+    btn.textContent = entry.label;
+    btn.onclick = entry.onClick || (() => showBookmarks(entry.folder));
+    tabs.appendChild(btn);
+  });
 
-      // 操作按钮区
-      const actions = document.createElement('div');
-      actions.className = 'trend-actions';
+  window.scrollTo({ top: 0 });
+  refresh();
+}
 
-      // 点赞按钮
-      const likeBtn = document.createElement('button');
-      likeBtn.className = 'trend-like';
-      likeBtn.innerHTML = `❤ <span class="trend-likes">${a.likes || 0}</span>`;
-      likeBtn.onclick = async (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        
-        if (!currentUser) {
-          alert('请先登录！');
-          return;
-        }
-        
-        try {
-          const r = await fetchJSON(`/api/articles/${encodeURIComponent(a.id)}/like`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ username: currentUser })
-          });
-          likeBtn.querySelector('.trend-likes').textContent = r.likes;
-          likeBtn.classList.toggle('liked', !!r.liked);
-        } catch (err) {
-          alert('点赞失败：' + (err.message || err));
-        }
-      };
+// ========== 地址栏与浏览历史 ==========
+// 文章详情对应 /article/:id（服务端渲染链接预览信息），列表的分类和搜索词对应查询参数
+// （/?category=tech&q=xxx）；浏览器前进/后退时按地址恢复详情和列表
 
-      actions.appendChild(likeBtn);
-      li.appendChild(title);
-      li.appendChild(actions);
-      trending.appendChild(li);
-    });
-  } catch (e) {
-    console.error('renderTrending failed', e);
-  }
+const SITE_TITLE = '今日洋闻';
+
+/**
+ * 地址栏中的文章ID（不在文章页时为空）
+ * @returns {string}
+ */
+function articleIdFromPath() {
+  const m = /^\/article\/([^/]+)\/?$/.exec(location.pathname);
+  return m ? decodeURIComponent(m[1]) : '';
 }
 
-// ========== 文章详情模态框 ==========
+/**
+ * 当前列表对应的地址
+ * @returns {string}
+ */
+function listUrl() {
+  const params = new URLSearchParams();
+  if (state.category !== 'news') params.set('category', state.category);
+  if (state.q) params.set('q', state.q);
+  const qs = params.toString();
+  return qs ? `/?${qs}` : '/';
+}
+
+/**
+ * 切换分类或搜索后把列表状态写入地址栏（详情打开时不改变地址）
+ */
+function syncListUrl() {
+  if (articleIdFromPath()) return;
+  const url = listUrl();
+  if (url !== location.pathname + location.search) history.pushState(null, '', url);
+}
 
 /**
- * 打开文章详情模态框
+ * 打开详情时切换到文章地址：从列表打开时新增一条历史，已在文章页时（如点击其他媒体的报道）替换当前记录
+ * 这样关闭详情或后退都直接回到列表
  * @param {string} id - 文章ID
  */
-async function openDetail(id) {
-  // 获取模态框元素
-  const modal = document.getElementById('articleModal');
-  const modalCover = document.getElementById('modalCover');
-  const modalTitle = document.getElementById('modalTitle');
-  const modalMeta = document.getElementById('modalMeta');
-  const modalSummary = document.getElementById('modalSummary');
-  const openOriginal = document.getElementById('openOriginal');
-  const commentList = document.getElementById('commentList');
-  const commentText = document.getElementById('commentText');
-  const submitComment = document.getElementById('submitComment');
+function showArticleUrl(id) {
+  const url = `/article/${encodeURIComponent(id)}`;
+  if (location.pathname === url) return;
+  if (articleIdFromPath()) history.replaceState(history.state, '', url);
+  else history.pushState({ fromList: true }, '', url);
+}
 
-  try {
-    // 获取文章详情
-    const a = await fetchJSON(`/api/articles/${encodeURIComponent(id)}`);
-    modalCover.src = a.cover || '';
-    
-    // 模态框点赞按钮
-    let modalLike = document.getElementById('modalLike');
-    if (!modalLike) {
-      modalLike = document.createElement('button');
-      modalLike.id = 'modalLike';
-      modalLike.className = 'btn';
-      modalLike.textContent = `❤ ${a.likes || 0}`;
-      const actionsWrap = document.querySelector('.modal-actions');
-      if (actionsWrap) actionsWrap.insertBefore(modalLike, actionsWrap.firstChild || null);
-    } else {
-      modalLike.textContent = `❤ ${a.likes || 0}`;
-    }
-    
-    // 点赞按钮点击事件
-    modalLike.onclick = async () => {
-      if (!currentUser) { 
-        alert('请先登录'); 
-        return; 
-      }
-      
-      try {
-        modalLike.disabled = true;
-        const r = await fetchJSON(`/api/articles/${encodeURIComponent(id)}/like`, {
-          method: 'POST', 
-          headers: { 'Content-Type': 'application/json' }, 
-          body: JSON.stringify({ username: currentUser })
-        });
-        modalLike.textContent = `❤ ${r.likes}`;
-        
-        // 同步更新列表中对应卡片的点赞数
-        const card = document.querySelector(`.card[data-id="${id}"]`);
-        if (card) {
-          const likesEl = card.querySelector('.likes');
-          if (likesEl) likesEl.textContent = r.likes;
-        }
-      } catch (e) {
-        alert('点赞失败：' + (e.message || e));
-      } finally { 
-        modalLike.disabled = false; 
-      }
-    };
-    
-    // 设置文章信息
-    modalTitle.textContent = a.title || '';
-    modalMeta.textContent = `${a.source || ''} · ${a.publishedAt ? new Date(a.publishedAt).toLocaleString() : ''} · ${a.likes || 0}❤`;
-    modalSummary.textContent = a.summary || '';
-    
-    // 设置原文链接
-    if (a.url) {
-      openOriginal.href = a.url;
-      openOriginal.style.display = 'inline-block';
-    } else {
-      openOriginal.style.display = 'none';
-    }
+/**
+ * 关闭详情时离开文章地址：由列表进入的后退一步，直接打开分享链接的替换为列表地址
+ */
+function leaveArticleUrl() {
+  if (!articleIdFromPath()) return;
+  if (history.state?.fromList) history.back();
+  else history.replaceState(null, '', listUrl());
+}
 
-    // 加载评论列表
-    commentList.innerHTML = '<li class="comment-item">加载中...</li>';
-    try {
-      // 传递用户名以标记该用户点赞过的评论
-      const cc = await fetchJSON(`/api/articles/${encodeURIComponent(id)}/comments${currentUser ? `?username=${encodeURIComponent(currentUser)}` : ''}`);
-      const items = cc.items || [];
-      
-      if (!items.length) {
-        commentList.innerHTML = '<li class="comment-item">暂无评论</li>';
-      } else {
-        commentList.innerHTML = items.map(it => {
-          const likedCls = it.liked ? 'comment-liked' : '';
-          const likes = it.likes || 0;
-          return `
-            <li class="comment-item" data-comment-id="${it.id}">
-              <div class="comment-meta">${it.username} · ${new Date(it.createdAt).toLocaleString()}</div>
-              <div class="comment-text">${escapeHtml(it.text)}</div>
-              <div class="comment-row" style="margin-top:8px;display:flex;align-items:center;gap:8px">
-                <button class="btn comment-like ${likedCls}" data-comment-id="${it.id}">❤ <span class="c-likes">${likes}</span></button>
-              </div>
-            </li>`;
-        }).join('');
-      }
-    } catch (e) {
-      commentList.innerHTML = '<li class="comment-item">加载评论失败</li>';
-    }
+/**
+ * 从地址栏读取分类和搜索词，写入应用状态（不刷新列表）
+ * @param {Array} categories - 分类列表（未知分类回到综合）
+ */
+function applyListParams(categories) {
+  const params = new URLSearchParams(location.search);
+  const category = params.get('category') || 'news';
+  state.category = categories.some(c => c.id === category) ? category : 'news';
+  state.q = (params.get('q') || '').trim();
+  qInput.value = state.q;
+}
 
-    // 模态框中的登录提示
+// 前进/后退：文章地址打开详情；列表地址关闭详情，地址与当前列表不同时恢复分类和搜索词
+window.addEventListener('popstate', () => {
+  const id = articleIdFromPath();
+  if (id) {
+    openDetail(id, { updateUrl: false });
+    return;
+  }
+  hideModal();
+  if (location.pathname + location.search === listUrl()) return;
+  applyListParams(categoryList);
+  switchCategory(state.category, { updateUrl: false });
+});
+
+// ========== 订阅源 ==========
+
+/**
+ * 当前列表对应的 RSS 订阅地址：搜索和关注的话题订阅搜索源，其他视图订阅当前分类
+ * @returns {string}
+ */
+function currentFeedUrl() {
+  const params = new URLSearchParams();
+  let path = '/feeds/search.xml';
+  const topic = state.view === 'topic' && topicList.find(tp => tp.id === state.topicId);
+  if (topic) {
+    if (topic.kind === 'source') params.set('source', topic.value);
+    else params.set('q', topic.kind === 'entity' ? `"${topic.value.replace(/"/g, ' ')}"` : topic.value);
+  } else if (state.view === 'news' && state.q) {
+    params.set('q', state.q);
+    if (!['news', 'recommend'].includes(state.category)) params.set('category', state.category);
+  } else {
+    // 推荐是个性化列表，订阅综合
+    const category = state.view === 'archive' ? state.archiveCategory : state.category;
+    path = `/feeds/${category === 'recommend' ? 'news' : category}.xml`;
+  }
+  if (state.edition) params.set('edition', state.edition);
+  return `${path}?${params}`;
+}
+
+/**
+ * 更新 RSS 订阅链接
+ */
+function updateFeedLink() {
+  if (feedLink) feedLink.href = currentFeedUrl();
+}
+
+// ========== 往期 ==========
+
+/**
+ * 本地时区的日期字符串（YYYY-MM-DD）
+ * @param {Date} d - 日期
+ * @returns {string}
+ */
+function localDate(d) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * 进入往期视图：标签栏显示返回、日期选择和分类，列表显示该日发布或上过头条的文章
+ * @param {string} date - 日期（YYYY-MM-DD），默认昨天
+ * @param {string} category - 分类ID，默认综合
+ */
+function showArchive(date = '', category = 'news') {
+  const today = localDate(new Date());
+  state.view = 'archive';
+  state.archiveDate = date || localDate(new Date(Date.now() - 24 * 3600 * 1000));
+  state.archiveCategory = category;
+
+  tabs.innerHTML = '';
+  const back = document.createElement('button');
+  back.className = 'tab';
+  back.textContent = t('archive.back');
+  back.onclick = () => switchCategory(state.category);
+  tabs.appendChild(back);
+
+  const picker = document.createElement('input');
+  picker.type = 'date';
+  picker.className = 'archive-date';
+  picker.title = t('archive.date');
+  picker.max = today;
+  picker.value = state.archiveDate;
+  picker.onchange = () => {
+    if (picker.value && picker.value <= today) showArchive(picker.value, state.archiveCategory);
+  };
+  tabs.appendChild(picker);
+
+  // 推荐是个性化列表，没有往期
+  categoryList.filter(c => c.id !== 'recommend').forEach(c => {
+    const btn = document.createElement('button');
+    btn.className = 'tab' + (c.id === category ? ' active' : '');
+    const name = t(`category.${c.id}`, {}, c.name);
+    btn.textContent = c.icon ? `${c.icon} ${name}` : name;
+    btn.onclick = () => showArchive(state.archiveDate, c.id);
+    tabs.appendChild(btn);
+  });
+
+  window.scrollTo({ top: 0 });
+  refresh();
+}
+
+// ========== 版本与界面语言 ==========
+
+/**
+ * 加载可选版本并初始化版本下拉框与语言切换按钮
+ * 当前版本由服务端决定（登录用户的设置 > Cookie > 默认版本）
+ */
+async function initEditionSwitch() {
+  const select = document.getElementById('editionSelect');
+  const langToggle = document.getElementById('langToggle');
+  if (select) {
+    try {
+      const { editions, current } = await fetchJSON('/api/editions');
+      state.edition = current;
+      select.innerHTML = '';
+      editions.forEach(e => {
+        const opt = document.createElement('option');
+        opt.value = e.id;
+        opt.textContent = t(`edition.${e.id}`, {}, e.name);
+        opt.selected = e.id === current;
+        select.appendChild(opt);
+      });
+    } catch (e) {
+      console.error('load editions failed', e);
+    }
+    select.onchange = () => switchEdition(select.value);
+  }
+  if (langToggle) langToggle.onclick = toggleLang;
+}
+
+/**
+ * 切换新闻版本：保存到 Cookie（已登录时同时保存到账号），然后重新加载列表和热榜
+ * @param {string} edition - 版本ID
+ */
+async function switchEdition(edition) {
+  try {
+    const r = await fetchJSON('/api/edition', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ edition })
+    });
+    state.edition = r.edition;
+  } catch (e) {
+    alert(t('error.action', { message: e.message || e }));
+    return;
+  }
+  if (['news', 'archive'].includes(state.view)) await refresh();
+  renderTrending();
+}
+
+/**
+ * 切换界面语言（中文 / English），重新渲染动态文案
+ */
+async function toggleLang() {
+  setLang(getLang() === 'zh' ? 'en' : 'zh');
+  updateUserUI();
+  const select = document.getElementById('editionSelect');
+  if (select) [...select.options].forEach(opt => { opt.textContent = t(`edition.${opt.value}`, {}, opt.textContent); });
+  if (state.view === 'bookmarks') {
+    await showBookmarks(state.folder);
+  } else if (state.view === 'archive') {
+    showArchive(state.archiveDate, state.archiveCategory);
+  } else {
+    renderTabs(categoryList);
+    await refresh();
+  }
+  renderTrending();
+}
+
+// ========== 用户认证相关 ==========
+
+/**
+ * 从服务端会话获取当前登录用户
+ */
+async function loadCurrentUser() {
+  try {
+    const me = await fetchJSON('/api/me');
+    currentUser = me.username || '';
+    currentRole = me.role || 'user';
+    currentDisplayName = me.displayName || '';
+  } catch (e) {
+    currentUser = '';  // 未登录或会话已过期
+    currentRole = '';
+    currentDisplayName = '';
+  }
+}
+
+/**
+ * 更新用户信息UI
+ */
+function updateUserUI() {
+  const adminLink = currentRole === 'admin' ? `<a href="/admin" class="admin-link">${t('user.admin')}</a>` : '';
+  userInfo.innerHTML = currentUser
+    ? `<button id="meBtn" class="me-btn" title="${t('user.profile')}">👤 ${escapeHtml(currentDisplayName || currentUser)}</button> ${adminLink}<button id="notifyBtn" class="notify-bell" title="${t('notify.title')}">🔔<span class="notify-badge"></span></button><div id="notifyPanel" class="notify-panel"></div><button id="bookmarksBtn">${t('user.bookmarks')}</button><button id="settingsBtn">${t('user.settings')}</button><button id="logoutBtn">${t('user.logout')}</button>`
+    : `<button id="loginBtn">${t('user.login')}</button> / <button id="regBtn">${t('user.register')}</button>`;
+
+  if (currentUser) {
+    // 已登录：绑定个人主页、通知、我的收藏、设置和退出按钮
+    document.getElementById('meBtn').onclick = () => openProfile(currentUser);
+    document.getElementById('notifyBtn').onclick = toggleNotifyPanel;
+    updateNotifyBadge();
+    document.getElementById('bookmarksBtn').onclick = () => showBookmarks();
+    document.getElementById('settingsBtn').onclick = openSettings;
+    document.getElementById('logoutBtn').onclick = async () => {
+      try {
+        await fetchJSON('/api/logout', { method: 'POST' });
+      } catch (e) {
+        console.error('logout failed', e);
+      }
+      currentUser = '';
+      currentRole = '';
+      currentDisplayName = '';
+      hideDialog(document.getElementById('settingsModal'));
+      topicList = [];
+      notices.unread = 0;
+      updateUserUI();
+      reconnectLive();
+      if (state.view !== 'news') switchCategory(state.category);
+      else renderTabs(categoryList);
+    };
+  } else {
+    // 未登录：绑定登录和注册按钮
+    document.getElementById('loginBtn').onclick = showLogin;
+    document.getElementById('regBtn').onclick = showRegister;
+  }
+}
+
+// ========== 登录与注册 ==========
+
+let authMode = 'login';   // 登录表单当前模式：login / register
+
+/**
+ * 显示弹窗（登录、个人主页、账号设置）
+ * @param {HTMLElement} modal - 弹窗元素
+ */
+function showDialog(modal) {
+  modal.style.display = 'flex';
+  modal.setAttribute('aria-hidden', 'false');
+}
+
+/**
+ * 隐藏弹窗
+ * @param {HTMLElement} modal - 弹窗元素
+ */
+function hideDialog(modal) {
+  modal.style.display = 'none';
+  modal.setAttribute('aria-hidden', 'true');
+}
+
+/**
+ * 显示表单的提示信息
+ * @param {HTMLFormElement} form - 表单
+ * @param {string} text - 提示文字（空表示清除）
+ * @param {boolean} ok - 是否为成功提示
+ */
+function showFormMessage(form, text, ok = false) {
+  const el = form.querySelector('.form-error');
+  el.textContent = text;
+  el.classList.toggle('form-ok', ok);
+}
+
+/**
+ * 显示登录或注册表单
+ * @param {string} mode - login / register
+ */
+function showAuthForm(mode) {
+  authMode = mode;
+  const register = mode === 'register';
+  const form = document.getElementById('authForm');
+  form.reset();
+  showFormMessage(form, '');
+  document.getElementById('authTitle').textContent = t(register ? 'user.register' : 'user.login');
+  document.getElementById('authSubmit').textContent = t(register ? 'user.register' : 'user.login');
+  document.getElementById('authConfirmRow').style.display = register ? '' : 'none';
+  form.confirm.required = register;
+  form.password.autocomplete = register ? 'new-password' : 'current-password';
+  document.getElementById('authSwitchHint').textContent = t(register ? 'auth.haveAccount' : 'auth.noAccount');
+  document.getElementById('authSwitch').textContent = t(register ? 'user.login' : 'user.register');
+  showDialog(document.getElementById('authModal'));
+  form.username.focus();
+}
+
+/**
+ * 显示登录表单
+ */
+function showLogin() {
+  showAuthForm('login');
+}
+
+/**
+ * 显示注册表单
+ */
+function showRegister() {
+  showAuthForm('register');
+}
+
+/**
+ * 提交登录或注册表单；注册成功后直接登录
+ * @param {SubmitEvent} e - 提交事件
+ */
+async function submitAuthForm(e) {
+  e.preventDefault();
+  const form = e.currentTarget;
+  const username = form.username.value.trim();
+  const password = form.password.value;
+  if (authMode === 'register' && password !== form.confirm.value) {
+    showFormMessage(form, t('auth.mismatch'));
+    return;
+  }
+
+  const submit = document.getElementById('authSubmit');
+  submit.disabled = true;
+  try {
+    const body = JSON.stringify({ username, password });
+    const headers = { 'Content-Type': 'application/json' };
+    if (authMode === 'register') await fetchJSON('/api/register', { method: 'POST', headers, body });
+    const r = await fetchJSON('/api/login', { method: 'POST', headers, body });
+    hideDialog(document.getElementById('authModal'));
+    await onLoggedIn(r);
+  } catch (err) {
+    showFormMessage(form, err.message || String(err));
+  } finally {
+    submit.disabled = false;
+  }
+}
+
+/**
+ * 登录成功后刷新用户相关的界面和数据
+ * @param {object} r - 登录接口的响应 { username, role }
+ */
+async function onLoggedIn(r) {
+  currentUser = r.username;
+  currentRole = r.role || 'user';
+  await loadCurrentUser();
+  updateUserUI();
+  reconnectLive();
+  loadUnreadCount();
+  // 在文章详情中登录：隐藏登录提示，按当前用户重新加载评论（点赞状态）
+  const modalAuth = document.getElementById('modalAuth');
+  if (modalAuth) modalAuth.style.display = 'none';
+  if (openArticleId()) loadComments(true);
+  await loadTopics();
+  if (state.view === 'news') renderTabs(categoryList);
+  // 账号保存过版本时以账号设置为准
+  const previous = state.edition;
+  await initEditionSwitch();
+  if (state.edition !== previous && state.view === 'news') {
+    await refresh();
+    renderTrending();
+  }
+}
+
+// ========== 个人主页 ==========
+
+// 个人主页状态：当前用户、动态类型（comments 评论 / likes 赞过）及各类动态已加载的分页
+const profileState = {
+  username: '',
+  activity: 'comments',
+  pages: {},   // 动态类型 -> { items, nextCursor, hasMore, totalResults }
+};
+
+/**
+ * 渲染头像：有头像地址时显示图片（加载失败时退回首字母），否则显示名称首字母
+ * @param {HTMLElement} el - 头像容器
+ * @param {object} user - { username, displayName, avatar }
+ */
+function renderAvatar(el, { username, displayName, avatar }) {
+  const initial = (displayName || username || '?').slice(0, 1).toUpperCase();
+  el.textContent = initial;
+  if (!avatar) return;
+  const img = document.createElement('img');
+  img.alt = '';
+  img.src = avatar;
+  img.onload = () => el.replaceChildren(img);
+}
+
+/**
+ * 打开个人主页
+ * @param {string} username - 用户名
+ */
+async function openProfile(username) {
+  let p;
+  try {
+    p = await fetchJSON(`/api/users/${encodeURIComponent(username)}`);
+  } catch (e) {
+    alert(t('profile.loadFailed', { message: e.message || e }));
+    return;
+  }
+  profileState.username = p.username;
+  profileState.pages = { comments: p.comments, likes: p.likes };
+
+  renderAvatar(document.getElementById('profileAvatar'), p);
+  document.getElementById('profileName').textContent = p.displayName || p.username;
+  const meta = [`@${p.username}`, t('profile.joined', { date: new Date(p.joinedAt).toLocaleDateString() })];
+  if (p.banned) meta.push(t('profile.banned'));
+  document.getElementById('profileMeta').textContent = meta.join(' · ');
+  const bio = document.getElementById('profileBio');
+  bio.textContent = p.bio;
+  bio.style.display = p.bio ? '' : 'none';
+  const edit = document.getElementById('profileEdit');
+  edit.style.display = p.username === currentUser ? '' : 'none';
+  edit.onclick = openSettings;
+
+  document.querySelectorAll('#profileModal .profile-tabs .tab').forEach(btn => {
+    btn.onclick = () => showActivity(btn.dataset.activity);
+  });
+  showActivity('comments');
+  showDialog(document.getElementById('profileModal'));
+}
+
+/**
+ * 切换个人主页的动态类型（使用已加载的分页）
+ * @param {string} activity - comments / likes
+ */
+function showActivity(activity) {
+  profileState.activity = activity;
+  document.querySelectorAll('#profileModal .profile-tabs .tab').forEach(btn => {
+    const page = profileState.pages[btn.dataset.activity];
+    btn.textContent = t(`profile.${btn.dataset.activity}`, { n: page ? page.totalResults : 0 });
+    btn.classList.toggle('active', btn.dataset.activity === activity);
+  });
+  const list = document.getElementById('profileActivity');
+  list.innerHTML = '';
+  const page = profileState.pages[activity];
+  page.items.forEach(item => list.appendChild(renderActivityItem(activity, item)));
+  if (!page.items.length) {
+    const empty = document.createElement('li');
+    empty.className = 'profile-empty';
+    empty.textContent = t('profile.empty');
+    list.appendChild(empty);
+  }
+  updateActivityMore();
+}
+
+/**
+ * 更新"加载更多"按钮
+ */
+function updateActivityMore() {
+  const more = document.getElementById('profileMore');
+  const page = profileState.pages[profileState.activity];
+  more.style.display = page.hasMore ? '' : 'none';
+  more.onclick = loadMoreActivity;
+}
+
+/**
+ * 加载当前动态类型的下一页
+ */
+async function loadMoreActivity() {
+  const { username, activity } = profileState;
+  const page = profileState.pages[activity];
+  const more = document.getElementById('profileMore');
+  more.disabled = true;
+  try {
+    const params = new URLSearchParams({ cursor: page.nextCursor });
+    const next = await fetchJSON(`/api/users/${encodeURIComponent(username)}/${activity}?${params}`);
+    if (profileState.username !== username) return;   // 等待期间已切换到其他用户
+    page.items.push(...next.items);
+    page.nextCursor = next.nextCursor;
+    page.hasMore = next.hasMore;
+    if (profileState.activity === activity) {
+      const list = document.getElementById('profileActivity');
+      next.items.forEach(item => list.appendChild(renderActivityItem(activity, item)));
+      updateActivityMore();
+    }
+  } catch (e) {
+    console.error('load profile activity failed', e);
+  } finally {
+    more.disabled = false;
+  }
+}
+
+/**
+ * 渲染一条动态：评论显示所属文章和评论内容，赞过显示文章标题和来源
+ * @param {string} activity - comments / likes
+ * @param {object} item - 评论或文章
+ * @returns {HTMLLIElement}
+ */
+function renderActivityItem(activity, item) {
+  const li = document.createElement('li');
+  li.className = 'profile-item';
+  const comment = activity === 'comments';
+  const articleId = comment ? item.articleId : item.id;
+  li.innerHTML = `
+    <a href="/article/${encodeURIComponent(articleId)}" class="profile-item-title">${escapeHtml(comment ? item.articleTitle : item.title)}</a>
+    ${comment ? `<div class="profile-item-text">${escapeHtml(item.text)}</div>` : ''}
+    <div class="profile-item-meta">${comment
+      ? `${new Date(item.createdAt).toLocaleString()} · ❤ ${item.likes || 0}`
+      : `${escapeHtml(item.source)} · ${new Date(item.likedAt).toLocaleString()}`}</div>`;
+  li.querySelector('.profile-item-title').onclick = (e) => {
+    e.preventDefault();
+    hideDialog(document.getElementById('profileModal'));
+    openDetail(articleId);
+  };
+  return li;
+}
+
+// ========== 账号设置 ==========
+
+/**
+ * 打开账号设置：个人资料和修改密码
+ */
+async function openSettings() {
+  if (!currentUser) {
+    showLogin();
+    return;
+  }
+  let me;
+  try {
+    me = await fetchJSON('/api/me');
+  } catch (e) {
+    alert(t('error.action', { message: e.message || e }));
+    return;
+  }
+  const profileForm = document.getElementById('profileForm');
+  profileForm.displayName.value = me.displayName || '';
+  profileForm.avatar.value = me.avatar || '';
+  profileForm.bio.value = me.bio || '';
+  showFormMessage(profileForm, '');
+  const passwordForm = document.getElementById('passwordForm');
+  passwordForm.reset();
+  showFormMessage(passwordForm, '');
+  hideDialog(document.getElementById('profileModal'));
+  showDialog(document.getElementById('settingsModal'));
+}
+
+/**
+ * 保存个人资料
+ * @param {SubmitEvent} e - 提交事件
+ */
+async function submitProfileForm(e) {
+  e.preventDefault();
+  const form = e.currentTarget;
+  const submit = form.querySelector('button[type="submit"]');
+  submit.disabled = true;
+  try {
+    const p = await fetchJSON('/api/me/profile', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ displayName: form.displayName.value, avatar: form.avatar.value, bio: form.bio.value }),
+    });
+    currentDisplayName = p.displayName;
+    updateUserUI();
+    showFormMessage(form, t('settings.saved'), true);
+  } catch (err) {
+    showFormMessage(form, err.message || String(err));
+  } finally {
+    submit.disabled = false;
+  }
+}
+
+/**
+ * 修改密码（成功后其他设备上的登录失效，当前浏览器保持登录）
+ * @param {SubmitEvent} e - 提交事件
+ */
+async function submitPasswordForm(e) {
+  e.preventDefault();
+  const form = e.currentTarget;
+  if (form.newPassword.value !== form.confirm.value) {
+    showFormMessage(form, t('auth.mismatch'));
+    return;
+  }
+  const submit = form.querySelector('button[type="submit"]');
+  submit.disabled = true;
+  try {
+    await fetchJSON('/api/me/password', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ currentPassword: form.currentPassword.value, newPassword: form.newPassword.value }),
+    });
+    form.reset();
+    showFormMessage(form, t('settings.passwordChanged'), true);
+  } catch (err) {
+    showFormMessage(form, err.message || String(err));
+  } finally {
+    submit.disabled = false;
+  }
+}
+
+// 绑定登录、个人主页和设置弹窗：关闭按钮、背景遮罩、ESC键（先于文章详情关闭）和表单提交
+waitForDOM().then(() => {
+  const dialogs = [...document.querySelectorAll('.modal.modal-top')];
+  dialogs.forEach(modal => {
+    modal.querySelector('[data-close]').onclick = () => hideDialog(modal);
+    modal.querySelector('.modal-backdrop').onclick = () => hideDialog(modal);
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    const open = dialogs.filter(m => m.style.display !== 'none');
+    if (!open.length) return;
+    open.forEach(hideDialog);
+    e.stopPropagation();
+  }, true);
+
+  document.getElementById('authForm').addEventListener('submit', submitAuthForm);
+  document.getElementById('authSwitch').onclick = (e) => {
+    e.preventDefault();
+    showAuthForm(authMode === 'login' ? 'register' : 'login');
+  };
+  document.getElementById('profileForm').addEventListener('submit', submitProfileForm);
+  document.getElementById('passwordForm').addEventListener('submit', submitPasswordForm);
+});
+
+// ========== 热榜渲染 ==========
+
+/**
+ * 渲染热榜列表
+ */
+async function renderTrending() {
+  /**
+   * 等待feed中至少有一篇文章（避免在feed加载前显示热榜）
+   * @param {number} timeoutMs - 超时时间（毫秒）
+   * @returns {Promise<boolean>} 是否成功等到内容
+   */
+  const waitForFeedItem = (timeoutMs = 3000) => new Promise((resolve) => {
+    const interval = 150;
+    const max = Math.ceil(timeoutMs / interval);
+    let i = 0;
+    const timer = setInterval(() => {
+      if (feed.children && feed.children.length > 0) {
+        clearInterval(timer);
+        resolve(true);
+        return;
+      }
+      i++;
+      if (i >= max) {
+        clearInterval(timer);
+        resolve(false);
+      }
+    }, interval);
+  });
+
+  // 等待feed加载完成
+  const ready = await waitForFeedItem(3000);
+  if (!ready) {
+    console.log('[app] renderTrending skipped: feed empty after wait');
+    return;
+  }
+
+  try {
+    // 热榜跟随当前分类（综合页、推荐页和收藏视图显示全站热榜）
+    const params = new URLSearchParams({ window: state.trendingWindow });
+    if (state.view === 'news' && !['news', 'recommend'].includes(state.category)) params.set('category', state.category);
+    if (state.edition) params.set('edition', state.edition);
+    const { items } = await fetchJSON(`/api/trending?${params}`);
+    trending.innerHTML = '';
+    if (trendingEmptyEl) trendingEmptyEl.style.display = 'none';
+    
+    // 如果没有热榜数据，显示空状态
+    if (!items || !items.length) {
+      if (trendingEmptyEl) trendingEmptyEl.style.display = 'block';
+      return;
+    }
+    
+    // 渲染每个热榜项
+    items.forEach(a => {
+      const li = document.createElement('li');
+      li.className = 'trend-item';
+      
+      // 标题链接
+      const title = document.createElement('a');
+      title.href = '#';
+      title.className = 'trend-link';
+      title.textContent = a.title;
+      title.dataset.id = a.id;
+      title.onclick = (e) => {
+        e.preventDefault();
+        openDetail(a.id);
+      };
+
+      // 操作按钮区
+      const actions = document.createElement('div');
+      actions.className = 'trend-actions';
+
+      // 点赞按钮
+      const likeBtn = document.createElement('button');
+      likeBtn.className = 'trend-like';
+      likeBtn.innerHTML = `❤ <span class="trend-likes">${a.likes || 0}</span>`;
+      likeBtn.onclick = async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        if (!currentUser) {
+          alert(t('auth.required'));
+          return;
+        }
+        
+        try {
+          const r = await fetchJSON(`/api/articles/${encodeURIComponent(a.id)}/like`, {
+            method: 'POST'
+          });
+          likeBtn.querySelector('.trend-likes').textContent = r.likes;
+          likeBtn.classList.toggle('liked', !!r.liked);
+        } catch (err) {
+          alert(t('error.like', { message: err.message || err }));
+        }
+      };
+
+      actions.appendChild(likeBtn);
+      li.appendChild(title);
+      li.appendChild(actions);
+      trending.appendChild(li);
+    });
+  } catch (e) {
+    console.error('renderTrending failed', e);
+  }
+}
+
+// ========== 文章详情模态框 ==========
+
+/**
+ * 打开文章详情模态框，地址栏切换到 /article/:id
+ * @param {string} id - 文章ID
+ * @param {object} options - { updateUrl: 是否写入浏览历史（由地址栏或前进/后退打开时为 false） }
+ */
+async function openDetail(id, { updateUrl = true } = {}) {
+  // 获取模态框元素
+  const modal = document.getElementById('articleModal');
+  const modalCover = document.getElementById('modalCover');
+  const modalTitle = document.getElementById('modalTitle');
+  const modalMeta = document.getElementById('modalMeta');
+  const modalSummary = document.getElementById('modalSummary');
+  const openOriginal = document.getElementById('openOriginal');
+  const commentList = document.getElementById('commentList');
+  const commentText = document.getElementById('commentText');
+  const submitComment = document.getElementById('submitComment');
+
+  try {
+    // 获取文章详情
+    const a = await fetchJSON(`/api/articles/${encodeURIComponent(id)}`);
+    modalCover.src = a.cover || '';
+    
+    // 模态框点赞按钮
+    let modalLike = document.getElementById('modalLike');
+    if (!modalLike) {
+      modalLike = document.createElement('button');
+      modalLike.id = 'modalLike';
+      modalLike.className = 'btn';
+      modalLike.textContent = `❤ ${a.likes || 0}`;
+      const actionsWrap = document.querySelector('.modal-actions');
+      if (actionsWrap) actionsWrap.insertBefore(modalLike, actionsWrap.firstChild || null);
+    } else {
+      modalLike.textContent = `❤ ${a.likes || 0}`;
+    }
+    
+    // 点赞按钮点击事件
+    modalLike.onclick = async () => {
+      if (!currentUser) { 
+        alert(t('auth.required')); 
+        return; 
+      }
+      
+      try {
+        modalLike.disabled = true;
+        const r = await fetchJSON(`/api/articles/${encodeURIComponent(id)}/like`, {
+          method: 'POST'
+        });
+        modalLike.textContent = `❤ ${r.likes}`;
+        
+        // 同步更新列表中对应卡片的点赞数
+        const card = document.querySelector(`.card[data-id="${id}"]`);
+        if (card) {
+          const likesEl = card.querySelector('.likes');
+          if (likesEl) likesEl.textContent = r.likes;
+        }
+      } catch (e) {
+        alert(t('error.like', { message: e.message || e }));
+      } finally { 
+        modalLike.disabled = false; 
+      }
+    };
+    
+    // 收藏按钮：点击切换收藏；已收藏时可编辑收藏夹和备注
+    const modalBookmark = document.getElementById('modalBookmark');
+    const modalBookmarkEdit = document.getElementById('modalBookmarkEdit');
+    let bookmark = a.bookmark || null;
+    const syncBookmark = () => {
+      setBookmarkButton(modalBookmark, !!bookmark);
+      modalBookmarkEdit.style.display = bookmark ? 'inline-block' : 'none';
+    };
+    syncBookmark();
+    modalBookmark.onclick = async () => {
+      const on = !bookmark;
+      if (!(await toggleBookmark(id, on))) return;
+      bookmark = on ? { folder: '', note: '' } : null;
+      syncBookmark();
+      if (!on && state.view === 'bookmarks') {
+        const card = document.querySelector(`.card[data-id="${CSS.escape(id)}"]`);
+        if (card) card.remove();
+      }
+    };
+    modalBookmarkEdit.onclick = async () => {
+      const folder = prompt(t('bookmark.folderPrompt'), bookmark.folder || '');
+      if (folder === null) return;
+      const note = prompt(t('bookmark.notePrompt'), bookmark.note || '');
+      if (note === null) return;
+      if (await toggleBookmark(id, true, { folder, note })) {
+        bookmark = { folder: folder.trim(), note: note.trim() };
+      }
+    };
+
+    // 关注文章来源（作为话题显示在标签栏）
+    const modalFollowSource = document.getElementById('modalFollowSource');
+    const syncFollowSource = () => {
+      const following = topicList.some(tp => tp.kind === 'source' && tp.value.toLowerCase() === a.source.toLowerCase());
+      modalFollowSource.textContent = t(following ? 'topic.followingSource' : 'topic.followSource', { source: a.source });
+      modalFollowSource.disabled = following;
+    };
+    modalFollowSource.style.display = a.source ? 'inline-block' : 'none';
+    if (a.source) syncFollowSource();
+    modalFollowSource.onclick = async () => {
+      if (!(await followTopic('source', a.source))) return;
+      syncFollowSource();
+      if (!['bookmarks', 'archive'].includes(state.view)) renderTabs(categoryList);
+    };
+
+    // 设置文章信息
+    modalTitle.textContent = a.title || '';
+    modalMeta.textContent = `${a.source || ''} · ${a.publishedAt ? new Date(a.publishedAt).toLocaleString() : ''} · ${a.likes || 0}❤`;
+    modalSummary.textContent = a.summary || '';
+    modalSummary.style.display = '';
+    loadFullText(id);
+
+    // 其他媒体的相关报道（点击切换到对应报道）
+    const modalCoverage = document.getElementById('modalCoverage');
+    const coverage = a.coverage || [];
+    modalCoverage.style.display = coverage.length ? 'block' : 'none';
+    modalCoverage.innerHTML = '';
+    if (coverage.length) {
+      const heading = document.createElement('h4');
+      heading.textContent = t('coverage.more', { n: coverage.length });
+      const listEl = document.createElement('ul');
+      coverage.forEach(c => {
+        const li = document.createElement('li');
+        li.className = 'coverage';
+        const sourceEl = document.createElement('span');
+        sourceEl.className = 'coverage-source';
+        sourceEl.textContent = c.source || '';
+        const link = document.createElement('a');
+        link.textContent = c.title || '';
+        link.onclick = () => openDetail(c.id);
+        li.append(sourceEl, link);
+        listEl.appendChild(li);
+      });
+      modalCoverage.append(heading, listEl);
+    }
+    
+    // 设置原文链接
+    if (a.url) {
+      openOriginal.href = a.url;
+      openOriginal.style.display = 'inline-block';
+      openOriginal.onclick = () => trackEvent(id, { type: 'click' });
+    } else {
+      openOriginal.style.display = 'none';
+    }
+
+    // 加载评论列表（第一页）
+    commentState.articleId = id;
+    await loadComments(true);
+
+    // 模态框中的登录提示
     const modalAuth = document.getElementById('modalAuth');
     if (modalAuth) {
       if (!currentUser) {
         modalAuth.style.display = 'inline-block';
-        modalAuth.innerHTML = `<button id="modalLoginBtn" class="btn">登录以发表评论</button>`;
-        document.getElementById('modalLoginBtn').onclick = async () => {
-          await showLogin();
-          // 登录后更新UI
-          if (currentUser) {
-            modalAuth.style.display = 'none';
-          }
-        };
+        modalAuth.innerHTML = `<button id="modalLoginBtn" class="btn">${t('comments.loginToComment')}</button>`;
+        // 登录成功后由 onLoggedIn 隐藏提示
+        document.getElementById('modalLoginBtn').onclick = showLogin;
       } else {
         modalAuth.style.display = 'none';
       }
@@ -680,91 +1655,175 @@ async function openDetail(id) {
     // 提交评论按钮事件
     submitComment.onclick = async () => {
       if (!currentUser) { 
-        alert('请先登录'); 
+        alert(t('auth.required')); 
         return; 
       }
       
       const txt = commentText.value.trim();
       if (!txt) { 
-        alert('评论不能为空'); 
+        alert(t('comments.required')); 
         return; 
       }
       if (txt.length > 300) { 
-        alert('评论不能超过 300 字'); 
+        alert(t('comments.tooLong', { n: 300 })); 
         return; 
       }
       
       try {
         submitComment.disabled = true;
-        submitComment.textContent = '提交中...';
+        submitComment.textContent = t('comments.submitting');
         const r = await fetchJSON(`/api/articles/${encodeURIComponent(id)}/comments`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ username: currentUser, text: txt })
+          body: JSON.stringify({ text: txt })
         });
         
-        // 将新评论添加到列表
-        const it = r.comment;
-        const node = document.createElement('li');
-        node.className = 'comment-item';
-        node.setAttribute('data-comment-id', it.id);
-        node.innerHTML = `
-          <div class="comment-meta">${it.username} · ${new Date(it.createdAt).toLocaleString()}</div>
-          <div class="comment-text">${escapeHtml(it.text)}</div>
-          <div class="comment-row" style="margin-top:8px;display:flex;align-items:center;gap:8px">
-            <button class="btn comment-like" data-comment-id="${it.id}">❤ <span class="c-likes">0</span></button>
-          </div>`;
-        
-        // 如果列表中只有"暂无评论"提示，先清空
-        if (commentList.querySelector('.comment-item') && 
-            commentList.children.length === 1 && 
-            commentList.children[0].textContent === '暂无评论') {
-          commentList.innerHTML = '';
+        // 将新评论添加到列表（最新排序时在顶部，其他排序追加在末尾）
+        const node = renderCommentItem(r.comment, id);
+        const emptyEl = commentList.querySelector('.comment-empty');
+        if (emptyEl) emptyEl.remove();
+        if (commentState.sort === 'newest') {
+          commentList.insertBefore(node, commentList.firstChild);
+        } else {
+          commentList.appendChild(node);
         }
-        
-        // 插入到列表顶部（最新评论在上）
-        commentList.insertBefore(node, commentList.firstChild);
         commentText.value = '';
-        
-        // 为新添加的评论绑定点赞事件
-        const newLikeBtn = node.querySelector('.comment-like');
-        if (newLikeBtn) newLikeBtn.onclick = commentLikeHandler(id);
+        if (r.comment.status === 'pending') alert(t('comments.pending'));
       } catch (e) {
-        alert('发表评论失败：' + (e.message || e));
+        alert(t('comments.submitFailed', { message: e.message || e }));
       } finally {
         submitComment.disabled = false;
-        submitComment.textContent = '发表评论';
+        submitComment.textContent = t('comments.submit');
       }
     };
 
-    // 为现有评论绑定点赞事件
-    const likeBtns = commentList.querySelectorAll('.comment-like');
-    likeBtns.forEach(btn => { 
-      btn.onclick = commentLikeHandler(id); 
-    });
-
     // 显示模态框
     modal.style.display = 'flex';
     modal.setAttribute('aria-hidden', 'false');
+    startDwell(id);
+    document.title = `${a.title} - ${SITE_TITLE}`;
+    if (updateUrl) showArticleUrl(id);
+
+  } catch (e) {
+    alert(t('error.openArticle', { message: e.message || e }));
+    // 打开分享链接失败（文章不存在或已下线）时回到列表地址
+    if (articleIdFromPath() === id) history.replaceState(null, '', listUrl());
+  }
+}
+
+let fullTextSeq = 0;   // 正文请求序号（快速切换文章时丢弃过期的响应）
 
+/**
+ * 加载文章正文并显示在摘要位置，元信息中追加预计阅读时长；无法获取时保留摘要
+ * @param {string} id - 文章ID
+ */
+async function loadFullText(id) {
+  const modalContent = document.getElementById('modalContent');
+  const modalSummary = document.getElementById('modalSummary');
+  const modalMeta = document.getElementById('modalMeta');
+  if (!modalContent) return;
+  const seq = ++fullTextSeq;
+  modalContent.className = 'modal-body-content loading';
+  modalContent.textContent = t('article.loadingContent');
+  modalContent.style.display = 'block';
+  try {
+    const r = await fetchJSON(`/api/articles/${encodeURIComponent(id)}/content`);
+    if (seq !== fullTextSeq) return;
+    // 正文HTML由服务端按白名单清洗
+    modalContent.className = 'modal-body-content';
+    modalContent.innerHTML = r.html;
+    modalSummary.style.display = 'none';
+    modalMeta.textContent += ` · ${t('article.readingTime', { n: r.readingMinutes })}`;
   } catch (e) {
-    alert('打开文章失败：' + (e.message || e));
+    if (seq !== fullTextSeq) return;
+    modalContent.style.display = 'none';
+    modalContent.innerHTML = '';
   }
 }
 
+// ========== 阅读统计 ==========
+
+// 当前详情弹窗的停留计时（页面切到后台时暂停）
+const dwell = {
+  articleId: '',   // 正在阅读的文章ID
+  startedAt: 0,    // 本段可见时间的开始时间（0 表示暂停中）
+  totalMs: 0       // 已累计的可见时长
+};
+
+/**
+ * 上报阅读事件（keepalive：页面关闭时请求也会发出）
+ * @param {string} articleId - 文章ID
+ * @param {object} event - { type: 'click' | 'dwell', dwellMs }
+ */
+function trackEvent(articleId, event) {
+  fetch(`/api/articles/${encodeURIComponent(articleId)}/events`, {
+    method: 'POST',
+    keepalive: true,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(event)
+  }).catch(() => {});
+}
+
+/**
+ * 开始统计某篇文章的停留时长
+ * @param {string} articleId - 文章ID
+ */
+function startDwell(articleId) {
+  flushDwell();
+  dwell.articleId = articleId;
+  dwell.startedAt = document.visibilityState === 'visible' ? Date.now() : 0;
+  dwell.totalMs = 0;
+}
+
+/**
+ * 结束停留计时并上报
+ */
+function flushDwell() {
+  if (!dwell.articleId) return;
+  if (dwell.startedAt) dwell.totalMs += Date.now() - dwell.startedAt;
+  // 不足1秒的视为误触，不上报
+  if (dwell.totalMs >= 1000) trackEvent(dwell.articleId, { type: 'dwell', dwellMs: dwell.totalMs });
+  dwell.articleId = '';
+  dwell.startedAt = 0;
+  dwell.totalMs = 0;
+}
+
+// 切到后台时暂停计时，回到前台时继续；页面关闭时上报
+document.addEventListener('visibilitychange', () => {
+  if (!dwell.articleId) return;
+  if (document.visibilityState === 'hidden') {
+    if (dwell.startedAt) dwell.totalMs += Date.now() - dwell.startedAt;
+    dwell.startedAt = 0;
+  } else if (!dwell.startedAt) {
+    dwell.startedAt = Date.now();
+  }
+});
+window.addEventListener('pagehide', flushDwell);
+
 /**
- * 关闭文章详情模态框
+ * 关闭文章详情模态框，地址栏回到列表
  */
 function closeModal() {
+  if (hideModal()) leaveArticleUrl();
+}
+
+/**
+ * 隐藏文章详情模态框（不改变地址栏）
+ * @returns {boolean} 模态框原本是否打开
+ */
+function hideModal() {
   const modal = document.getElementById('articleModal');
-  if (!modal) return;
+  if (!modal || modal.style.display === 'none') return false;
   
+  document.title = SITE_TITLE;
   modal.style.display = 'none';
   modal.setAttribute('aria-hidden', 'true');
+  flushDwell();
   
   // 移除固定类（如果有）
   const ca = document.querySelector('.comment-actions');
   if (ca) ca.classList.remove('comment-fixed');
+  return true;
 }
 
 /**
@@ -794,7 +1853,7 @@ function commentLikeHandler(articleId) {
     const commentId = btn.dataset.commentId;
     
     if (!currentUser) { 
-      alert('请先登录'); 
+      alert(t('auth.required')); 
       return; 
     }
     
@@ -802,24 +1861,248 @@ function commentLikeHandler(articleId) {
       btn.disabled = true;
       const r = await fetchJSON(
         `/api/articles/${encodeURIComponent(articleId)}/comments/${encodeURIComponent(commentId)}/like`, 
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ username: currentUser })
-        }
+        { method: 'POST' }
       );
       
       const likesSpan = btn.querySelector('.c-likes');
       if (likesSpan) likesSpan.textContent = r.likes;
       btn.classList.toggle('comment-liked', !!r.liked);
     } catch (err) {
-      alert('操作失败：' + (err.message || err));
+      alert(t('error.action', { message: err.message || err }));
     } finally {
       btn.disabled = false;
     }
   };
 }
 
+// ========== 评论区 ==========
+
+// 评论列表状态（随打开的文章重置）
+const commentState = {
+  articleId: '',      // 当前文章ID
+  sort: 'newest',     // 排序方式：newest / oldest / liked
+  cursor: '',         // 下一页游标
+  busy: false,        // 是否正在加载
+  seq: 0              // 请求序号，切换文章后丢弃过期的响应
+};
+
+/**
+ * 加载评论（reset 为 true 时清空并加载第一页）
+ * @param {boolean} reset - 是否重新加载
+ */
+async function loadComments(reset = false) {
+  const commentList = document.getElementById('commentList');
+  const moreBtn = document.getElementById('commentMore');
+  if (commentState.busy && !reset) return;
+  commentState.busy = true;
+  const seq = ++commentState.seq;
+
+  if (reset) {
+    commentState.cursor = '';
+    commentList.innerHTML = `<li class="comment-item comment-empty">${t('comments.loading')}</li>`;
+  }
+  if (moreBtn) moreBtn.disabled = true;
+
+  try {
+    // 服务端根据会话标记当前用户点赞过的评论
+    const params = new URLSearchParams({ sort: commentState.sort, pageSize: 10 });
+    if (commentState.cursor) params.set('cursor', commentState.cursor);
+    const cc = await fetchJSON(`/api/articles/${encodeURIComponent(commentState.articleId)}/comments?${params}`);
+    if (seq !== commentState.seq) return;
+    const items = cc.items || [];
+
+    if (reset) commentList.innerHTML = '';
+    items.forEach(it => commentList.appendChild(renderCommentItem(it, commentState.articleId)));
+    if (!commentList.children.length) {
+      commentList.innerHTML = `<li class="comment-item comment-empty">${t('comments.empty')}</li>`;
+    }
+
+    commentState.cursor = cc.nextCursor || '';
+    if (moreBtn) moreBtn.style.display = cc.hasMore ? 'block' : 'none';
+  } catch (e) {
+    if (reset && seq === commentState.seq) commentList.innerHTML = `<li class="comment-item comment-empty">${t('comments.loadFailed')}</li>`;
+  } finally {
+    if (seq === commentState.seq) {
+      commentState.busy = false;
+      if (moreBtn) moreBtn.disabled = false;
+    }
+  }
+}
+
+/**
+ * 渲染一条评论（含嵌套回复）
+ * @param {object} it - 评论对象
+ * @param {string} articleId - 文章ID
+ * @returns {HTMLElement} 评论元素
+ */
+function renderCommentItem(it, articleId) {
+  const li = document.createElement('li');
+  const hidden = it.status === 'hidden';
+  const pending = it.status === 'pending';
+  li.className = 'comment-item' + (it.deleted || hidden ? ' comment-deleted' : '') + (pending ? ' comment-pending' : '');
+  li.dataset.commentId = it.id;
+
+  const own = currentUser && it.username === currentUser && !it.deleted && !hidden;
+  const edited = it.editedAt
+    ? ` · <span class="comment-edited" title="${t('comments.editedAt', { time: new Date(it.editedAt).toLocaleString() })}">${t('comments.edited')}</span>`
+    : '';
+  const badge = pending ? ` · <span class="comment-badge" title="${t('comments.pendingHint')}">${t('comments.pendingBadge')}</span>` : '';
+  const placeholder = it.deleted ? t('comments.deleted') : hidden ? t('comments.hidden') : '';
+  li.innerHTML = `
+    <div class="comment-meta"><a href="#" class="comment-author" title="@${escapeHtml(it.username)}">${escapeHtml(it.displayName || it.username)}</a> · ${new Date(it.createdAt).toLocaleString()}${edited}${badge}</div>
+    <div class="comment-text">${placeholder || escapeHtml(it.text)}</div>
+    ${placeholder ? '' : `
+    <div class="comment-row">
+      ${pending ? '' : `
+      <button class="btn comment-like ${it.liked ? 'comment-liked' : ''}" data-comment-id="${it.id}">❤ <span class="c-likes">${it.likes || 0}</span></button>
+      <button class="btn comment-reply">${t('comments.reply')}</button>`}
+      ${own
+        ? `<button class="btn comment-edit">${t('comments.edit')}</button><button class="btn comment-delete">${t('comments.delete')}</button>`
+        : `<button class="btn comment-report">${t('comments.report')}</button>`}
+    </div>`}`;
+
+  // 点击作者打开个人主页
+  li.querySelector(':scope > .comment-meta .comment-author').onclick = (e) => {
+    e.preventDefault();
+    openProfile(it.username);
+  };
+
+  // 嵌套回复
+  const replies = document.createElement('ul');
+  replies.className = 'comment-replies';
+  (it.replies || []).forEach(r => replies.appendChild(renderCommentItem(r, articleId)));
+  li.appendChild(replies);
+
+  const row = li.querySelector(':scope > .comment-row');
+  if (!row) return li;
+
+  if (!pending) {
+    row.querySelector('.comment-like').onclick = commentLikeHandler(articleId);
+    row.querySelector('.comment-reply').onclick = () => showReplyForm(li, it, articleId);
+  }
+  if (own) {
+    row.querySelector('.comment-edit').onclick = () => showEditForm(li, it, articleId);
+    row.querySelector('.comment-delete').onclick = () => deleteComment(li, it, articleId);
+  } else {
+    row.querySelector('.comment-report').onclick = (e) => reportComment(e.currentTarget, it, articleId);
+  }
+  return li;
+}
+
+/**
+ * 在评论下方显示内联输入框
+ * @param {HTMLElement} li - 评论元素
+ * @param {string} initial - 初始内容
+ * @param {string} submitLabel - 提交按钮文字
+ * @param {Function} onSubmit - 提交回调（接收文本，返回Promise）
+ */
+function showInlineForm(li, initial, submitLabel, onSubmit) {
+  const existing = li.querySelector(':scope > .comment-inline-form');
+  if (existing) existing.remove();
+
+  const form = document.createElement('div');
+  form.className = 'comment-inline-form';
+  form.innerHTML = `
+    <textarea rows="2"></textarea>
+    <div class="comment-row">
+      <button class="btn primary comment-inline-submit">${submitLabel}</button>
+      <button class="btn comment-inline-cancel">${t('comments.cancel')}</button>
+    </div>`;
+  const ta = form.querySelector('textarea');
+  ta.value = initial;
+  li.insertBefore(form, li.querySelector(':scope > .comment-replies'));
+  ta.focus();
+
+  form.querySelector('.comment-inline-cancel').onclick = () => form.remove();
+  const submitBtn = form.querySelector('.comment-inline-submit');
+  submitBtn.onclick = async () => {
+    const txt = ta.value.trim();
+    if (!txt) { alert(t('comments.required')); return; }
+    if (txt.length > 300) { alert(t('comments.tooLong', { n: 300 })); return; }
+    try {
+      submitBtn.disabled = true;
+      await onSubmit(txt);
+      form.remove();
+    } catch (e) {
+      alert(t('error.action', { message: e.message || e }));
+      submitBtn.disabled = false;
+    }
+  };
+}
+
+/**
+ * 回复评论
+ */
+function showReplyForm(li, it, articleId) {
+  if (!currentUser) { alert(t('auth.required')); return; }
+  showInlineForm(li, '', t('comments.reply'), async (txt) => {
+    const r = await fetchJSON(`/api/articles/${encodeURIComponent(articleId)}/comments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: txt, parentId: it.id })
+    });
+    li.querySelector(':scope > .comment-replies').appendChild(renderCommentItem(r.comment, articleId));
+    if (r.comment.status === 'pending') alert(t('comments.replyPending'));
+  });
+}
+
+/**
+ * 编辑自己的评论
+ */
+function showEditForm(li, it, articleId) {
+  showInlineForm(li, it.text, t('comments.save'), async (txt) => {
+    const r = await fetchJSON(`/api/articles/${encodeURIComponent(articleId)}/comments/${encodeURIComponent(it.id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: txt })
+    });
+    // 保留已加载的回复，只替换评论本身
+    const updated = renderCommentItem({ ...r.comment, replies: [] }, articleId);
+    updated.replaceChild(li.querySelector(':scope > .comment-replies'), updated.querySelector(':scope > .comment-replies'));
+    li.replaceWith(updated);
+  });
+}
+
+/**
+ * 删除自己的评论（软删除）
+ */
+async function deleteComment(li, it, articleId) {
+  if (!confirm(t('comments.deleteConfirm'))) return;
+  try {
+    const r = await fetchJSON(`/api/articles/${encodeURIComponent(articleId)}/comments/${encodeURIComponent(it.id)}`, {
+      method: 'DELETE'
+    });
+    const updated = renderCommentItem({ ...r.comment, replies: [] }, articleId);
+    updated.replaceChild(li.querySelector(':scope > .comment-replies'), updated.querySelector(':scope > .comment-replies'));
+    li.replaceWith(updated);
+  } catch (e) {
+    alert(t('comments.deleteFailed', { message: e.message || e }));
+  }
+}
+
+/**
+ * 举报他人的评论
+ * @param {HTMLElement} btn - 举报按钮
+ */
+async function reportComment(btn, it, articleId) {
+  if (!currentUser) { alert(t('auth.required')); return; }
+  const reason = prompt(t('comments.reportPrompt'), '');
+  if (reason === null) return;
+  try {
+    btn.disabled = true;
+    const r = await fetchJSON(`/api/articles/${encodeURIComponent(articleId)}/comments/${encodeURIComponent(it.id)}/report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason })
+    });
+    btn.textContent = t('comments.reported');
+    alert(r.alreadyReported ? t('comments.alreadyReported') : t('comments.reportOk'));
+  } catch (e) {
+    btn.disabled = false;
+    alert(t('comments.reportFailed', { message: e.message || e }));
+  }
+}
+
 // ========== 模态框事件绑定 ==========
 
 // 等待DOM加载后绑定模态框事件监听器
@@ -832,6 +2115,17 @@ waitForDOM().then(() => {
   
   // 关闭按钮点击事件
   closeBtn.onclick = closeModal;
+
+  // 评论排序切换与加载更多
+  const sortSel = document.getElementById('commentSort');
+  if (sortSel) {
+    sortSel.onchange = () => {
+      commentState.sort = sortSel.value;
+      loadComments(true);
+    };
+  }
+  const moreBtn = document.getElementById('commentMore');
+  if (moreBtn) moreBtn.onclick = () => loadComments(false);
   
   // 点击背景遮罩关闭
   backdrop.onclick = closeModal;
@@ -842,12 +2136,335 @@ waitForDOM().then(() => {
   });
 });
 
+// ========== 实时更新 ==========
+
+// 实时推送连接状态
+const live = {
+  source: null,        // 当前 EventSource 连接
+  retryMs: 1000,       // 下次重连前的等待时间（断线后指数增长，连上后重置）
+  newArticles: new Map(), // 当前列表尚未显示的新文章：ID -> 发布时间（时间戳）
+  newestShown: 0,      // 当前列表中最新文章的发布时间（时间戳）
+  checkTimer: null,    // 新内容计数的延迟检查
+};
+
+const LIVE_RETRY_MAX_MS = 60 * 1000;   // 重连等待时间上限
+const NEW_ARTICLES_DELAY_MS = 1500;     // 收到新文章事件后延迟计数，等待同一请求触发的列表渲染完成
+
+/**
+ * 连接实时推送；断线后按指数退避（带随机抖动）重连
+ */
+function connectLive() {
+  if (typeof EventSource === 'undefined') return;
+  const es = new EventSource('/api/stream');
+  live.source = es;
+
+  es.onopen = () => { live.retryMs = 1000; };
+  es.onerror = () => {
+    // 关闭浏览器的自动重连，由这里控制重连节奏
+    es.close();
+    if (live.source !== es) return;
+    const delay = live.retryMs * (0.5 + Math.random() / 2);
+    live.retryMs = Math.min(live.retryMs * 2, LIVE_RETRY_MAX_MS);
+    setTimeout(connectLive, delay);
+  };
+
+  const on = (event, handler) => es.addEventListener(event, (e) => {
+    try {
+      handler(JSON.parse(e.data));
+    } catch (err) {
+      console.error(`[live] ${event} failed`, err);
+    }
+  });
+  on('like', onLiveLike);
+  on('comment', onLiveComment);
+  on('comment-like', onLiveCommentLike);
+  on('articles', onLiveArticles);
+  on('notification', onLiveNotification);
+}
+
+/**
+ * 登录状态变化后重新连接，让服务端按新身份推送个人通知
+ */
+function reconnectLive() {
+  if (live.source) live.source.close();
+  live.source = null;
+  live.retryMs = 1000;
+  connectLive();
+}
+
+/**
+ * 正在详情中阅读的文章ID（模态框关闭时为空）
+ * @returns {string}
+ */
+function openArticleId() {
+  const modal = document.getElementById('articleModal');
+  return modal && modal.style.display !== 'none' ? commentState.articleId : '';
+}
+
+/**
+ * 文章点赞数变化：更新列表卡片、热榜和打开的详情
+ * @param {object} data - { articleId, likes }
+ */
+function onLiveLike({ articleId, likes }) {
+  const card = feed.querySelector(`.card[data-id="${CSS.escape(articleId)}"] .likes`);
+  if (card) card.textContent = likes;
+  const trendLink = trending.querySelector(`.trend-link[data-id="${CSS.escape(articleId)}"]`);
+  const trendLikes = trendLink && trendLink.closest('li').querySelector('.trend-likes');
+  if (trendLikes) trendLikes.textContent = likes;
+  const modalLike = document.getElementById('modalLike');
+  if (modalLike && openArticleId() === articleId) modalLike.textContent = `❤ ${likes}`;
+}
+
+/**
+ * 新评论：打开的文章收到评论时插入评论区（回复插到所属评论下）
+ * @param {object} data - { articleId, comment }
+ */
+function onLiveComment({ articleId, comment }) {
+  if (openArticleId() !== articleId) return;
+  const commentList = document.getElementById('commentList');
+  if (!commentList || commentList.querySelector(`[data-comment-id="${CSS.escape(comment.id)}"]`)) return;
+  const node = renderCommentItem({ ...comment, replies: [] }, articleId);
+
+  if (comment.parentId) {
+    const parent = commentList.querySelector(`[data-comment-id="${CSS.escape(comment.parentId)}"] > .comment-replies`);
+    if (parent) parent.appendChild(node);
+    return;
+  }
+  // 最新排序时插到顶部；其他排序只在已加载完全部评论时追加到末尾，避免与分页结果重复
+  if (commentState.sort === 'newest') {
+    commentList.querySelector('.comment-empty')?.remove();
+    commentList.insertBefore(node, commentList.firstChild);
+  } else if (!commentState.cursor && !commentState.busy) {
+    commentList.querySelector('.comment-empty')?.remove();
+    commentList.appendChild(node);
+  }
+}
+
+/**
+ * 评论点赞数变化
+ * @param {object} data - { articleId, commentId, likes }
+ */
+function onLiveCommentLike({ articleId, commentId, likes }) {
+  if (openArticleId() !== articleId) return;
+  const el = document.querySelector(`#commentList .comment-like[data-comment-id="${CSS.escape(commentId)}"] .c-likes`);
+  if (el) el.textContent = likes;
+}
+
+/**
+ * 新文章入库：属于当前分类和版本、且比列表中最新文章更新的计入提示条
+ * @param {object} data - { items: [{ id, categories, editions, publishedAt }] }
+ */
+function onLiveArticles({ items }) {
+  if (state.view !== 'news' || state.q) return;
+  items.forEach(a => {
+    if (state.edition && !a.editions.includes(state.edition)) return;
+    if (!['news', 'recommend'].includes(state.category) && !a.categories.includes(state.category)) return;
+    live.newArticles.set(a.id, Date.parse(a.publishedAt || '') || 0);
+  });
+  clearTimeout(live.checkTimer);
+  live.checkTimer = setTimeout(updateNewBanner, NEW_ARTICLES_DELAY_MS);
+}
+
+/**
+ * 重新统计未显示的新文章并更新提示条
+ */
+function updateNewBanner() {
+  if (!newBannerEl) return;
+  if (state.busy) {
+    live.checkTimer = setTimeout(updateNewBanner, NEW_ARTICLES_DELAY_MS);
+    return;
+  }
+  for (const [id, publishedAt] of live.newArticles) {
+    const shown = feed.querySelector(`.card[data-id="${CSS.escape(id)}"]`);
+    if (shown || publishedAt <= live.newestShown) live.newArticles.delete(id);
+  }
+  const n = live.newArticles.size;
+  newBannerEl.style.display = n ? 'block' : 'none';
+  newBannerEl.textContent = t('live.newArticles', { n });
+  newBannerEl.onclick = () => {
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+    refresh();
+  };
+}
+
+/**
+ * 清空新内容提示（列表重新加载时调用）
+ */
+function resetNewArticles() {
+  clearTimeout(live.checkTimer);
+  live.newArticles.clear();
+  live.newestShown = 0;
+  if (newBannerEl) newBannerEl.style.display = 'none';
+}
+
+// ========== 站内通知 ==========
+
+// 通知面板状态
+const notices = {
+  unread: 0,       // 未读通知数
+  open: false,     // 面板是否展开
+  cursor: '',      // 下一页游标
+};
+
+/**
+ * 从服务端获取未读通知数并更新角标
+ */
+async function loadUnreadCount() {
+  if (!currentUser) return;
+  try {
+    const r = await fetchJSON('/api/notifications?pageSize=1');
+    notices.unread = r.unread;
+  } catch (e) {
+    console.error('load notifications failed', e);
+  }
+  updateNotifyBadge();
+}
+
+/**
+ * 更新铃铛上的未读角标
+ */
+function updateNotifyBadge() {
+  const badge = document.querySelector('#notifyBtn .notify-badge');
+  if (!badge) return;
+  badge.textContent = notices.unread > 99 ? '99+' : String(notices.unread);
+  badge.style.display = notices.unread ? 'inline-block' : 'none';
+}
+
+/**
+ * 展开或收起通知面板（展开时重新加载第一页）
+ */
+async function toggleNotifyPanel() {
+  const panel = document.getElementById('notifyPanel');
+  if (!panel) return;
+  notices.open = !notices.open;
+  panel.style.display = notices.open ? 'block' : 'none';
+  if (!notices.open) return;
+
+  panel.innerHTML = `
+    <div class="notify-head">
+      <span>${t('notify.title')}</span>
+      <button class="notify-mark-all">${t('notify.markAll')}</button>
+    </div>
+    <ul class="notify-list"></ul>
+    <button class="notify-more">${t('notify.more')}</button>`;
+  panel.querySelector('.notify-mark-all').onclick = () => markNotificationsRead();
+  panel.querySelector('.notify-more').onclick = () => loadNotifications(false);
+  await loadNotifications(true);
+}
+
+/**
+ * 收起通知面板
+ */
+function closeNotifyPanel() {
+  const panel = document.getElementById('notifyPanel');
+  if (panel) panel.style.display = 'none';
+  notices.open = false;
+}
+
+/**
+ * 加载通知列表
+ * @param {boolean} reset - 是否从第一页开始
+ */
+async function loadNotifications(reset) {
+  const panel = document.getElementById('notifyPanel');
+  const list = panel && panel.querySelector('.notify-list');
+  if (!list) return;
+  if (reset) notices.cursor = '';
+  try {
+    const params = new URLSearchParams({ pageSize: 20 });
+    if (notices.cursor) params.set('cursor', notices.cursor);
+    const r = await fetchJSON(`/api/notifications?${params}`);
+    if (reset) list.innerHTML = '';
+    r.items.forEach(n => list.appendChild(renderNotifyItem(n)));
+    if (!list.children.length) list.innerHTML = `<li class="notify-empty">${t('notify.empty')}</li>`;
+    notices.cursor = r.nextCursor || '';
+    notices.unread = r.unread;
+    updateNotifyBadge();
+    panel.querySelector('.notify-more').style.display = r.hasMore ? 'block' : 'none';
+  } catch (e) {
+    if (reset) list.innerHTML = `<li class="notify-empty">${escapeHtml(e.message || String(e))}</li>`;
+  }
+}
+
+/**
+ * 渲染单条通知
+ * @param {object} n - 通知对象
+ * @returns {HTMLLIElement}
+ */
+function renderNotifyItem(n) {
+  const li = document.createElement('li');
+  li.className = 'notify-item' + (n.read ? '' : ' unread');
+  li.dataset.id = n.id;
+  li.innerHTML = `
+    <div class="notify-text">${escapeHtml(t(`notify.${n.type}`, { actor: n.actor }))}</div>
+    ${n.articleTitle ? `<div class="notify-article">${escapeHtml(n.articleTitle)}</div>` : ''}
+    ${n.excerpt ? `<div class="notify-excerpt">${escapeHtml(n.excerpt)}</div>` : ''}
+    <div class="notify-time">${new Date(n.createdAt).toLocaleString()}</div>`;
+  li.onclick = () => openNotification(n, li);
+  return li;
+}
+
+/**
+ * 标记通知为已读
+ * @param {number[]} [ids] - 通知ID；不传表示全部
+ */
+async function markNotificationsRead(ids) {
+  try {
+    const r = await fetchJSON('/api/notifications/read', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(ids ? { ids } : {})
+    });
+    notices.unread = r.unread;
+    updateNotifyBadge();
+    document.querySelectorAll('#notifyPanel .notify-item.unread').forEach(el => {
+      if (!ids || ids.includes(Number(el.dataset.id))) el.classList.remove('unread');
+    });
+  } catch (e) {
+    console.error('mark notifications read failed', e);
+  }
+}
+
+/**
+ * 打开通知：标记已读，打开文章详情并定位到相关评论
+ * @param {object} n - 通知对象
+ * @param {HTMLLIElement} li - 通知列表项
+ */
+async function openNotification(n, li) {
+  if (li.classList.contains('unread')) markNotificationsRead([n.id]);
+  closeNotifyPanel();
+  await openDetail(n.articleId);
+  const el = document.querySelector(`#commentList .comment-item[data-comment-id="${CSS.escape(n.commentId)}"]`);
+  if (!el) return;
+  el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  el.classList.add('comment-highlight');
+  setTimeout(() => el.classList.remove('comment-highlight'), 2000);
+}
+
+/**
+ * 收到新通知：更新角标，面板展开时插到列表顶部
+ * @param {object} data - { item, unread }
+ */
+function onLiveNotification({ item, unread }) {
+  notices.unread = unread;
+  updateNotifyBadge();
+  const list = notices.open && document.querySelector('#notifyPanel .notify-list');
+  if (!list) return;
+  list.querySelector('.notify-empty')?.remove();
+  list.insertBefore(renderNotifyItem(item), list.firstChild);
+}
+
+// 点击通知面板以外的区域时收起
+document.addEventListener('click', (e) => {
+  if (notices.open && !e.target.closest('#notifyPanel, #notifyBtn')) closeNotifyPanel();
+});
+
 // ========== 应用启动 ==========
 
 // 启动应用
 init().catch(err => {
   console.error(err);
-  alert('初始化失败');
+  alert(t('error.init'));
 });
 
 // 回到顶部按钮事件绑定
@@ -872,5 +2489,3 @@ try {
 } catch(e) {
   // 在非浏览器环境（如Node.js）中忽略错误
 }
-
-
@@ -0,0 +1,328 @@
+// ========== 界面文案（中文 / English） ==========
+// 静态文案在 HTML 中用 data-i18n / data-i18n-placeholder / data-i18n-title 标记，
+// 动态文案在 app.js 中通过 t(key, vars) 获取；{name} 形式的占位符由 vars 替换
+
+const MESSAGES = {
+  zh: {
+    'search.placeholder': '搜索热点 / 话题 / 文章',
+    'search.submit': '搜索',
+    'feed.empty': '暂无数据',
+    'feed.noMore': '没有更多了',
+    'trending.title': '热榜',
+    'trending.empty': '暂无热榜',
+    'trending.1h': '1小时',
+    'trending.24h': '24小时',
+    'trending.7d': '7天',
+    'time.seconds': '{n}秒前',
+    'time.minutes': '{n}分钟前',
+    'time.hours': '{n}小时前',
+    'category.recommend': '推荐',
+    'category.news': '综合',
+    'category.tech': '科技',
+    'category.business': '商业',
+    'category.world': '国际',
+    'category.sports': '体育',
+    'edition.label': '版本',
+    'edition.us': '美国版',
+    'edition.gb': '英国版',
+    'edition.cn': '中国版',
+    'edition.jp': '日本版',
+    'lang.switch': 'EN',
+    'user.login': '登录',
+    'user.register': '注册',
+    'user.logout': '退出',
+    'user.bookmarks': '我的收藏',
+    'user.admin': '管理后台',
+    'user.profile': '我的主页',
+    'user.settings': '设置',
+    'auth.username': '用户名',
+    'auth.password': '密码',
+    'auth.confirmPassword': '确认密码',
+    'auth.mismatch': '两次输入的密码不一致',
+    'auth.noAccount': '还没有账号？',
+    'auth.haveAccount': '已有账号？',
+    'profile.joined': '{date} 加入',
+    'profile.banned': '已封禁',
+    'profile.comments': '评论 ({n})',
+    'profile.likes': '赞过 ({n})',
+    'profile.more': '加载更多',
+    'profile.empty': '暂无动态',
+    'profile.edit': '编辑资料',
+    'profile.loadFailed': '加载个人主页失败：{message}',
+    'settings.profile': '个人资料',
+    'settings.displayName': '显示名称',
+    'settings.avatar': '头像地址',
+    'settings.bio': '个人简介',
+    'settings.save': '保存资料',
+    'settings.saved': '资料已保存',
+    'settings.password': '修改密码',
+    'settings.currentPassword': '当前密码',
+    'settings.newPassword': '新密码',
+    'settings.changePassword': '修改密码',
+    'settings.passwordChanged': '密码已修改，其他设备上的登录已失效',
+    'auth.required': '请先登录',
+    'error.action': '操作失败：{message}',
+    'error.like': '点赞失败：{message}',
+    'error.loadCategories': '加载分类失败：{message}',
+    'error.loadArticles': '加载文章失败：{message}',
+    'error.openArticle': '打开文章失败：{message}',
+    'error.init': '初始化失败',
+    'bookmark.add': '收藏',
+    'bookmark.remove': '取消收藏',
+    'bookmark.added': '已收藏',
+    'bookmark.edit': '编辑收藏',
+    'bookmark.back': '← 返回',
+    'bookmark.all': '全部收藏',
+    'bookmark.unfiled': '未分类',
+    'bookmark.folderPrompt': '收藏夹（留空为未分类）：',
+    'bookmark.notePrompt': '备注：',
+    'coverage.count': '{n} 家媒体报道',
+    'live.newArticles': '有 {n} 条新内容，点击查看',
+    'topic.follow': '＋ 关注',
+    'topic.followSource': '＋ 关注 {source}',
+    'topic.followingSource': '已关注 {source}',
+    'topic.enterKeyword': '请先输入要关注的关键词',
+    'topic.followFailed': '关注失败：{message}',
+    'topic.unread': '{n} 篇未读',
+    'topic.unfollow': '取消关注',
+    'topic.unfollowConfirm': '确定取消关注「{name}」吗？',
+    'archive.tab': '往期',
+    'feed.subscribe': '📡 RSS',
+    'feed.title': '用阅读器订阅当前分类或搜索（也支持 .atom / .json）',
+    'archive.back': '← 返回',
+    'archive.date': '选择日期',
+    'notify.title': '通知',
+    'notify.empty': '暂无通知',
+    'notify.markAll': '全部已读',
+    'notify.more': '更多',
+    'notify.reply': '{actor} 回复了你的评论',
+    'notify.like': '{actor} 赞了你的评论',
+    'notify.mention': '{actor} 在评论中提到了你',
+    'coverage.more': '另有 {n} 篇相关报道',
+    'article.original': '查看原文',
+    'article.loadingContent': '正在加载全文…',
+    'article.readingTime': '约 {n} 分钟读完',
+    'comments.title': '评论',
+    'comments.sort': '评论排序',
+    'comments.newest': '最新',
+    'comments.oldest': '最早',
+    'comments.liked': '最多赞',
+    'comments.more': '加载更多评论',
+    'comments.placeholder': '写下你的评论...',
+    'comments.submit': '发表评论',
+    'comments.submitting': '提交中...',
+    'comments.loginToComment': '登录以发表评论',
+    'comments.loading': '加载中...',
+    'comments.empty': '暂无评论',
+    'comments.loadFailed': '加载评论失败',
+    'comments.required': '评论不能为空',
+    'comments.tooLong': '评论不能超过 {n} 字',
+    'comments.pending': '评论已提交，审核通过后公开显示',
+    'comments.replyPending': '回复已提交，审核通过后公开显示',
+    'comments.submitFailed': '发表评论失败：{message}',
+    'comments.edited': '已编辑',
+    'comments.editedAt': '编辑于 {time}',
+    'comments.pendingBadge': '待审核',
+    'comments.pendingHint': '仅自己可见，审核通过后公开',
+    'comments.deleted': '该评论已删除',
+    'comments.hidden': '该评论已被管理员隐藏',
+    'comments.reply': '回复',
+    'comments.edit': '编辑',
+    'comments.save': '保存',
+    'comments.delete': '删除',
+    'comments.cancel': '取消',
+    'comments.report': '举报',
+    'comments.reported': '已举报',
+    'comments.deleteConfirm': '确定删除这条评论吗？',
+    'comments.deleteFailed': '删除失败：{message}',
+    'comments.reportPrompt': '举报原因（可选）：',
+    'comments.alreadyReported': '你已经举报过这条评论',
+    'comments.reportOk': '举报已提交，感谢反馈',
+    'comments.reportFailed': '举报失败：{message}',
+  },
+  en: {
+    'search.placeholder': 'Search news, topics, articles',
+    'search.submit': 'Search',
+    'feed.empty': 'No data',
+    'feed.noMore': 'No more articles',
+    'trending.title': 'Trending',
+    'trending.empty': 'Nothing trending yet',
+    'trending.1h': '1 hour',
+    'trending.24h': '24 hours',
+    'trending.7d': '7 days',
+    'time.seconds': '{n}s ago',
+    'time.minutes': '{n} min ago',
+    'time.hours': '{n} h ago',
+    'category.recommend': 'For you',
+    'category.news': 'All',
+    'category.tech': 'Tech',
+    'category.business': 'Business',
+    'category.world': 'World',
+    'category.sports': 'Sports',
+    'edition.label': 'Edition',
+    'edition.us': 'US',
+    'edition.gb': 'UK',
+    'edition.cn': 'China',
+    'edition.jp': 'Japan',
+    'lang.switch': '中文',
+    'user.login': 'Log in',
+    'user.register': 'Sign up',
+    'user.logout': 'Log out',
+    'user.bookmarks': 'Bookmarks',
+    'user.admin': 'Admin',
+    'user.profile': 'My profile',
+    'user.settings': 'Settings',
+    'auth.username': 'Username',
+    'auth.password': 'Password',
+    'auth.confirmPassword': 'Confirm password',
+    'auth.mismatch': 'Passwords do not match',
+    'auth.noAccount': 'No account yet?',
+    'auth.haveAccount': 'Already have an account?',
+    'profile.joined': 'Joined {date}',
+    'profile.banned': 'Banned',
+    'profile.comments': 'Comments ({n})',
+    'profile.likes': 'Liked ({n})',
+    'profile.more': 'Load more',
+    'profile.empty': 'Nothing here yet',
+    'profile.edit': 'Edit profile',
+    'profile.loadFailed': 'Failed to load profile: {message}',
+    'settings.profile': 'Profile',
+    'settings.displayName': 'Display name',
+    'settings.avatar': 'Avatar URL',
+    'settings.bio': 'Bio',
+    'settings.save': 'Save profile',
+    'settings.saved': 'Profile saved',
+    'settings.password': 'Change password',
+    'settings.currentPassword': 'Current password',
+    'settings.newPassword': 'New password',
+    'settings.changePassword': 'Change password',
+    'settings.passwordChanged': 'Password changed; other devices have been signed out',
+    'auth.required': 'Please log in first',
+    'error.action': 'Action failed: {message}',
+    'error.like': 'Like failed: {message}',
+    'error.loadCategories': 'Failed to load categories: {message}',
+    'error.loadArticles': 'Failed to load articles: {message}',
+    'error.openArticle': 'Failed to open article: {message}',
+    'error.init': 'Failed to start',
+    'bookmark.add': 'Bookmark',
+    'bookmark.remove': 'Remove bookmark',
+    'bookmark.added': 'Bookmarked',
+    'bookmark.edit': 'Edit bookmark',
+    'bookmark.back': '← Back',
+    'bookmark.all': 'All bookmarks',
+    'bookmark.unfiled': 'Unfiled',
+    'bookmark.folderPrompt': 'Folder (leave empty for unfiled):',
+    'bookmark.notePrompt': 'Note:',
+    'coverage.count': '{n} sources',
+    'live.newArticles': '{n} new stories, click to show',
+    'topic.follow': '+ Follow',
+    'topic.followSource': '+ Follow {source}',
+    'topic.followingSource': 'Following {source}',
+    'topic.enterKeyword': 'Enter a keyword to follow first',
+    'topic.followFailed': 'Follow failed: {message}',
+    'topic.unread': '{n} unread',
+    'topic.unfollow': 'Unfollow',
+    'topic.unfollowConfirm': 'Unfollow "{name}"?',
+    'archive.tab': 'Archive',
+    'feed.subscribe': '📡 RSS',
+    'feed.title': 'Subscribe to this category or search in a feed reader (.atom / .json also available)',
+    'archive.back': '← Back',
+    'archive.date': 'Pick a date',
+    'notify.title': 'Notifications',
+    'notify.empty': 'No notifications',
+    'notify.markAll': 'Mark all read',
+    'notify.more': 'More',
+    'notify.reply': '{actor} replied to your comment',
+    'notify.like': '{actor} liked your comment',
+    'notify.mention': '{actor} mentioned you in a comment',
+    'coverage.more': '{n} more reports',
+    'article.original': 'Read original',
+    'article.loadingContent': 'Loading full text…',
+    'article.readingTime': '{n} min read',
+    'comments.title': 'Comments',
+    'comments.sort': 'Sort comments',
+    'comments.newest': 'Newest',
+    'comments.oldest': 'Oldest',
+    'comments.liked': 'Most liked',
+    'comments.more': 'More comments',
+    'comments.placeholder': 'Write a comment...',
+    'comments.submit': 'Post',
+    'comments.submitting': 'Posting...',
+    'comments.loginToComment': 'Log in to comment',
+    'comments.loading': 'Loading...',
+    'comments.empty': 'No comments yet',
+    'comments.loadFailed': 'Failed to load comments',
+    'comments.required': 'Comment cannot be empty',
+    'comments.tooLong': 'Comment cannot exceed {n} characters',
+    'comments.pending': 'Comment submitted and awaiting review',
+    'comments.replyPending': 'Reply submitted and awaiting review',
+    'comments.submitFailed': 'Failed to post comment: {message}',
+    'comments.edited': 'edited',
+    'comments.editedAt': 'Edited {time}',
+    'comments.pendingBadge': 'Pending',
+    'comments.pendingHint': 'Only visible to you until approved',
+    'comments.deleted': 'This comment was deleted',
+    'comments.hidden': 'This comment was hidden by a moderator',
+    'comments.reply': 'Reply',
+    'comments.edit': 'Edit',
+    'comments.save': 'Save',
+    'comments.delete': 'Delete',
+    'comments.cancel': 'Cancel',
+    'comments.report': 'Report',
+    'comments.reported': 'Reported',
+    'comments.deleteConfirm': 'Delete this comment?',
+    'comments.deleteFailed': 'Delete failed: {message}',
+    'comments.reportPrompt': 'Reason (optional):',
+    'comments.alreadyReported': 'You have already reported this comment',
+    'comments.reportOk': 'Report submitted, thanks',
+    'comments.reportFailed': 'Report failed: {message}',
+  },
+};
+
+export const LANGS = Object.keys(MESSAGES);
+const LANG_KEY = 'lang';   // localStorage 键名
+
+let lang = LANGS.includes(localStorage.getItem(LANG_KEY)) ? localStorage.getItem(LANG_KEY) : 'zh';
+
+/**
+ * 当前界面语言
+ * @returns {string} zh / en
+ */
+export function getLang() {
+  return lang;
+}
+
+/**
+ * 切换界面语言（保存到 localStorage）并刷新页面上的静态文案
+ * @param {string} next - zh / en
+ */
+export function setLang(next) {
+  if (!LANGS.includes(next)) return;
+  lang = next;
+  localStorage.setItem(LANG_KEY, next);
+  applyI18n();
+}
+
+/**
+ * 获取文案
+ * @param {string} key - 文案键
+ * @param {object} vars - 占位符取值
+ * @param {string} fallback - 两种语言都没有该键时的返回值（默认为键本身）
+ * @returns {string}
+ */
+export function t(key, vars = {}, fallback = key) {
+  const text = MESSAGES[lang][key] ?? MESSAGES.zh[key] ?? fallback;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+/**
+ * 按 data-i18n 标记更新静态文案
+ * @param {ParentNode} root - 查找范围
+ */
+export function applyI18n(root = document) {
+  document.documentElement.lang = lang === 'zh' ? 'zh-CN' : 'en';
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+}
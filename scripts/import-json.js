@@ -0,0 +1,24 @@
+// ========== 一次性导入旧版 data.json ==========
+// 用法：node scripts/import-json.js [data.json路径] [数据库路径]
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openStore } from '../lib/db/index.js';
+import { importLegacyData, hasImportedLegacyData } from '../lib/db/import-json.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const jsonFile = process.argv[2] || path.join(ROOT, 'data.json');
+const dbFile = process.argv[3] || process.env.DB_FILE || path.join(ROOT, 'data.db');
+
+const store = openStore(dbFile);
+try {
+  if (hasImportedLegacyData(store) && !process.env.FORCE_IMPORT) {
+    console.log('⚠️ 已导入过 data.json，如需重新导入请设置 FORCE_IMPORT=1');
+  } else {
+    const stats = importLegacyData(store, JSON.parse(fs.readFileSync(jsonFile, 'utf-8')));
+    console.log('✅ 导入完成:', stats);
+  }
+} finally {
+  store.close();
+}
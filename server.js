@@ -3,87 +3,212 @@ import express from 'express';
 import path from 'path';
 import morgan from 'morgan';
 import { fileURLToPath } from 'url';
-import fetch from 'node-fetch';
-import { HttpsProxyAgent } from 'https-proxy-agent';
 import fs from 'fs';
 import crypto from 'crypto';
+import {
+  SESSION_COOKIE,
+  VISITOR_COOKIE,
+  hashPassword,
+  verifyPassword,
+  createSessionManager,
+  parseCookies,
+  sessionCookie,
+  newVisitorId,
+  visitorCookie,
+  PASSWORD_MIN_LENGTH,
+  USERNAME_PATTERN,
+} from './lib/auth.js';
+import { createProvider } from './lib/providers/index.js';
+import { createCache } from './lib/cache.js';
+import { openStore } from './lib/db/index.js';
+import { importLegacyData, hasImportedLegacyData } from './lib/db/import-json.js';
+import {
+  decodeCursor,
+  paginateByCursor,
+  paginateByOffset,
+  sortByCursorKey,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+} from './lib/cursor.js';
+import { createSearchIndex, parseQuery } from './lib/search.js';
+import { TRENDING_WINDOWS, rankTrending, engagementPoints } from './lib/trending.js';
+import { buildProfile, recommend } from './lib/recommend.js';
+import { clusterArticles } from './lib/cluster.js';
+import { createEventHub } from './lib/events.js';
+import { parseMentions } from './lib/mentions.js';
+import { createScheduler } from './lib/scheduler.js';
+import { extractContent, createPageFetcher, htmlToText, readingMinutes } from './lib/extract.js';
+import { FEED_FORMATS, renderFeed, feedUpdatedAt } from './lib/feeds.js';
+import { renderArticlePage } from './lib/pages.js';
+import { EDITIONS, EDITION_COOKIE, isEdition, editionCookie } from './lib/editions.js';
+import { COMMENT_SORTS } from './lib/db/comments.js';
+import { USER_ROLES, PROFILE_LIMITS } from './lib/db/users.js';
+import { RESERVED_CATEGORY_IDS } from './lib/db/categories.js';
+import { TOPIC_KINDS, MAX_TOPICS_PER_USER } from './lib/db/topics.js';
+import { EVENT_TYPES, ANALYTICS_GROUPS, ANALYTICS_BUCKETS } from './lib/db/analytics.js';
+import { COMMENT_MAX_LENGTH, createRateLimiter, createContentFilter, loadFilterRules } from './lib/moderation.js';
 
 // ========== 基础配置 ==========
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+// 部署在反向代理之后时设置 TRUST_PROXY（如 1 或 loopback），让 req.ip 取真实客户端地址
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY);
 app.use(express.json());           // 解析JSON请求体
 app.use(morgan('dev'));            // HTTP请求日志
 
 const PUBLIC_DIR = path.join(__dirname, 'public');
+const INDEX_TEMPLATE = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8');   // 文章页的渲染模板
 const NEWS_API_KEY = process.env.NEWS_API_KEY || '94a9a8ccb60445889de205f2c11a0f6f';  // NewsAPI密钥
-const PROXY_URL = process.env.HTTPS_PROXY || process.env.HTTP_PROXY || '';             // 代理设置
-const DATA_FILE = path.join(__dirname, 'data.json');                                   // 数据持久化文件路径
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'data.db');                 // SQLite数据库文件路径
+const LEGACY_DATA_FILE = path.join(__dirname, 'data.json');                            // 旧版JSON数据文件（仅用于导入）
 
-// ========== 数据存储 ==========
-let db = { users: [], likesDB: {} };  // 用户数据和点赞数据库
+// 初始管理员用户名（逗号分隔）：启动时和注册时自动设为管理员角色
+const ADMIN_USERS = new Set((process.env.ADMIN_USERS || '').split(',').map(s => s.trim()).filter(Boolean));
 
-// 内存中的文章存储和评论存储
-const articleStore = {};  // 文章存储：id -> { id, title, summary, cover, content, url, source, category, publishedAt }
-const commentsDB = {};    // 评论存储：id -> [{ username, text, createdAt }]
+// 默认新闻版本（us / gb / cn / jp）：用户未选择版本时使用
+const DEFAULT_EDITION = isEdition(process.env.DEFAULT_EDITION) ? process.env.DEFAULT_EDITION : 'us';
 
-// ========== 数据持久化 ==========
+// 新闻源选择：newsapi（默认）/ rss / fixture（离线夹具）
+const NEWS_PROVIDER = process.env.NEWS_PROVIDER || 'newsapi';
+const RSS_FEEDS_FILE = process.env.RSS_FEEDS_FILE || path.join(__dirname, 'config', 'rss-feeds.json');
+const NEWS_FIXTURE_FILE = process.env.NEWS_FIXTURE_FILE || path.join(__dirname, 'fixtures', 'news.json');
 
-// 启动时从文件读取历史数据
-if (fs.existsSync(DATA_FILE)) {
-  try {
-    const raw = fs.readFileSync(DATA_FILE, 'utf-8');
-    const parsed = JSON.parse(raw);
+const provider = createProvider(NEWS_PROVIDER, {
+  apiKey: NEWS_API_KEY,
+  country: EDITIONS[DEFAULT_EDITION].country,
+  rssFeedsFile: RSS_FEEDS_FILE,
+  fixtureFile: NEWS_FIXTURE_FILE,
+});
 
-    db.users = parsed.users || [];
-    
-    // 还原点赞数据库（将JSON数组转换为Set）
-    db.likesDB = {};
-    for (const [id, val] of Object.entries(parsed.likesDB || {})) {
-      db.likesDB[id] = {
-        count: val.count || 0,
-        users: new Set(val.users || []),  // 从数组还原为Set
-      };
-    }
-    
-    // 还原持久化的文章存储和评论数据
-    if (parsed.articleStore && typeof parsed.articleStore === 'object') {
-      Object.assign(articleStore, parsed.articleStore);
-    }
-    if (parsed.commentsDB && typeof parsed.commentsDB === 'object') {
-      Object.assign(commentsDB, parsed.commentsDB);
-    }
-    
-    console.log('✅ 数据已从 data.json 加载');
+// 上游响应缓存：新鲜期内直接命中，过期后在宽限期内先返回旧数据再后台刷新
+const newsCache = createCache({
+  ttlMs: Number(process.env.NEWS_CACHE_TTL_MS) || 5 * 60 * 1000,
+  staleMs: Number(process.env.NEWS_CACHE_STALE_MS) || 30 * 60 * 1000,
+});
+
+// ========== 正文抽取配置 ==========
+
+// 原文页面获取：设置 CONTENT_FIXTURE_DIR（或使用 fixture 新闻源）时读取本地保存的HTML，离线可测
+const CONTENT_FIXTURE_DIR = process.env.CONTENT_FIXTURE_DIR
+  || (NEWS_PROVIDER === 'fixture' ? path.join(__dirname, 'fixtures', 'pages') : '');
+const fetchPage = createPageFetcher({ fixtureDir: CONTENT_FIXTURE_DIR });
+// 抽取失败后间隔多久再重试（期间直接返回失败，避免反复抓取同一页面）
+const CONTENT_RETRY_MS = Number(process.env.CONTENT_RETRY_MS) || 6 * 3600 * 1000;
+
+// ========== 评论审核配置 ==========
+
+// 发表评论限流：每个用户、每个IP在窗口期内的最多条数
+const COMMENT_RATE_WINDOW_MS = Number(process.env.COMMENT_RATE_WINDOW_MS) || 60 * 1000;
+const commentUserLimiter = createRateLimiter({
+  windowMs: COMMENT_RATE_WINDOW_MS,
+  max: Number(process.env.COMMENT_RATE_USER_MAX) || 5,
+});
+const commentIpLimiter = createRateLimiter({
+  windowMs: COMMENT_RATE_WINDOW_MS,
+  max: Number(process.env.COMMENT_RATE_IP_MAX) || 20,
+});
+
+// 屏蔽词/正则过滤：命中的评论进入待审核，不直接拒绝
+const MODERATION_RULES_FILE = process.env.MODERATION_RULES_FILE || path.join(__dirname, 'config', 'moderation.json');
+const commentFilter = createContentFilter(loadFilterRules(MODERATION_RULES_FILE));
+
+// 被不同用户举报达到该次数的评论自动转为待审核
+const COMMENT_REPORT_HOLD_THRESHOLD = Number(process.env.COMMENT_REPORT_HOLD_THRESHOLD) || 3;
+
+// ========== 阅读统计配置 ==========
+
+// 同一访客在该窗口内重复浏览/点击同一篇文章只记一次，停留时长只保留最长的一次
+const ANALYTICS_DEDUP_MS = Number(process.env.ANALYTICS_DEDUP_MS) || 30 * 60 * 1000;
+// 单次停留时长上限（超过按上限记录，避免标签页挂机拉高平均值）
+const MAX_DWELL_MS = 2 * 3600 * 1000;
+
+// ========== 个性化推荐配置 ==========
+
+// 建立兴趣画像时回看的行为记录天数
+const RECOMMEND_HISTORY_DAYS = Number(process.env.RECOMMEND_HISTORY_DAYS) || 60;
+// 参与排序的候选文章数（本地存储中最新的文章）
+const RECOMMEND_CANDIDATES = Number(process.env.RECOMMEND_CANDIDATES) || 300;
+// 热度按最近几天的互动计算
+const RECOMMEND_POPULARITY_MS = 7 * 24 * 3600 * 1000;
+
+// ========== 实时推送配置 ==========
+
+// SSE 连接：点赞数变化、新评论、新文章入库时向所有连接广播
+const events = createEventHub({ maxClients: Number(process.env.STREAM_MAX_CLIENTS) || 1000 });
+
+// ========== 后台抓取配置 ==========
+
+// 定时拉取每个分类的头条写入文章存储并预热列表缓存（毫秒），默认 0 不开启。
+// 每轮对每个分类、每个版本各请求一次上游。NewsAPI 免费额度为每天 100 次，与用户请求共用：
+// 默认 4 个分类、1 个版本时间隔 1 小时即每天 96 次，建议不小于 2 小时（7200000）；RSS / 夹具新闻源不受此限制
+const INGEST_INTERVAL_MS = Number(process.env.INGEST_INTERVAL_MS) || 0;
+// 抓取的新闻版本（逗号分隔，默认只抓默认版本）
+const INGEST_EDITIONS = (process.env.INGEST_EDITIONS || DEFAULT_EDITION).split(',').map(s => s.trim()).filter(isEdition);
+// 启动后首次抓取的等待时间，各任务之间错开的间隔
+const INGEST_START_DELAY_MS = 5000;
+const INGEST_STAGGER_MS = 2000;
+
+// 失败后从 1 分钟开始指数退避；上游限流时所有任务暂停（默认 30 分钟，上游给出 Retry-After 时以其为准）
+const scheduler = createScheduler({
+  retryMs: Number(process.env.INGEST_RETRY_MS) || 60 * 1000,
+  rateLimitMs: Number(process.env.INGEST_RATE_LIMIT_MS) || 30 * 60 * 1000,
+});
+
+// ========== 数据保留配置 ==========
+
+// 发布超过该天数、之后没再出现在上游结果中、且没有评论/点赞/收藏的文章每天清理一次；0 表示永久保留
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS) || 0;
+const RETENTION_INTERVAL_MS = 24 * 3600 * 1000;
+// 往期视图每天最多返回的文章数
+const ARCHIVE_MAX_PER_DAY = 500;
+
+// ========== 数据存储 ==========
+
+// SQLite 存储：users / sessions / articles / article_likes / comments / comment_likes
+const store = openStore(DB_FILE);
+
+// 首次启动时一次性导入旧版 data.json
+if (!hasImportedLegacyData(store) && fs.existsSync(LEGACY_DATA_FILE)) {
+  try {
+    const stats = importLegacyData(store, JSON.parse(fs.readFileSync(LEGACY_DATA_FILE, 'utf-8')));
+    console.log('✅ 已从 data.json 导入历史数据:', stats);
   } catch (err) {
-    console.error('⚠️ 加载 data.json 失败:', err);
+    console.error('⚠️ 导入 data.json 失败:', err);
   }
 }
 
+// 将 ADMIN_USERS 中已注册的用户设为管理员
+for (const username of ADMIN_USERS) store.users.setRole(username, 'admin');
+
+// 会话管理器（会话保存在 sessions 表）
+const sessions = createSessionManager(store.sessions);
+
+// 本地全文索引（启动时从文章表构建，写入文章时同步更新；不收录已隐藏的文章）
+const searchIndex = createSearchIndex();
+for (const a of store.articles.all()) {
+  if (!a.hidden) searchIndex.add(a);
+}
+console.log(`🔎 搜索索引已建立：${searchIndex.size} 篇文章`);
+
 /**
- * 将数据保存到文件
+ * 批量写入文章并同步更新搜索索引，首次入库的文章通过 SSE 通知客户端
+ * @param {Array} records - 文章记录
+ * @returns {Array} 合并后的文章
  */
-function saveDB() {
-  const toSave = {
-    users: db.users,
-    // 将 Set 转为数组以便JSON序列化
-    likesDB: Object.fromEntries(
-      Object.entries(db.likesDB).map(([id, val]) => [
-        id,
-        { count: val.count, users: Array.from(val.users) },
-      ])
-    ),
-    // 持久化文章元数据和评论
-    articleStore,
-    commentsDB,
-  };
-  fs.writeFileSync(DATA_FILE, JSON.stringify(toSave, null, 2));
+function saveArticles(records) {
+  const saved = store.articles.upsertMany(records);
+  saved.forEach(a => { if (!a.hidden) searchIndex.add(a); });
+  const created = saved.filter(a => a.created && !a.hidden);
+  if (created.length) {
+    events.publish('articles', {
+      items: created.map(a => ({ id: a.id, categories: a.categories, editions: a.editions, publishedAt: a.publishedAt })),
+    });
+  }
+  return saved;
 }
 
-// 便捷引用
-const { users, likesDB } = db;
-
 /**
  * 记录错误并返回500响应
  * @param {object} res - Express响应对象
@@ -105,200 +230,481 @@ function makeIdFromUrl(url) {
   return crypto.createHash('sha1').update(String(url)).digest('hex');
 }
 
-// 静态文件服务
-app.use(express.static(PUBLIC_DIR));
+// ========== 会话中间件 ==========
+
+/**
+ * 从会话Cookie解析当前用户，挂载到 req.user（{ username, role }）
+ * 已封禁的用户视为未登录
+ */
+app.use((req, res, next) => {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = sessions.get(token);
+  const user = session && store.users.find(session.username);
+  req.sessionToken = token || '';
+  req.user = user && !user.bannedAt ? { username: user.username, role: user.role, edition: user.edition } : null;
+  next();
+});
 
-// ========== HTTP工具函数 ==========
+/**
+ * 获取本次请求使用的新闻版本：查询参数 > 登录用户保存的版本 > 版本Cookie > 默认版本
+ * @returns {string} 版本ID
+ */
+function editionOf(req) {
+  const candidates = [req.query.edition, req.user?.edition, parseCookies(req.headers.cookie)[EDITION_COOKIE]];
+  return candidates.find(isEdition) || DEFAULT_EDITION;
+}
 
 /**
- * 发送HTTP请求并解析JSON响应
- * @param {string} url - 请求地址
- * @param {object} options - 配置选项
- * @returns {Promise<object>} JSON响应
+ * 获取阅读统计使用的访客标识：登录用户按用户名，匿名访客按 vid Cookie（没有时签发）
+ * @returns {string} u:<用户名> 或 v:<访客ID>
  */
-async function httpJSON(url, { timeoutMs = 10000 } = {}) {
-  const ac = new AbortController();
-  const timer = setTimeout(() => ac.abort(), timeoutMs);
-  try {
-    const options = { signal: ac.signal };
-    if (PROXY_URL) {
-      options.agent = new HttpsProxyAgent(PROXY_URL);  // 使用代理
-    }
-    const r = await fetch(url, options);
-    const data = await r.json().catch(() => ({}));
-    if (!r.ok) {
-      throw new Error(`HTTP ${r.status}: ${data.message || data.error || 'Unknown error'}`);
-    }
-    return data;
-  } finally {
-    clearTimeout(timer);
+function visitorOf(req, res) {
+  if (req.user) return `u:${req.user.username}`;
+  let vid = parseCookies(req.headers.cookie)[VISITOR_COOKIE];
+  if (!vid) {
+    vid = newVisitorId();
+    res.append('Set-Cookie', visitorCookie(vid, { secure: req.secure }));
   }
+  return `v:${vid}`;
+}
+
+/**
+ * 要求已登录，否则返回401
+ */
+function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: '请先登录' });
+  next();
+}
+
+/**
+ * 要求管理员身份，否则返回403
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: '请先登录' });
+  if (req.user.role !== 'admin') return res.status(403).json({ error: '需要管理员权限' });
+  next();
+}
+
+// 静态文件服务
+app.use(express.static(PUBLIC_DIR));
+
+/**
+ * 从本地文章存储中读取某分类的文章（新闻源不可用时的降级数据）
+ * @param {string} category - 前端分类ID（news 表示全部）
+ * @param {number} limit - 最大条数
+ * @param {string} edition - 新闻版本
+ * @returns {Array} 按发布时间倒序的文章列表
+ */
+function storedArticles(category, limit = 50, edition = DEFAULT_EDITION) {
+  return store.articles.list({ category, edition, limit });
 }
 
 // ========== API路由 ==========
 
 /**
- * 获取新闻列表
- * GET /api/news?category=tech&q=search&page=1&pageSize=10
+ * 从新闻源拉取某分类的完整文章列表，并写入文章存储
+ * 返回的条目不含点赞数（点赞数在响应时实时读取）
+ * @param {string} category - 前端分类ID（news 表示全部已配置的分类）
+ * @param {string} q - 搜索关键词
+ * @param {string} edition - 新闻版本（决定上游国家，分类单独配置了国家时以分类为准）
+ * @returns {Promise<Array>} 按 (publishedAt, id) 倒序的文章列表
  */
-app.get("/api/news", async (req, res) => {
-  // 提取查询参数（在catch块中也可用）
-  const { category = "tech", q = "", page = 1, pageSize = 10 } = req.query;
-  try {
+async function fetchCategoryItems(category, q, edition) {
+  const country = EDITIONS[edition].country;
 
-    // 前端分类ID -> NewsAPI分类映射
-    const categoryMap = {
-      tech: "technology",
-      business: "business",
-      world: "general",
-      sports: "sports",
-    };
+  let allArticles = [];
 
-    // 反向映射：NewsAPI分类 -> 前端分类ID
-    const reverseMap = {
-      technology: "tech",
-      business: "business",
-      general: "world",
-      sports: "sports",
-    };
+  if (category === 'news') {
+    // 综合页：获取所有已配置分类的新闻并合并
+    const fetchPromises = store.categories.list().map(async (c) => {
+      try {
+        // 每个分类获取25条以确保有足够数据
+        const articles = await provider.fetchTopHeadlines(c.upstream, q, 25, { country: c.country || country });
+        return articles.map((a, idx) => ({ ...a, categoryId: c.id, rank: idx + 1 }));
+      } catch (err) {
+        console.error(`[api/news] fetch ${c.upstream} failed:`, err.message);
+        return null;
+      }
+    });
 
-    let allArticles = [];
-
-    if (category === 'news') {
-      // 综合页：获取所有分类的新闻并合并
-      const categoriesToFetch = ['technology', 'business', 'general', 'sports'];
-      const fetchPromises = categoriesToFetch.map(async (cat) => {
-        try {
-          const url = `https://newsapi.org/v2/top-headlines?${new URLSearchParams({
-            category: cat,
-            q,
-            country: 'us',
-            pageSize: '25', // 每个分类获取25条以确保有足够数据
-            apiKey: NEWS_API_KEY,
-          }).toString()}`;
-          const data = await httpJSON(url);
-          return (data.articles || []).map(a => ({ ...a, apiCategory: cat }));
-        } catch (err) {
-          console.error(`[api/news] fetch ${cat} failed:`, err.message);
-          return [];
-        }
-      });
+    const results = await Promise.all(fetchPromises);
+    // 所有分类都失败时视为新闻源不可用，交给调用方降级（避免把空列表写入缓存）
+    if (results.every(r => r === null)) throw new Error('all categories failed');
+    allArticles = results.flat().filter(Boolean);
+    
+    // 按发布时间倒序排序
+    allArticles.sort((a, b) => {
+      const dateA = new Date(a.publishedAt || 0).getTime();
+      const dateB = new Date(b.publishedAt || 0).getTime();
+      return dateB - dateA;
+    });
 
-      const results = await Promise.all(fetchPromises);
-      allArticles = results.flat();
-      
-      // 按发布时间倒序排序
-      allArticles.sort((a, b) => {
-        const dateA = new Date(a.publishedAt || 0).getTime();
-        const dateB = new Date(b.publishedAt || 0).getTime();
-        return dateB - dateA;
-      });
+    // 去重（基于 URL）
+    const seen = new Set();
+    allArticles = allArticles.filter(a => {
+      if (!a.url || seen.has(a.url)) return false;
+      seen.add(a.url);
+      return true;
+    });
 
-      // 去重（基于 URL）
-      const seen = new Set();
-      allArticles = allArticles.filter(a => {
-        if (!a.url || seen.has(a.url)) return false;
-        seen.add(a.url);
-        return true;
-      });
+  } else {
+    // 特定分类：只获取该分类
+    const c = store.categories.get(category);
+    const articles = await provider.fetchTopHeadlines(c.upstream, q, 50, { country: c.country || country }); // 获取更多以支持分页
+    allArticles = articles.map((a, idx) => ({ ...a, categoryId: c.id, rank: idx + 1 }));
+  }
 
-    } else {
-      // 特定分类：只获取该分类
-      const apiCategory = categoryMap[category] || 'general';
-      const url = `https://newsapi.org/v2/top-headlines?${new URLSearchParams({
-        category: apiCategory,
-        q,
-        country: 'us',
-        pageSize: '50', // 获取更多以支持分页
-        apiKey: NEWS_API_KEY,
-      }).toString()}`;
-      const data = await httpJSON(url);
-      allArticles = (data.articles || []).map(a => ({ ...a, apiCategory }));
-    }
+  // 构建返回数据，同时准备写入文章存储的记录和头条排名（带关键词的结果不是头条，不记录排名）
+  const records = [];
+  const ranks = [];
+  const items = allArticles.map((n, idx) => {
+    const id = makeIdFromUrl(n.url) || `news_${category}_${idx}`;
 
-    // 持久化文章并构建返回数据
-    const items = allArticles.map((n, idx) => {
-      const id = makeIdFromUrl(n.url) || `news_${category}_${page}_${idx}`;
-      const existing = articleStore[id] || {};
-      
-      // 确定文章的前端分类 ID
-      const frontendCat = reverseMap[n.apiCategory] || 'world';
-      const existingCategories = Array.isArray(existing.categories) ? existing.categories : [];
-      const newCategories = Array.from(new Set([...existingCategories, frontendCat, 'news']));
-
-      articleStore[id] = Object.assign({}, existing, {
-        id,
-        title: n.title || existing.title,
-        summary: n.description || existing.summary,
-        cover: n.urlToImage || existing.cover,
-        publishedAt: n.publishedAt || existing.publishedAt,
-        url: n.url || existing.url,
-        source: n.source?.name || existing.source || "",
-        categories: newCategories,
-        primaryCategory: frontendCat // 主分类（用于过滤）
-      });
+    // 文章的前端分类 ID（即拉取它的分类）
+    const frontendCat = n.categoryId;
+    records.push({
+      id,
+      title: n.title,
+      summary: n.description,
+      cover: n.urlToImage,
+      publishedAt: n.publishedAt,
+      url: n.url,
+      source: n.source?.name || "",
+      categories: [frontendCat, 'news'],  // 与已有分类合并
+      editions: [edition],                // 与已有版本合并
+      primaryCategory: frontendCat // 主分类（用于过滤）
+    });
+    if (!q) ranks.push({ articleId: id, category: frontendCat, edition, rank: n.rank });
+
+    return {
+      id,
+      title: n.title,
+      summary: n.description,
+      cover: n.urlToImage,
+      category: category === 'news' ? frontendCat : category, // 综合页显示文章原始分类，其他页显示请求分类
+      publishedAt: n.publishedAt,
+      url: n.url,
+      source: n.source?.name || "",
+    };
+  });
+
+  // 批量写入文章存储（单个事务），返回合并后的分类用于过滤
+  const saved = new Map(saveArticles(records).map(a => [a.id, a]));
+  store.ranks.recordMany(ranks);
+
+  // 如果是特定分类，过滤出该分类的文章
+  let filteredItems = items;
+  if (category !== 'news') {
+    filteredItems = items.filter(item => saved.get(item.id)?.categories.includes(category));
+  }
+
+  // 按 (publishedAt, id) 稳定排序，供游标分页使用；同一事件的多家报道聚合为一张卡片
+  return clusterItems(sortByCursorKey(filteredItems));
+}
+
+/**
+ * 聚合相似报道：每组只保留主卡片，其余报道放入主卡片的 related，并记录分组供文章详情使用
+ * @param {Array} list - 按 (publishedAt, id) 倒序的文章条目
+ * @returns {Array} 主卡片列表（顺序不变）
+ */
+function clusterItems(list) {
+  const groups = clusterArticles(list);
+  store.articles.assignClusters(groups.filter(g => g.length > 1).map(g => g.map(item => item.id)));
+  return groups.map(([lead, ...related]) => ({ ...lead, related }));
+}
 
-      const count = likesDB[id]?.count || 0;
-      return {
-        id,
-        title: n.title,
-        summary: n.description,
-        cover: n.urlToImage,
-        category: category === 'news' ? frontendCat : category, // 综合页显示文章原始分类，其他页显示请求分类
-        publishedAt: n.publishedAt,
-        likes: count,
-        url: n.url,
-        source: n.source?.name || "",
-      };
+/**
+ * 过滤已隐藏的文章（主卡片被隐藏时由同组下一篇接替），并把 related 精简为来源列表
+ * @param {Array} list - clusterItems 的返回值
+ * @param {Set<string>} hidden - 已隐藏的文章ID
+ * @returns {Array} 条目附带 related: [{ id, title, url, source, publishedAt }] 和 sourceCount（报道媒体数，含主卡片）
+ */
+function presentClusters(list, hidden) {
+  const out = [];
+  for (const item of list) {
+    const members = [item, ...(item.related || [])].filter(m => !hidden.has(m.id));
+    if (!members.length) continue;
+    const [lead, ...related] = members;
+    out.push({
+      ...lead,
+      related: related.map(r => ({ id: r.id, title: r.title, url: r.url, source: r.source, publishedAt: r.publishedAt })),
+      sourceCount: new Set(members.map(m => m.source || m.id)).size,
     });
+  }
+  // 主卡片被替换后重新排序，保证游标分页有序
+  return hidden.size ? sortByCursorKey(out) : out;
+}
+
+/**
+ * 为列表条目附加实时点赞数；传入 viewer 时同时标记是否已收藏
+ * @param {Array} list - 文章条目
+ * @param {string} viewer - 当前用户名（可选）
+ * @returns {Array} 新数组
+ */
+function withLikes(list, viewer = '') {
+  const ids = list.map(item => item.id);
+  const counts = store.likes.counts(ids);
+  const bookmarked = viewer ? store.bookmarks.bookmarkedIds(viewer, ids) : null;
+  return list.map(item => ({
+    ...item,
+    likes: counts.get(item.id) || 0,
+    ...(bookmarked && { bookmarked: bookmarked.has(item.id) }),
+  }));
+}
+
+/**
+ * 写入缓存状态响应头
+ * @param {object} res - Express响应对象
+ * @param {object} result - newsCache.get 的返回值
+ */
+function setCacheHeaders(res, { status, age }) {
+  res.set('X-Cache', status);
+  res.set('X-Cache-Age', String(Math.floor(age / 1000)));
+}
+
+/**
+ * 解析每页条数（限制在 1~50 之间）
+ * @param {*} value - 查询参数值
+ * @param {number} fallback - 默认值
+ * @returns {number}
+ */
+function parsePageSize(value, fallback = 10) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(n, 50);
+}
+
+/**
+ * 检查查询参数都是字符串（未提供的不算）；重复的查询参数会被解析成数组，不能直接用于查库
+ * @param {object} query - req.query
+ * @param {string[]} names - 参数名
+ * @returns {boolean}
+ */
+function stringParams(query, names) {
+  return names.every(name => query[name] === undefined || typeof query[name] === 'string');
+}
+
+/**
+ * 为当前用户（或匿名访客）生成推荐列表
+ * 先尝试拉取当前版本的最新头条（写入文章存储），再从本地存储中取该版本的候选文章排序
+ * @param {object} req - Express请求对象
+ * @param {object} res - Express响应对象（匿名访客首次访问时写入访客Cookie）
+ * @returns {Promise<Array>} 推荐条目，附带 score 和 reason（interest / popular / fresh）
+ */
+async function recommendedItems(req, res) {
+  const edition = editionOf(req);
+  try {
+    await newsCache.get(`${provider.name}|${edition}|news|`, () => fetchCategoryItems('news', '', edition));
+  } catch (e) {
+    // 新闻源不可用时只用本地已存储的文章
+    console.error(`[api/news] 推荐拉取最新头条失败 ${provider.name}:`, e && e.message);
+  }
 
-    // 如果是特定分类，过滤出该分类的文章
-    let filteredItems = items;
-    if (category !== 'news') {
-      filteredItems = items.filter(item => {
-        const stored = articleStore[item.id];
-        return stored && stored.categories && stored.categories.includes(category);
+  const now = Date.now();
+  const signals = store.engagement.userSignals({
+    username: req.user?.username,
+    visitor: visitorOf(req, res),
+    since: new Date(now - RECOMMEND_HISTORY_DAYS * 24 * 3600 * 1000).toISOString(),
+  });
+  const signalArticles = new Map(store.articles.getMany([...new Set(signals.map(s => s.articleId))]).map(a => [a.id, a]));
+  const profile = buildProfile(signals
+    .filter(s => signalArticles.has(s.articleId))
+    .map(s => ({ article: signalArticles.get(s.articleId), kind: s.kind, at: s.at })), { now });
+
+  const popularity = new Map();
+  for (const [id, c] of store.engagement.countsSince(new Date(now - RECOMMEND_POPULARITY_MS).toISOString())) {
+    popularity.set(id, engagementPoints(c));
+  }
+
+  const candidates = store.articles.list({ edition, limit: RECOMMEND_CANDIDATES });
+  return recommend(candidates, profile, { now, popularity }).map(({ article: a, score, reason }) => ({
+    id: a.id,
+    title: a.title,
+    summary: a.summary,
+    cover: a.cover,
+    category: a.primaryCategory || 'news',
+    publishedAt: a.publishedAt,
+    url: a.url,
+    source: a.source || '',
+    score: Number(score.toPrecision(4)),
+    reason,
+  }));
+}
+
+/**
+ * 获取新闻列表（游标分页，数据来自缓存的完整列表）
+ * GET /api/news?category=tech&q=search&edition=us&cursor=xxx&pageSize=10
+ * edition 缺省时使用用户保存的版本（见 editionOf）
+ * category=recommend 为个性化推荐（按推荐顺序分页，忽略 q）
+ * 同一事件的多家报道只返回一张主卡片，附带 related（其他报道）和 sourceCount（报道媒体数）
+ * 返回 { items, nextCursor, hasMore, totalResults }
+ */
+app.get("/api/news", async (req, res) => {
+  // 提取查询参数（在catch块中也可用）
+  const { category = "tech", q = "", cursor = "" } = req.query;
+  if (!stringParams(req.query, ['category', 'q', 'cursor'])) return res.status(400).json({ error: '参数格式错误' });
+  try {
+    const pageSize = parsePageSize(req.query.pageSize);
+    const edition = editionOf(req);
+
+    if (category === 'recommend') {
+      let list;
+      try {
+        list = await recommendedItems(req, res);
+      } catch (err) {
+        // 个性化排序失败时降级为本地最新文章（不带推荐理由）
+        console.error('[api/news] 生成推荐失败:', err && (err.stack || err.message || err));
+        list = sortByCursorKey(storedArticles('news', RECOMMEND_CANDIDATES, edition).map(a => ({
+          id: a.id,
+          title: a.title,
+          summary: a.summary,
+          cover: a.cover,
+          category: a.primaryCategory || 'news',
+          publishedAt: a.publishedAt,
+          url: a.url,
+          source: a.source || '',
+        })));
+      }
+      let page;
+      try {
+        page = paginateByOffset(list, { cursor, limit: pageSize });
+      } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+      }
+      return res.json({
+        items: withLikes(page.items, req.user?.username),
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore,
+        totalResults: list.length,
       });
     }
 
-    // 分页处理
-    const startIdx = (Number(page) - 1) * Number(pageSize);
-    const endIdx = startIdx + Number(pageSize);
-    const paginatedItems = filteredItems.slice(startIdx, endIdx);
+    if (category !== 'news' && !store.categories.get(category)) return res.status(404).json({ error: '分类不存在' });
+    if (cursor && !decodeCursor(cursor)) return res.status(400).json({ error: '无效的游标' });
 
-    // 保存数据（节流：仅在有新文章时保存）
-    if (items.length > 0) {
-      try { saveDB(); } catch(err) { console.error('saveDB failed:', err); }
+    let list;
+    try {
+      // 缓存按版本区分
+      const cacheKey = `${provider.name}|${edition}|${category}|${q}`;
+      const result = await newsCache.get(cacheKey, () => fetchCategoryItems(category, q, edition));
+      list = result.value;
+      setCacheHeaders(res, result);
+    } catch (e) {
+      console.error(`[api/news] provider ${provider.name} failed:`, e && e.message);
+      // 降级方案：返回本地已存储的文章，确保离线时UI仍可用
+      list = clusterItems(sortByCursorKey(storedArticles(category, 200, edition).map(a => ({
+        id: a.id,
+        title: a.title,
+        summary: a.summary,
+        cover: a.cover,
+        category: category === 'news' ? (a.primaryCategory || 'world') : category,
+        publishedAt: a.publishedAt,
+        url: a.url,
+        source: a.source || '',
+      }))));
     }
 
-    res.json({ items: paginatedItems, totalResults: filteredItems.length });
-  } catch (e) {
-    console.error('[api/news] external fetch failed:', e && e.message);
-    // Fallback: return some local mock articles so UI still works offline
-    const sample = [
-      {
-        id: `local_${Date.now()}_1`,
-        title: `示例文章 - ${category} - 1`,
-        summary: `这是分类 ${category} 的示例摘要，用于离线展示。`,
-        cover: '',
-        category,
-        publishedAt: new Date().toISOString(),
-        likes: 0,
-        url: ''
-      },
-      {
-        id: `local_${Date.now()}_2`,
-        title: `示例文章 - ${category} - 2`,
-        summary: `第二条示例内容，帮助测试分类过滤。`,
-        cover: '',
-        category,
-        publishedAt: new Date().toISOString(),
-        likes: 0,
-        url: ''
-      }
-    ];
-    return res.json({ items: sample, totalResults: sample.length });
+    // 已隐藏的文章在响应时过滤（缓存中的列表可能早于隐藏操作）
+    list = presentClusters(list, store.articles.hiddenIds());
+
+    const page = paginateByCursor(list, { cursor, limit: pageSize });
+    res.json({
+      items: withLikes(page.items, req.user?.username),
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
+      totalResults: list.length,
+    });
+  } catch (err) {
+    return logAnd500(res, 'api/news', err);
+  }
+});
+
+/**
+ * 本地全文搜索（检索已存储的全部文章）
+ * GET /api/search?q=关键词&category=tech&source=BBC&from=2025-10-01&to=2025-10-18&cursor=xxx&pageSize=10
+ * q 支持 "短语" 和 前缀* 语法；返回条目附带 highlights: { title, summary }（已转义的HTML，命中处为 <mark>）
+ */
+app.get('/api/search', (req, res) => {
+  const { q = '', category = '', source = '', from = '', to = '', cursor = '' } = req.query;
+  if (!stringParams(req.query, ['q', 'category', 'source', 'from', 'to', 'cursor'])) return res.status(400).json({ error: '参数格式错误' });
+  if (!q.trim()) return res.status(400).json({ error: '缺少搜索关键词' });
+  if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to))))
+    return res.status(400).json({ error: '日期格式错误' });
+
+  const results = searchIndex.search(q, { category, source, from, to });
+  let page;
+  try {
+    page = paginateByOffset(results, { cursor, limit: parsePageSize(req.query.pageSize) });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
   }
+
+  const items = withLikes(page.items.map(({ article: a, score, highlights }) => ({
+    id: a.id,
+    title: a.title,
+    summary: a.summary,
+    cover: a.cover,
+    category: a.primaryCategory || 'news',
+    publishedAt: a.publishedAt,
+    url: a.url,
+    source: a.source || '',
+    score: Number(score.toFixed(4)),
+    highlights,
+  })), req.user?.username);
+  res.json({ items, nextCursor: page.nextCursor, hasMore: page.hasMore, totalResults: results.length });
+});
+
+/**
+ * 解析往期日期：按客户端时区划分的自然日，返回该日的 UTC 起止时间
+ * @param {string} date - YYYY-MM-DD
+ * @param {*} tzOffset - 时区偏移（分钟，同 Date#getTimezoneOffset，如北京时间为 -480）；不传按 UTC
+ * @returns {{start: string, end: string}|null} 无效时返回null
+ */
+function archiveRange(date, tzOffset) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return null;
+  const offset = tzOffset === undefined || tzOffset === '' ? 0 : Number(tzOffset);
+  if (!Number.isInteger(offset) || Math.abs(offset) > 14 * 60) return null;
+  const midnight = Date.parse(`${date}T00:00:00Z`);
+  // 排除 2025-02-30 这类不存在的日期
+  if (!Number.isFinite(midnight) || new Date(midnight).toISOString().slice(0, 10) !== date) return null;
+  const start = midnight + offset * 60 * 1000;
+  return { start: new Date(start).toISOString(), end: new Date(start + 24 * 3600 * 1000).toISOString() };
+}
+
+/**
+ * 往期浏览：某一天发布或出现在头条中的文章
+ * GET /api/archive?date=2025-10-18&category=tech&tzOffset=-480&cursor=xxx&pageSize=10
+ */
+app.get('/api/archive', (req, res) => {
+  const range = archiveRange(req.query.date, req.query.tzOffset);
+  if (!range) return res.status(400).json({ error: '日期格式应为 YYYY-MM-DD' });
+  if (Date.parse(range.start) > Date.now()) return res.status(400).json({ error: '不能查看未来的日期' });
+  const { category: categoryParam = '', cursor = '' } = req.query;
+  if (!stringParams(req.query, ['category', 'cursor'])) return res.status(400).json({ error: '参数格式错误' });
+  const category = categoryParam === 'news' ? '' : categoryParam;
+  if (category && !store.categories.get(category)) return res.status(404).json({ error: '分类不存在' });
+  if (cursor && !decodeCursor(cursor)) return res.status(400).json({ error: '无效的游标' });
+
+  const list = sortByCursorKey(store.articles.archive({
+    ...range, category, edition: editionOf(req), limit: ARCHIVE_MAX_PER_DAY,
+  }).map(a => ({
+    id: a.id,
+    title: a.title,
+    summary: a.summary,
+    cover: a.cover,
+    category: a.primaryCategory || 'news',
+    publishedAt: a.publishedAt,
+    url: a.url,
+    source: a.source || '',
+  })));
+  const page = paginateByCursor(list, { cursor, limit: parsePageSize(req.query.pageSize) });
+  res.json({
+    date: req.query.date,
+    items: withLikes(page.items, req.user?.username),
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore,
+    totalResults: list.length,
+  });
 });
 
 /**
@@ -307,215 +713,1552 @@ app.get("/api/news", async (req, res) => {
  */
 app.get('/api/articles/:id', (req, res) => {
   const { id } = req.params;
-  const a = articleStore[id];
-  if (!a) return res.status(404).json({ error: 'Not found' });
-  const likes = likesDB[id]?.count || 0;
-  return res.json({ ...a, likes });
+  const a = store.articles.get(id);
+  if (!a || (a.hidden && req.user?.role !== 'admin')) return res.status(404).json({ error: 'Not found' });
+  const likes = store.likes.count(id);
+  const bookmark = req.user ? store.bookmarks.get(req.user.username, id) : null;
+  // 其他媒体对同一事件的报道
+  const coverage = store.articles.clusterMembers(a.clusterId)
+    .filter(m => m.id !== id)
+    .map(m => ({ id: m.id, title: m.title, url: m.url, source: m.source, publishedAt: m.publishedAt }));
+  store.analytics.record({ articleId: id, type: 'view', visitor: visitorOf(req, res) }, { dedupMs: ANALYTICS_DEDUP_MS });
+  const { content, ...article } = a;   // 正文通过 /api/articles/:id/content 单独获取
+  return res.json({ ...article, likes, bookmarked: !!bookmark, bookmark, coverage });
 });
 
 /**
- * 获取文章评论列表
- * GET /api/articles/:id/comments?username=xxx
+ * 文章在各分类头条中的排名变化，以及首次/最近一次出现在上游结果中的时间
+ * GET /api/articles/:id/ranks
  */
-app.get('/api/articles/:id/comments', (req, res) => {
-  const { id } = req.params;
-  const username = req.query.username;
-  const items = commentsDB[id] || [];
-  
-  // 确保旧评论有ID和点赞数组
-  let mutated = false;
-  const out = items.map((it) => {
-    if (!it.id) {
-      it.id = crypto.createHash('sha1').update(`${id}|${it.username}|${it.createdAt}|${it.text}`).digest('hex');
-      it.likedBy = it.likedBy || [];
-      mutated = true;
+app.get('/api/articles/:id/ranks', (req, res) => {
+  const a = store.articles.get(req.params.id);
+  if (!a || (a.hidden && req.user?.role !== 'admin')) return res.status(404).json({ error: 'Not found' });
+  res.json({ id: a.id, firstSeenAt: a.firstSeenAt, lastSeenAt: a.lastSeenAt, items: store.ranks.history(a.id) });
+});
+
+// 正在抓取正文的文章：ID -> Promise（同一文章的并发请求共享一次抓取）
+const contentInflight = new Map();
+
+/**
+ * 抓取原文并抽取正文，结果（包括失败）保存到文章记录
+ * @param {object} a - 文章
+ * @returns {Promise<string|null>} 正文HTML；页面中没有可识别的正文时为null
+ */
+function loadArticleContent(a) {
+  if (contentInflight.has(a.id)) return contentInflight.get(a.id);
+  const p = fetchPage(a.url)
+    .then((html) => extractContent(html, a.url)?.html || null)
+    .catch((err) => {
+      store.articles.setContent(a.id, null);
+      throw err;
+    })
+    .then((html) => {
+      store.articles.setContent(a.id, html);
+      return html;
+    })
+    .finally(() => contentInflight.delete(a.id));
+  contentInflight.set(a.id, p);
+  return p;
+}
+
+/**
+ * 获取文章正文（首次请求时抓取原文并抽取，之后直接读取保存的结果）
+ * GET /api/articles/:id/content
+ * 返回 { id, html, readingMinutes, fetchedAt }；无法提取时返回 404 / 502，客户端继续显示摘要
+ */
+app.get('/api/articles/:id/content', async (req, res) => {
+  const a = store.articles.get(req.params.id);
+  if (!a || (a.hidden && req.user?.role !== 'admin')) return res.status(404).json({ error: 'Not found' });
+
+  let html = a.content;
+  if (!html) {
+    const failedAt = Date.parse(a.contentFetchedAt || '');
+    if (!/^https?:\/\//i.test(a.url || '') || (failedAt && Date.now() - failedAt < CONTENT_RETRY_MS)) {
+      return res.status(404).json({ error: '未能提取正文' });
     }
-    const likes = (it.likedBy && Array.isArray(it.likedBy)) ? it.likedBy.length : (it.likes || 0);
-    const liked = username && it.likedBy && it.likedBy.includes(username);
-    return Object.assign({}, it, { likes, liked: !!liked });
+    try {
+      html = await loadArticleContent(a);
+    } catch (err) {
+      console.error('fetch content failed', a.url, err.message);
+      return res.status(502).json({ error: `获取原文失败：${err.message}` });
+    }
+    if (!html) return res.status(404).json({ error: '未能提取正文' });
+  }
+  res.json({
+    id: a.id,
+    html,
+    readingMinutes: readingMinutes(htmlToText(html)),
+    fetchedAt: a.contentFetchedAt || new Date().toISOString(),
   });
-  if (mutated) {
-    try { saveDB(); } catch(_) {}
+});
+
+/**
+ * 上报阅读事件（浏览在获取文章详情时自动记录）
+ * POST /api/articles/:id/events  body: { type: 'click' | 'dwell', dwellMs }
+ * 客户端以 keepalive 请求上报（页面关闭时也能送达），成功时响应 204
+ */
+app.post('/api/articles/:id/events', (req, res) => {
+  const { id } = req.params;
+  const { type } = req.body;
+  if (!EVENT_TYPES.includes(type) || type === 'view') return res.status(400).json({ error: '不支持的事件类型' });
+  if (!store.articles.get(id)) return res.status(404).json({ error: 'Not found' });
+
+  let dwellMs = null;
+  if (type === 'dwell') {
+    dwellMs = Math.floor(Number(req.body.dwellMs));
+    if (!Number.isFinite(dwellMs) || dwellMs <= 0) return res.status(400).json({ error: '无效的停留时长' });
+    dwellMs = Math.min(dwellMs, MAX_DWELL_MS);
   }
-  res.json({ items: out });
+  store.analytics.record({ articleId: id, type, visitor: visitorOf(req, res), dwellMs }, { dedupMs: ANALYTICS_DEDUP_MS });
+  res.status(204).end();
 });
 
 /**
- * 发表评论
- * POST /api/articles/:id/comments
+ * 获取文章评论（楼中楼结构，顶层评论分页）
+ * GET /api/articles/:id/comments?sort=newest|oldest|liked&cursor=xxx&pageSize=10
+ * 登录用户会标记自己点赞过的评论
  */
-app.post('/api/articles/:id/comments', (req, res) => {
+app.get('/api/articles/:id/comments', (req, res) => {
   const { id } = req.params;
-  const { username, text } = req.body;
-  if (!username) return res.status(401).json({ error: '请先登录' });
-  if (!text || !text.trim()) return res.status(400).json({ error: '评论不能为空' });
-
-  const createdAt = new Date().toISOString();
-  const commentId = crypto.createHash('sha1').update(`${id}|${username}|${createdAt}|${text.trim()}`).digest('hex');
-  const item = { id: commentId, username, text: text.trim(), createdAt, likedBy: [], likes: 0 };
-  if (!commentsDB[id]) commentsDB[id] = [];
-  commentsDB[id].push(item);
-  try { saveDB(); } catch(_) {}
-  return res.json({ ok: true, comment: item });
+  const { sort = 'newest', cursor = '' } = req.query;
+  if (!COMMENT_SORTS.includes(sort)) return res.status(400).json({ error: '不支持的排序方式' });
+
+  const threads = store.comments.listThreads(id, req.user?.username, { sort });
+  let page;
+  try {
+    page = paginateByOffset(threads, { cursor, limit: parsePageSize(req.query.pageSize, 20) });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  res.json({ items: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore, totalResults: threads.length });
 });
 
 /**
- * 评论点赞/取消点赞（切换）
- * POST /api/articles/:id/comments/:commentId/like
+ * 读取并校验评论正文
+ * @param {*} text - 请求中的正文
+ * @returns {{text?: string, error?: string}}
+ */
+function validateCommentText(text) {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) return { error: '评论不能为空' };
+  if (trimmed.length > COMMENT_MAX_LENGTH) return { error: `评论不能超过 ${COMMENT_MAX_LENGTH} 字` };
+  return { text: trimmed };
+}
+
+/**
+ * 发表评论限流（按用户和IP分别计数）：在评论通过校验、即将保存时调用，被拒绝的请求不计数
+ * @returns {boolean} 是否允许；超限时已写入429响应并返回false
+ */
+function chargeCommentRate(req, res) {
+  const userKey = `u:${req.user.username}`;
+  const ipKey = `ip:${req.ip}`;
+  // 两个维度都未超限时才同时计数，被拒绝的请求不占用另一维度的额度
+  for (const check of [commentUserLimiter.check(userKey), commentIpLimiter.check(ipKey)]) {
+    if (!check.allowed) {
+      res.set('Retry-After', String(Math.ceil(check.retryAfterMs / 1000)));
+      res.status(429).json({ error: '评论过于频繁，请稍后再试' });
+      return false;
+    }
+  }
+  commentUserLimiter.hit(userKey);
+  commentIpLimiter.hit(ipKey);
+  return true;
+}
+
+/**
+ * 查找属于指定文章的评论，并校验当前用户是作者
+ * @returns {object|null} 评论；不满足条件时已写入错误响应并返回null
  */
-app.post('/api/articles/:id/comments/:commentId/like', (req, res) => {
+function findOwnComment(req, res) {
   const { id, commentId } = req.params;
-  const { username } = req.body;
-  if (!username) return res.status(401).json({ error: '请先登录' });
-  
-  const items = commentsDB[id] || [];
-  const c = items.find(x => x.id === commentId);
-  if (!c) return res.status(404).json({ error: 'comment not found' });
-  
-  // 确保 likedBy 是数组
-  c.likedBy = Array.isArray(c.likedBy) ? c.likedBy : (c.likedBy ? Array.from(c.likedBy) : []);
-  const idx = c.likedBy.indexOf(username);
-  let liked = false;
-  
-  if (idx >= 0) {
-    // 取消点赞
-    c.likedBy.splice(idx, 1);
-    liked = false;
-  } else {
-    // 点赞
-    c.likedBy.push(username);
-    liked = true;
+  const c = store.comments.get(commentId);
+  if (!c || c.articleId !== id) {
+    res.status(404).json({ error: 'comment not found' });
+    return null;
   }
-  
-  c.likes = c.likedBy.length;
-  try { saveDB(); } catch(_) {}
-  return res.json({ likes: c.likes, liked });
-});
+  if (c.username !== req.user.username) {
+    res.status(403).json({ error: '只能操作自己的评论' });
+    return null;
+  }
+  if (c.deleted) {
+    res.status(410).json({ error: '该评论已删除' });
+    return null;
+  }
+  if (c.status === 'hidden') {
+    res.status(403).json({ error: '该评论已被管理员隐藏' });
+    return null;
+  }
+  return c;
+}
 
 /**
- * 获取分类列表
- * GET /api/categories
+ * 发送站内通知并实时推送给接收人（不通知自己；同一人对同一条评论的同类通知只发一次）
+ * @param {object} n - { username: 接收人, type: reply / like / mention, actor, articleId, commentId }
  */
-app.get("/api/categories", (req, res) => {
-  const categories = [
-    { id: "tech", name: "科技" },
-    { id: "business", name: "商业" },
-    { id: "world", name: "国际" },
-    { id: "sports", name: "体育" },
-    { id: "news", name: "综合" }
-  ];
-  res.json({ categories });
-});
+function notify(n) {
+  if (n.username === n.actor) return;
+  const item = store.notifications.create(n);
+  if (item) events.publish('notification', { item, unread: store.notifications.unreadCount(n.username) }, { username: n.username });
+}
 
-// ========== 用户认证系统 ==========
+/**
+ * 公开评论的通知：回复通知被回复的作者，@提及通知被提到的已注册用户
+ * 待审核的评论在审核通过后再通知
+ * @param {object} comment - 评论
+ */
+function notifyForComment(comment) {
+  if (comment.status !== 'visible' || comment.deleted) return;
+  const base = { actor: comment.username, articleId: comment.articleId, commentId: comment.id };
+  const parent = comment.parentId ? store.comments.get(comment.parentId) : null;
+  if (parent) notify({ ...base, username: parent.username, type: 'reply' });
+  for (const name of parseMentions(comment.text)) {
+    // 用户名不区分大小写，通知发给账号本身的用户名；被回复的作者已收到回复通知，不再重复提醒
+    const target = store.users.find(name);
+    if (!target || target.username === parent?.username) continue;
+    notify({ ...base, username: target.username, type: 'mention' });
+  }
+}
 
 /**
- * 用户注册
- * POST /api/register
+ * 发表评论（传 parentId 表示回复某条评论）
+ * POST /api/articles/:id/comments
  */
-app.post("/api/register", (req, res) => {
-  const { username, password } = req.body;
-  if (!username || !password)
-    return res.status(400).json({ error: "缺少参数" });
-  if (users.find((u) => u.username === username))
-    return res.status(400).json({ error: "用户名已存在" });
-  users.push({ username, password });
-  saveDB(); 
-  res.json({ message: "注册成功" });
+app.post('/api/articles/:id/comments', requireAuth, (req, res) => {
+  const { id } = req.params;
+  const { username } = req.user;
+  const { parentId = null } = req.body;
+  if (parentId !== null && (typeof parentId !== 'string' || !parentId)) return res.status(400).json({ error: '无效的回复对象' });
+  const { text, error } = validateCommentText(req.body.text);
+  if (error) return res.status(400).json({ error });
+  if (!store.articles.get(id)) return res.status(404).json({ error: 'Not found' });
+
+  if (parentId) {
+    const parent = store.comments.get(parentId);
+    if (!parent || parent.articleId !== id || parent.status === 'pending') {
+      return res.status(404).json({ error: '回复的评论不存在' });
+    }
+    if (parent.deleted || parent.status === 'hidden') return res.status(400).json({ error: '不能回复已删除的评论' });
+  }
+  if (!chargeCommentRate(req, res)) return;
+
+  // 命中屏蔽规则的评论先保存为待审核，仅作者可见
+  const verdict = commentFilter.check(text);
+  const item = store.comments.create({
+    articleId: id, username, text, parentId,
+    status: verdict.flagged ? 'pending' : 'visible',
+    note: verdict.flagged ? verdict.reason : null,
+  });
+  if (item.status === 'visible') events.publish('comment', { articleId: id, comment: item });
+  notifyForComment(item);
+  return res.json({ ok: true, comment: item });
 });
 
 /**
- * 用户登录
- * POST /api/login
+ * 编辑自己的评论
+ * PATCH /api/articles/:id/comments/:commentId
  */
-app.post("/api/login", (req, res) => {
-  const { username, password } = req.body;
-  const u = users.find((x) => x.username === username && x.password === password);
-  if (!u) return res.status(401).json({ error: "用户名或密码错误" });
-  res.json({ message: "登录成功", username });
+app.patch('/api/articles/:id/comments/:commentId', requireAuth, (req, res) => {
+  const c = findOwnComment(req, res);
+  if (!c) return;
+  const { text, error } = validateCommentText(req.body.text);
+  if (error) return res.status(400).json({ error });
+
+  // 修改后命中屏蔽规则时重新进入待审核；否则保持原审核状态
+  const verdict = commentFilter.check(text);
+  store.comments.updateText(c.id, text, verdict.flagged ? { status: 'pending', note: verdict.reason } : {});
+  const updated = store.comments.get(c.id, req.user.username);
+  notifyForComment(updated);   // 只有新增的 @提及 会产生通知
+  return res.json({ ok: true, comment: updated });
 });
 
-// ========== 点赞功能 ==========
+/**
+ * 删除自己的评论（软删除，回复保留）
+ * DELETE /api/articles/:id/comments/:commentId
+ */
+app.delete('/api/articles/:id/comments/:commentId', requireAuth, (req, res) => {
+  const c = findOwnComment(req, res);
+  if (!c) return;
+  store.comments.softDelete(c.id);
+  return res.json({ ok: true, comment: store.comments.get(c.id, req.user.username) });
+});
 
 /**
- * 文章点赞/取消点赞（切换）
- * POST /api/articles/:id/like
+ * 评论点赞/取消点赞（切换）
+ * POST /api/articles/:id/comments/:commentId/like
  */
-app.post("/api/articles/:id/like", (req, res) => {
-  const { username } = req.body;
-  const { id } = req.params;
-  if (!username) return res.status(401).json({ error: "请先登录" });
+app.post('/api/articles/:id/comments/:commentId/like', requireAuth, (req, res) => {
+  const { id, commentId } = req.params;
+  const { username } = req.user;
 
-  if (!likesDB[id]) likesDB[id] = { count: 0, users: new Set() };
+  const c = store.comments.get(commentId);
+  if (!c || c.articleId !== id) return res.status(404).json({ error: 'comment not found' });
+  if (c.deleted) return res.status(410).json({ error: '该评论已删除' });
+  if (c.status !== 'visible') return res.status(403).json({ error: '该评论暂不可点赞' });
 
-  if (likesDB[id].users.has(username)) {
-    // 用户已点赞 -> 取消点赞
-    likesDB[id].users.delete(username);
-    likesDB[id].count--;
-    saveDB(); 
-    return res.json({ likes: likesDB[id].count, liked: false });
-  } else {
-    // 用户未点赞 -> 点赞
-    likesDB[id].users.add(username);
-    likesDB[id].count++;
-    saveDB(); 
-    return res.json({ likes: likesDB[id].count, liked: true });
-  }
+  const { likes, liked } = store.comments.toggleLike(commentId, username);
+  events.publish('comment-like', { articleId: id, commentId, likes });
+  if (liked) notify({ username: c.username, type: 'like', actor: username, articleId: id, commentId });
+  return res.json({ likes, liked });
 });
 
 /**
- * 获取热榜（热门新闻）
- * GET /api/trending
+ * 举报评论；被多名用户举报后自动转为待审核
+ * POST /api/articles/:id/comments/:commentId/report
  */
-app.get('/api/trending', async (req, res) => {
-  try {
-    const url = `https://newsapi.org/v2/top-headlines?${new URLSearchParams({
-      country: 'us',
-      category: 'technology',
-      pageSize: '10',
-      apiKey: NEWS_API_KEY
-    }).toString()}`;
-    const data = await httpJSON(url);
-    const items = (data.articles || []).map((n, idx) => {
-      // 使用URL的SHA1哈希作为稳定的ID
-      const id = makeIdFromUrl(n.url) || `trend_${idx}`;
-      
-      // 如果是首次看到该文章，持久化其元数据
-      if (!articleStore[id]) {
-        articleStore[id] = {
-          id,
-          title: n.title,
-          summary: n.description,
-          cover: n.urlToImage,
-          category: 'tech',
-          publishedAt: n.publishedAt,
-          url: n.url,
-          source: n.source?.name || '',
-        };
-        try { saveDB(); } catch(_) {}
-      }
-      
-      // 从本地数据库获取点赞数
-      const count = likesDB[id]?.count || 0;
-
-      return {
-        id,
-        title: n.title,
-        url: n.url,
-        likes: count,
-      };
+app.post('/api/articles/:id/comments/:commentId/report', requireAuth, (req, res) => {
+  const { id, commentId } = req.params;
+  const { username } = req.user;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 200) : '';
+
+  const c = store.comments.get(commentId);
+  if (!c || c.articleId !== id || c.status === 'pending') return res.status(404).json({ error: 'comment not found' });
+  if (c.deleted || c.status === 'hidden') return res.status(410).json({ error: '该评论已删除' });
+  if (c.username === username) return res.status(400).json({ error: '不能举报自己的评论' });
+
+  const { added, reports } = store.comments.report(commentId, username, reason);
+  if (reports >= COMMENT_REPORT_HOLD_THRESHOLD) {
+    store.comments.setStatus(commentId, 'pending', `被 ${reports} 名用户举报`);
+  }
+  return res.json({ ok: true, alreadyReported: !added });
+});
+
+// ========== 管理后台 ==========
+
+/**
+ * 待处理队列：待审核评论和被举报的评论
+ * GET /api/admin/comments/queue
+ */
+app.get('/api/admin/comments/queue', requireAdmin, (req, res) => {
+  const items = store.comments.listQueue();
+  res.json({ items, totalResults: items.length });
+});
+
+/**
+ * 通过评论（公开显示并清除举报）
+ * POST /api/admin/comments/:commentId/approve
+ */
+app.post('/api/admin/comments/:commentId/approve', requireAdmin, (req, res) => {
+  if (!store.comments.setStatus(req.params.commentId, 'visible')) {
+    return res.status(404).json({ error: 'comment not found' });
+  }
+  const comment = store.comments.get(req.params.commentId);
+  // 审核通过后推送给正在阅读该文章的用户（客户端按评论ID去重）
+  if (!comment.deleted) events.publish('comment', { articleId: comment.articleId, comment });
+  notifyForComment(comment);
+  res.json({ ok: true, comment });
+});
+
+/**
+ * 隐藏评论（保留记录以维持回复结构）
+ * POST /api/admin/comments/:commentId/hide
+ */
+app.post('/api/admin/comments/:commentId/hide', requireAdmin, (req, res) => {
+  const note = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 200) : null;
+  if (!store.comments.setStatus(req.params.commentId, 'hidden', note || null)) {
+    return res.status(404).json({ error: 'comment not found' });
+  }
+  res.json({ ok: true, comment: store.comments.get(req.params.commentId) });
+});
+
+/**
+ * 删除任意评论（软删除）
+ * DELETE /api/admin/comments/:commentId
+ */
+app.delete('/api/admin/comments/:commentId', requireAdmin, (req, res) => {
+  const c = store.comments.get(req.params.commentId);
+  if (!c) return res.status(404).json({ error: 'comment not found' });
+  store.comments.softDelete(c.id);
+  res.json({ ok: true, comment: store.comments.get(c.id) });
+});
+
+/**
+ * 读取管理列表的分页参数
+ * @returns {{offset: number, limit: number}}
+ * @throws {Error} 游标格式错误时抛出（err.status = 400）
+ */
+function adminPage(req) {
+  return { offset: decodeOffsetCursor(req.query.cursor), limit: parsePageSize(req.query.pageSize, 20) };
+}
+
+/**
+ * 组装管理列表的分页响应
+ */
+function adminPageResponse({ items, total }, { offset, limit }) {
+  const hasMore = offset + limit < total;
+  return { items, nextCursor: hasMore ? encodeOffsetCursor(offset + limit) : null, hasMore, totalResults: total };
+}
+
+/**
+ * 汇总统计
+ * GET /api/admin/stats
+ */
+app.get('/api/admin/stats', requireAdmin, (req, res) => {
+  res.json({ ...store.stats(), searchIndexSize: searchIndex.size, provider: provider.name });
+});
+
+/**
+ * 阅读统计：总量、时间序列，以及按文章/分类/来源的汇总
+ * GET /api/admin/analytics?from=2025-10-01&to=2025-10-08&groupBy=category&bucket=day&limit=50
+ * 默认统计最近7天；指标包括浏览、独立访客、点击原文、点击率和平均停留时长
+ */
+app.get('/api/admin/analytics', requireAdmin, (req, res) => {
+  const { groupBy = 'category', bucket = 'day' } = req.query;
+  if (!ANALYTICS_GROUPS.includes(groupBy)) return res.status(400).json({ error: '不支持的汇总维度' });
+  if (!ANALYTICS_BUCKETS.includes(bucket)) return res.status(400).json({ error: '不支持的时间粒度' });
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 3600 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return res.status(400).json({ error: '日期格式错误' });
+  }
+
+  const report = store.analytics.report({
+    from: from.toISOString(),
+    to: to.toISOString(),
+    groupBy,
+    bucket,
+    limit: parsePageSize(req.query.limit, 50),
+  });
+  res.json({ from: from.toISOString(), to: to.toISOString(), groupBy, bucket, ...report });
+});
+
+/**
+ * 用户列表
+ * GET /api/admin/users?q=关键词&cursor=xxx&pageSize=20
+ */
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+  let page;
+  try {
+    page = adminPage(req);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  const q = String(req.query.q || '').trim();
+  res.json(adminPageResponse(store.users.list({ q, ...page }), page));
+});
+
+/**
+ * 查找可被当前管理员操作的用户（不能操作自己）
+ * @returns {object|null} 用户；不满足条件时已写入错误响应并返回null
+ */
+function findManagedUser(req, res) {
+  const u = store.users.find(req.params.username);
+  if (!u) {
+    res.status(404).json({ error: '用户不存在' });
+    return null;
+  }
+  if (u.username === req.user.username) {
+    res.status(400).json({ error: '不能操作自己的账号' });
+    return null;
+  }
+  return u;
+}
+
+/**
+ * 封禁用户（立即注销其全部会话）
+ * POST /api/admin/users/:username/ban
+ */
+app.post('/api/admin/users/:username/ban', requireAdmin, (req, res) => {
+  const u = findManagedUser(req, res);
+  if (!u) return;
+  if (u.role === 'admin') return res.status(400).json({ error: '不能封禁管理员，请先取消其管理员角色' });
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 200) : '';
+  store.transaction(() => {
+    store.users.setBanned(u.username, true, reason);
+    store.sessions.deleteByUser(u.username);
+  });
+  res.json({ ok: true });
+});
+
+/**
+ * 解封用户
+ * POST /api/admin/users/:username/unban
+ */
+app.post('/api/admin/users/:username/unban', requireAdmin, (req, res) => {
+  const u = findManagedUser(req, res);
+  if (!u) return;
+  store.users.setBanned(u.username, false);
+  res.json({ ok: true });
+});
+
+/**
+ * 修改用户角色
+ * POST /api/admin/users/:username/role  body: { role: 'user' | 'admin' }
+ */
+app.post('/api/admin/users/:username/role', requireAdmin, (req, res) => {
+  const u = findManagedUser(req, res);
+  if (!u) return;
+  const { role } = req.body;
+  if (!USER_ROLES.includes(role)) return res.status(400).json({ error: '无效的角色' });
+  if (role === 'admin' && u.bannedAt) return res.status(400).json({ error: '请先解封该用户' });
+  store.users.setRole(u.username, role);
+  res.json({ ok: true });
+});
+
+/**
+ * 文章列表（包含已隐藏的文章）
+ * GET /api/admin/articles?q=关键词&hidden=1&cursor=xxx&pageSize=20
+ */
+app.get('/api/admin/articles', requireAdmin, (req, res) => {
+  let page;
+  try {
+    page = adminPage(req);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  const q = String(req.query.q || '').trim();
+  const result = store.articles.adminList({ q, hiddenOnly: req.query.hidden === '1', ...page });
+  const likes = store.likes.counts(result.items.map(a => a.id));
+  result.items = result.items.map(({ content, ...a }) => ({ ...a, likes: likes.get(a.id) || 0 }));
+  res.json(adminPageResponse(result, page));
+});
+
+/**
+ * 隐藏文章（从列表、搜索、热榜和详情中移除）
+ * POST /api/admin/articles/:id/hide
+ */
+app.post('/api/admin/articles/:id/hide', requireAdmin, (req, res) => {
+  if (!store.articles.setHidden(req.params.id, true)) return res.status(404).json({ error: 'Not found' });
+  searchIndex.remove(req.params.id);
+  res.json({ ok: true });
+});
+
+/**
+ * 恢复已隐藏的文章
+ * POST /api/admin/articles/:id/unhide
+ */
+app.post('/api/admin/articles/:id/unhide', requireAdmin, (req, res) => {
+  if (!store.articles.setHidden(req.params.id, false)) return res.status(404).json({ error: 'Not found' });
+  searchIndex.add(store.articles.get(req.params.id));
+  res.json({ ok: true });
+});
+
+/**
+ * 校验分类字段
+ * @param {object} body - 请求体
+ * @param {boolean} partial - 是否允许缺省字段（修改时）
+ * @returns {{value: object}|{error: string}} 清理后的字段或错误消息
+ */
+function parseCategoryFields(body, partial) {
+  const value = {};
+  for (const key of ['name', 'upstream', 'country', 'language', 'icon']) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'string') return { error: `${key} 必须是字符串` };
+    value[key] = body[key].trim();
+  }
+  if (!partial || value.name !== undefined) {
+    if (!value.name || value.name.length > 10) return { error: '分类名称需为1-10个字符' };
+  }
+  if (!partial || value.upstream !== undefined) {
+    if (!/^[a-z][a-z0-9_-]{0,31}$/.test(value.upstream || '')) return { error: '上游分类格式错误' };
+  }
+  if (value.country && !/^[a-z]{2}$/.test(value.country)) return { error: '国家代码需为两位小写字母' };
+  if (value.language && !/^[a-z]{2}$/.test(value.language)) return { error: '语言代码需为两位小写字母' };
+  if (value.icon && Array.from(value.icon).length > 4) return { error: '图标最多4个字符' };
+  return { value };
+}
+
+/**
+ * 分类列表（包含上游映射，按标签栏顺序）
+ * GET /api/admin/categories
+ */
+app.get('/api/admin/categories', requireAdmin, (req, res) => {
+  res.json({ items: store.categories.list() });
+});
+
+/**
+ * 新建分类（排在最后）
+ * POST /api/admin/categories  body: { id, name, upstream, country, language, icon }
+ */
+app.post('/api/admin/categories', requireAdmin, (req, res) => {
+  const id = String(req.body.id || '').trim();
+  if (!/^[a-z][a-z0-9-]{1,19}$/.test(id)) return res.status(400).json({ error: '分类ID需为2-20位小写字母、数字或连字符，以字母开头' });
+  if (RESERVED_CATEGORY_IDS.includes(id)) return res.status(400).json({ error: '该分类ID为系统保留' });
+  const { value, error } = parseCategoryFields(req.body, false);
+  if (error) return res.status(400).json({ error });
+  if (store.categories.get(id)) return res.status(409).json({ error: '分类已存在' });
+  const category = store.categories.create({ id, ...value });
+  newsCache.clear();   // 综合页需要包含新分类
+  syncIngestJobs();
+  res.status(201).json(category);
+});
+
+/**
+ * 修改分类
+ * PATCH /api/admin/categories/:id  body: { name, upstream, country, language, icon }（只需传要修改的字段）
+ */
+app.patch('/api/admin/categories/:id', requireAdmin, (req, res) => {
+  const { value, error } = parseCategoryFields(req.body, true);
+  if (error) return res.status(400).json({ error });
+  const category = store.categories.update(req.params.id, value);
+  if (!category) return res.status(404).json({ error: '分类不存在' });
+  newsCache.clear();   // 上游映射或国家可能已改变
+  res.json(category);
+});
+
+/**
+ * 调整分类顺序
+ * POST /api/admin/categories/reorder  body: { ids: ['world', 'tech', ...] }（未列出的分类依原顺序排在后面）
+ */
+app.post('/api/admin/categories/reorder', requireAdmin, (req, res) => {
+  const { ids } = req.body;
+  if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string') || new Set(ids).size !== ids.length) {
+    return res.status(400).json({ error: 'ids 必须是不重复的分类ID数组' });
+  }
+  if (ids.some(id => !store.categories.get(id))) return res.status(400).json({ error: '包含不存在的分类' });
+  store.categories.reorder(ids);
+  res.json({ items: store.categories.list() });
+});
+
+/**
+ * 删除分类（已存储的文章保持原有分类标记）
+ * DELETE /api/admin/categories/:id
+ */
+app.delete('/api/admin/categories/:id', requireAdmin, (req, res) => {
+  if (!store.categories.remove(req.params.id)) return res.status(404).json({ error: '分类不存在' });
+  newsCache.clear();   // 综合页不再包含该分类
+  syncIngestJobs();
+  res.json({ ok: true });
+});
+
+/**
+ * 获取分类列表（标签栏顺序：推荐、已配置的分类、综合）
+ * GET /api/categories
+ */
+app.get("/api/categories", (req, res) => {
+  const categories = [
+    { id: "recommend", name: "推荐", icon: "✨" },
+    ...store.categories.list().map(({ id, name, icon, country, language }) => ({ id, name, icon, country, language })),
+    { id: "news", name: "综合", icon: "📰" }
+  ];
+  res.json({ categories });
+});
+
+// ========== 用户认证系统 ==========
+
+/**
+ * 用户注册
+ * POST /api/register
+ */
+app.post("/api/register", (req, res) => {
+  const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+  const password = typeof req.body.password === 'string' ? req.body.password : '';
+  if (!username || !password)
+    return res.status(400).json({ error: "缺少参数" });
+  if (!USERNAME_PATTERN.test(username))
+    return res.status(400).json({ error: "用户名须为3-20位字母、数字或下划线" });
+  if (password.length < PASSWORD_MIN_LENGTH)
+    return res.status(400).json({ error: `密码至少 ${PASSWORD_MIN_LENGTH} 位` });
+  // 用户名不区分大小写（users 表按 NOCASE 比较）
+  if (store.users.find(username))
+    return res.status(400).json({ error: "用户名已存在" });
+  const role = ADMIN_USERS.has(username) ? 'admin' : 'user';
+  store.users.create({ username, passwordHash: hashPassword(password), role });
+  res.json({ message: "注册成功" });
+});
+
+/**
+ * 用户登录（签发会话Cookie）
+ * POST /api/login
+ */
+app.post("/api/login", (req, res) => {
+  const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+  const password = typeof req.body.password === 'string' ? req.body.password : '';
+  const u = store.users.find(username);
+  if (!u || !password || !verifyPassword(password, u.passwordHash))
+    return res.status(401).json({ error: "用户名或密码错误" });
+  if (u.bannedAt)
+    return res.status(403).json({ error: u.banReason ? `账号已被封禁：${u.banReason}` : "账号已被封禁" });
+
+  // 登录时顺带销毁当前请求携带的旧会话
+  sessions.destroy(req.sessionToken);
+  const { token } = sessions.create(u.username);
+  res.setHeader('Set-Cookie', sessionCookie(token, { secure: req.secure }));
+  res.json({ message: "登录成功", username: u.username, role: u.role });
+});
+
+/**
+ * 退出登录（销毁会话并清除Cookie）
+ * POST /api/logout
+ */
+app.post("/api/logout", (req, res) => {
+  sessions.destroy(req.sessionToken);
+  res.setHeader('Set-Cookie', sessionCookie('', { secure: req.secure }));
+  res.json({ message: "已退出" });
+});
+
+/**
+ * 获取当前登录用户
+ * GET /api/me
+ */
+app.get("/api/me", requireAuth, (req, res) => {
+  const u = store.users.find(req.user.username);
+  res.json({
+    username: u.username,
+    role: u.role,
+    edition: editionOf(req),
+    displayName: u.displayName,
+    avatar: u.avatar,
+    bio: u.bio,
+  });
+});
+
+// ========== 个人主页与账号设置 ==========
+
+const PROFILE_PAGE_SIZE = 10;   // 个人主页每类动态的每页条数
+
+/**
+ * 用户的公开资料
+ * @param {object} u - 用户对象
+ * @returns {object} { username, displayName, avatar, bio, role, joinedAt, banned }
+ */
+function publicProfile(u) {
+  return {
+    username: u.username,
+    displayName: u.displayName,
+    avatar: u.avatar,
+    bio: u.bio,
+    role: u.role,
+    joinedAt: u.createdAt,
+    banned: !!u.bannedAt,
+  };
+}
+
+/**
+ * 用户的公开评论（按时间倒序，游标分页）
+ * @param {string} username - 用户名
+ * @param {object} options - { cursor, limit }
+ * @returns {object} { items, nextCursor, hasMore, totalResults }（游标无效时抛出带 status 的错误）
+ */
+function userComments(username, { cursor = '', limit = PROFILE_PAGE_SIZE } = {}) {
+  const list = sortByCursorKey(store.comments.listByUser(username).map(c => ({
+    id: c.id,
+    articleId: c.articleId,
+    articleTitle: c.articleTitle,
+    parentId: c.parentId,
+    text: c.text,
+    likes: c.likes,
+    createdAt: c.createdAt,
+  })), 'createdAt');
+  const page = paginateByCursor(list, { cursor, limit, timeKey: 'createdAt' });
+  return { ...page, totalResults: list.length };
+}
+
+/**
+ * 用户点赞过的文章（按点赞时间倒序，游标分页）
+ * @param {string} username - 用户名
+ * @param {object} options - { cursor, limit }
+ * @returns {object} { items, nextCursor, hasMore, totalResults }（游标无效时抛出带 status 的错误）
+ */
+function userLikes(username, { cursor = '', limit = PROFILE_PAGE_SIZE } = {}) {
+  const list = sortByCursorKey(store.likes.listByUser(username).map(a => ({
+    id: a.id,
+    title: a.title,
+    cover: a.cover,
+    source: a.source || '',
+    publishedAt: a.publishedAt,
+    likedAt: a.likedAt,
+  })), 'likedAt');
+  const page = paginateByCursor(list, { cursor, limit, timeKey: 'likedAt' });
+  return { ...page, totalResults: list.length };
+}
+
+/**
+ * 个人主页：公开资料与最近的评论、点赞过的文章
+ * GET /api/users/:username
+ * 返回 { ...资料, comments: { items, nextCursor, hasMore, totalResults }, likes: { ... } }
+ */
+app.get('/api/users/:username', (req, res) => {
+  const u = store.users.find(req.params.username);
+  if (!u) return res.status(404).json({ error: '用户不存在' });
+  res.json({
+    ...publicProfile(u),
+    comments: userComments(u.username),
+    likes: userLikes(u.username),
+  });
+});
+
+/**
+ * 个人主页的更多评论 / 点赞过的文章
+ * GET /api/users/:username/comments?cursor=xxx&pageSize=10
+ * GET /api/users/:username/likes?cursor=xxx&pageSize=10
+ */
+app.get('/api/users/:username/:activity(comments|likes)', (req, res) => {
+  const u = store.users.find(req.params.username);
+  if (!u) return res.status(404).json({ error: '用户不存在' });
+  const load = req.params.activity === 'comments' ? userComments : userLikes;
+  try {
+    res.json(load(u.username, { cursor: req.query.cursor, limit: parsePageSize(req.query.pageSize, PROFILE_PAGE_SIZE) }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * 校验头像地址（只接受 http/https 图片地址，空表示使用默认头像）
+ * @param {string} value - 头像地址
+ * @returns {boolean}
+ */
+function isAvatarUrl(value) {
+  if (!value) return true;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * 修改个人资料
+ * PATCH /api/me/profile  body: { displayName, avatar, bio }
+ */
+app.patch('/api/me/profile', requireAuth, (req, res) => {
+  const fields = {};
+  for (const key of Object.keys(PROFILE_LIMITS)) {
+    const value = req.body[key];
+    if (value !== undefined && typeof value !== 'string') return res.status(400).json({ error: '参数格式错误' });
+    fields[key] = (value || '').trim();
+  }
+  if (fields.displayName.length > PROFILE_LIMITS.displayName)
+    return res.status(400).json({ error: `显示名称不能超过 ${PROFILE_LIMITS.displayName} 字` });
+  if (fields.bio.length > PROFILE_LIMITS.bio)
+    return res.status(400).json({ error: `个人简介不能超过 ${PROFILE_LIMITS.bio} 字` });
+  if (fields.avatar.length > PROFILE_LIMITS.avatar || !isAvatarUrl(fields.avatar))
+    return res.status(400).json({ error: '头像应为 http(s) 图片地址' });
+
+  store.users.updateProfile(req.user.username, fields);
+  res.json(publicProfile(store.users.find(req.user.username)));
+});
+
+/**
+ * 修改密码：校验当前密码，成功后注销该账号的其他会话并为当前浏览器签发新会话
+ * POST /api/me/password  body: { currentPassword, newPassword }
+ */
+app.post('/api/me/password', requireAuth, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const u = store.users.find(req.user.username);
+  if (typeof currentPassword !== 'string' || !currentPassword || !verifyPassword(currentPassword, u.passwordHash))
+    return res.status(400).json({ error: '当前密码错误' });
+  if (typeof newPassword !== 'string' || newPassword.length < PASSWORD_MIN_LENGTH)
+    return res.status(400).json({ error: `新密码至少 ${PASSWORD_MIN_LENGTH} 位` });
+
+  store.users.setPassword(u.username, hashPassword(newPassword));
+  store.sessions.deleteByUser(u.username);
+  const { token } = sessions.create(u.username);
+  res.setHeader('Set-Cookie', sessionCookie(token, { secure: req.secure }));
+  res.json({ message: '密码已修改' });
+});
+
+// ========== 新闻版本 ==========
+
+/**
+ * 可选的新闻版本及当前使用的版本
+ * GET /api/editions
+ */
+app.get('/api/editions', (req, res) => {
+  res.json({ editions: Object.values(EDITIONS), current: editionOf(req) });
+});
+
+/**
+ * 选择新闻版本：写入版本Cookie，已登录时同时保存到账号（换设备登录后仍然生效）
+ * PUT /api/edition  body: { edition: 'gb' }
+ */
+app.put('/api/edition', (req, res) => {
+  const { edition } = req.body;
+  if (!isEdition(edition)) return res.status(400).json({ error: '不支持的版本' });
+  if (req.user) store.users.setEdition(req.user.username, edition);
+  res.append('Set-Cookie', editionCookie(edition, { secure: req.secure }));
+  res.json({ edition });
+});
+
+// ========== 站内通知 ==========
+
+/**
+ * 我的通知（按时间倒序，分页）
+ * GET /api/notifications?cursor=xxx&pageSize=20
+ * 返回 { items, nextCursor, hasMore, unread }
+ */
+app.get('/api/notifications', requireAuth, (req, res) => {
+  const { username } = req.user;
+  const list = store.notifications.list(username);
+  let page;
+  try {
+    page = paginateByOffset(list, { cursor: req.query.cursor || '', limit: parsePageSize(req.query.pageSize, 20) });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  res.json({
+    items: page.items,
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore,
+    unread: store.notifications.unreadCount(username),
+  });
+});
+
+/**
+ * 标记通知为已读
+ * POST /api/notifications/read  body: { ids: [1, 2] }（不传 ids 表示全部）
+ */
+app.post('/api/notifications/read', requireAuth, (req, res) => {
+  const { ids } = req.body;
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every(Number.isInteger))) {
+    return res.status(400).json({ error: 'ids 必须是通知ID数组' });
+  }
+  const { username } = req.user;
+  const marked = store.notifications.markRead(username, ids);
+  res.json({ marked, unread: store.notifications.unreadCount(username) });
+});
+
+// ========== 实时推送 ==========
+
+/**
+ * 订阅实时事件（Server-Sent Events）
+ * GET /api/stream
+ * 事件：like { articleId, likes }、comment-like { articleId, commentId, likes }、
+ *       comment { articleId, comment }（仅公开的评论）、articles { items: [{ id, categories, editions, publishedAt }] }、
+ *       notification { item, unread }（只发给接收人）
+ * 客户端按当前页面（分类、版本、打开的文章）自行过滤；登录状态变化后需要重新连接
+ */
+app.get('/api/stream', (req, res) => {
+  const unsubscribe = events.subscribe(res, { username: req.user?.username });
+  if (!unsubscribe) return res.status(503).json({ error: '连接数已满，请稍后再试' });
+  req.on('close', unsubscribe);
+});
+
+// ========== 点赞功能 ==========
+
+/**
+ * 文章点赞/取消点赞（切换）
+ * POST /api/articles/:id/like
+ */
+app.post("/api/articles/:id/like", requireAuth, (req, res) => {
+  const { username } = req.user;
+  const { id } = req.params;
+  if (!store.articles.get(id)) return res.status(404).json({ error: 'Not found' });
+
+  const { likes, liked } = store.likes.toggle(id, username);
+  events.publish('like', { articleId: id, likes });
+  return res.json({ likes, liked });
+});
+
+// ========== 收藏功能 ==========
+
+/**
+ * 读取收藏夹名称和备注
+ * @param {object} body - 请求体
+ * @returns {{folder?: string, note?: string, error?: string}}
+ */
+function parseBookmarkBody(body) {
+  const folder = typeof body.folder === 'string' ? body.folder.trim() : '';
+  const note = typeof body.note === 'string' ? body.note.trim() : '';
+  if (folder.length > 30) return { error: '收藏夹名称不能超过 30 字' };
+  if (note.length > 500) return { error: '备注不能超过 500 字' };
+  return { folder, note };
+}
+
+/**
+ * 收藏文章，或修改已收藏文章的收藏夹/备注
+ * PUT /api/articles/:id/bookmark  body: { folder, note }
+ */
+app.put('/api/articles/:id/bookmark', requireAuth, (req, res) => {
+  const { id } = req.params;
+  const a = store.articles.get(id);
+  if (!a || a.hidden) return res.status(404).json({ error: 'Not found' });
+  const { folder, note, error } = parseBookmarkBody(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const bookmark = store.bookmarks.save({ username: req.user.username, articleId: id, folder, note });
+  res.json({ bookmarked: true, bookmark });
+});
+
+/**
+ * 取消收藏
+ * DELETE /api/articles/:id/bookmark
+ */
+app.delete('/api/articles/:id/bookmark', requireAuth, (req, res) => {
+  store.bookmarks.remove(req.user.username, req.params.id);
+  res.json({ bookmarked: false });
+});
+
+/**
+ * 我的收藏（按收藏时间倒序，游标分页）
+ * GET /api/bookmarks?folder=收藏夹&cursor=xxx&pageSize=10
+ * 不传 folder 表示全部收藏；folder 为空字符串表示未分类
+ */
+app.get('/api/bookmarks', requireAuth, (req, res) => {
+  const { folder, cursor = '' } = req.query;
+  const list = sortByCursorKey(store.bookmarks.list(req.user.username, {
+    folder: typeof folder === 'string' ? folder : undefined,
+  }).map(a => ({
+    id: a.id,
+    title: a.title,
+    summary: a.summary,
+    cover: a.cover,
+    category: a.primaryCategory || 'news',
+    publishedAt: a.publishedAt,
+    url: a.url,
+    source: a.source || '',
+    bookmarkedAt: a.bookmark.createdAt,
+    bookmark: a.bookmark,
+  })), 'bookmarkedAt');
+
+  let page;
+  try {
+    page = paginateByCursor(list, { cursor, limit: parsePageSize(req.query.pageSize), timeKey: 'bookmarkedAt' });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  res.json({
+    items: withLikes(page.items, req.user.username),
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore,
+    totalResults: list.length,
+  });
+});
+
+/**
+ * 收藏夹列表
+ * GET /api/bookmarks/folders
+ */
+app.get('/api/bookmarks/folders', requireAuth, (req, res) => {
+  res.json({ folders: store.bookmarks.folders(req.user.username) });
+});
+
+// ========== 关注话题 ==========
+
+/**
+ * 话题对应的本地搜索查询：实体按短语匹配，关键词沿用搜索语法
+ * @param {object} topic - 话题
+ * @returns {string}
+ */
+function topicQuery(topic) {
+  return topic.kind === 'entity' ? `"${topic.value.replace(/"/g, ' ')}"` : topic.value;
+}
+
+/**
+ * 已存储的话题匹配文章（不含已隐藏的文章）
+ * @param {object} topic - 话题
+ * @returns {Array} 文章对象
+ */
+function storedTopicArticles(topic) {
+  if (topic.kind === 'source') return store.articles.listBySource(topic.value);
+  return searchIndex.search(topicQuery(topic)).map(r => r.article);
+}
+
+/**
+ * 从新闻源拉取话题的最新文章并写入文章存储（经缓存）
+ * 关键词/实体使用新闻源的全文搜索；来源话题拉取当前版本的综合头条，入库后由本地查询匹配
+ * @param {object} topic - 话题
+ * @param {string} edition - 新闻版本
+ * @returns {Promise<string[]>} 新闻源返回的匹配文章ID
+ */
+async function fetchTopicArticles(topic, edition) {
+  if (topic.kind === 'source') {
+    await newsCache.get(`${provider.name}|${edition}|news|`, () => fetchCategoryItems('news', '', edition));
+    return [];
+  }
+  const cacheKey = `${provider.name}|${edition}|topic|${topic.kind}|${topic.value.toLowerCase()}`;
+  const result = await newsCache.get(cacheKey, async () => {
+    const articles = await provider.search(topic.value);
+    const records = articles.filter(n => n.url).map(n => ({
+      id: makeIdFromUrl(n.url),
+      title: n.title,
+      summary: n.description,
+      cover: n.urlToImage,
+      categories: ['news'],
+      editions: [edition],
+      publishedAt: n.publishedAt,
+      url: n.url,
+      source: n.source?.name || '',
+    }));
+    saveArticles(records);
+    return records.map(r => r.id);
+  });
+  return result.value;
+}
+
+/**
+ * 话题的未读数：上次查看之后入库的匹配文章数
+ * @param {object} topic - 话题
+ * @returns {number}
+ */
+function topicUnread(topic) {
+  const ids = storedTopicArticles(topic).map(a => a.id);
+  return ids.length ? store.articles.countCreatedSince(ids, topic.lastViewedAt) : 0;
+}
+
+/**
+ * 校验话题字段
+ * @param {object} body - 请求体
+ * @returns {{value: object}|{error: string}} 清理后的 { kind, value, name } 或错误消息
+ */
+function parseTopicBody(body) {
+  const kind = body.kind === undefined ? 'keyword' : body.kind;
+  if (!TOPIC_KINDS.includes(kind)) return { error: '不支持的话题类型' };
+  if (typeof body.value !== 'string') return { error: '缺少话题内容' };
+  const value = body.value.trim();
+  if (!value || value.length > 50) return { error: '话题内容需为1-50个字符' };
+  if (kind !== 'source' && !parseQuery(value).length) return { error: '话题内容无法用于搜索' };
+  if (body.name !== undefined && typeof body.name !== 'string') return { error: 'name 必须是字符串' };
+  const name = (body.name || '').trim() || value;
+  if (name.length > 20) return { error: '话题名称不能超过20个字符' };
+  return { value: { kind, value, name } };
+}
+
+/**
+ * 我关注的话题（附带未读数）
+ * GET /api/topics
+ */
+app.get('/api/topics', requireAuth, (req, res) => {
+  const topics = store.topics.list(req.user.username).map(t => ({ ...t, unread: topicUnread(t) }));
+  res.json({ topics });
+});
+
+/**
+ * 关注话题
+ * POST /api/topics  body: { kind: 'keyword' | 'source' | 'entity', value, name }（name 缺省时为 value）
+ */
+app.post('/api/topics', requireAuth, (req, res) => {
+  const { username } = req.user;
+  const { value, error } = parseTopicBody(req.body);
+  if (error) return res.status(400).json({ error });
+  if (store.topics.find(username, value.kind, value.value)) return res.status(409).json({ error: '已关注该话题' });
+  if (store.topics.count(username) >= MAX_TOPICS_PER_USER) {
+    return res.status(400).json({ error: `最多关注 ${MAX_TOPICS_PER_USER} 个话题` });
+  }
+  const topic = store.topics.create({ username, ...value });
+  res.status(201).json({ ...topic, unread: 0 });
+});
+
+/**
+ * 修改话题名称
+ * PATCH /api/topics/:id  body: { name }
+ */
+app.patch('/api/topics/:id', requireAuth, (req, res) => {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > 20) return res.status(400).json({ error: '话题名称需为1-20个字符' });
+  const topic = store.topics.rename(Number(req.params.id), req.user.username, name);
+  if (!topic) return res.status(404).json({ error: '话题不存在' });
+  res.json({ ...topic, unread: topicUnread(topic) });
+});
+
+/**
+ * 取消关注
+ * DELETE /api/topics/:id
+ */
+app.delete('/api/topics/:id', requireAuth, (req, res) => {
+  if (!store.topics.remove(Number(req.params.id), req.user.username)) return res.status(404).json({ error: '话题不存在' });
+  res.json({ ok: true });
+});
+
+/**
+ * 话题文章流：合并本地已存储的匹配文章和新闻源的最新结果（游标分页）
+ * GET /api/topics/:id/feed?cursor=xxx&pageSize=10&edition=us
+ * 请求第一页时记录查看时间，未读数清零
+ */
+app.get('/api/topics/:id/feed', requireAuth, async (req, res) => {
+  const { username } = req.user;
+  const topic = store.topics.get(Number(req.params.id), username);
+  if (!topic) return res.status(404).json({ error: '话题不存在' });
+  const { cursor = '' } = req.query;
+  if (cursor && !decodeCursor(cursor)) return res.status(400).json({ error: '无效的游标' });
+
+  // 只在第一页拉取新闻源，翻页时使用本地结果，避免列表在翻页过程中变化
+  let freshIds = [];
+  if (!cursor) {
+    try {
+      freshIds = await fetchTopicArticles(topic, editionOf(req));
+    } catch (e) {
+      console.error(`[api/topics] 新闻源 ${provider.name} 请求失败:`, e && e.message);
+    }
+  }
+
+  const articles = new Map(storedTopicArticles(topic).map(a => [a.id, a]));
+  for (const a of store.articles.getMany(freshIds.filter(id => !articles.has(id)))) articles.set(a.id, a);
+  const list = sortByCursorKey([...articles.values()].map(a => ({
+    id: a.id,
+    title: a.title,
+    summary: a.summary,
+    cover: a.cover,
+    category: a.primaryCategory || 'news',
+    publishedAt: a.publishedAt,
+    url: a.url,
+    source: a.source || '',
+  })));
+
+  const page = paginateByCursor(list, { cursor, limit: parsePageSize(req.query.pageSize) });
+  if (!cursor) store.topics.markViewed(topic.id, username);
+  res.json({
+    topic,
+    items: withLikes(page.items, username),
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore,
+    totalResults: list.length,
+  });
+});
+
+/**
+ * 上游热门头条（取排在第一位的分类，经缓存），本地没有可排序的互动数据时作为热榜
+ * @param {object} res - Express响应对象（写入缓存状态响应头）
+ * @param {string} edition - 新闻版本
+ * @returns {Promise<Array>} [{ id, title, url }]
+ */
+async function upstreamTrending(res, edition) {
+  const [c] = store.categories.list();
+  if (!c) return [];
+  try {
+    const result = await newsCache.get(`${provider.name}|${edition}|trending|${c.id}`, async () => {
+      const country = c.country || EDITIONS[edition].country;
+      const articles = await provider.fetchTopHeadlines(c.upstream, '', 10, { country });
+      return articles.map((n, idx) => {
+        // 使用URL的SHA1哈希作为稳定的ID
+        const id = makeIdFromUrl(n.url) || `trend_${idx}`;
+
+        // 如果是首次看到该文章，持久化其元数据
+        if (!store.articles.get(id)) {
+          saveArticles([{
+            id,
+            title: n.title,
+            summary: n.description,
+            cover: n.urlToImage,
+            primaryCategory: c.id,
+            categories: [c.id],
+            editions: [edition],
+            publishedAt: n.publishedAt,
+            url: n.url,
+            source: n.source?.name || '',
+          }]);
+        }
+
+        return { id, title: n.title, url: n.url };
+      });
+    });
+    setCacheHeaders(res, result);
+    const hidden = store.articles.hiddenIds();
+    return result.value.filter(item => !hidden.has(item.id));
+  } catch (e) {
+    console.error(`[api/trending] 新闻源 ${provider.name} 请求失败:`, e && e.message);
+    // 降级方案：返回本地已存储的该分类文章，确保UI正常工作
+    return storedArticles(c.id, 10, edition).map(a => ({ id: a.id, title: a.title, url: a.url }));
+  }
+}
+
+/**
+ * 获取热榜：按本地互动数据（点赞、评论、评论点赞、浏览）和发布时间衰减排序
+ * GET /api/trending?window=1h|24h|7d&category=tech&edition=us&limit=10
+ * 只统计出现在该版本中的文章；窗口内没有候选文章且未指定分类时，退回该版本的上游热门头条（source: 'upstream'）
+ */
+app.get('/api/trending', async (req, res) => {
+  const { window = '24h', category = '' } = req.query;
+  if (!stringParams(req.query, ['window', 'category'])) return res.status(400).json({ error: '参数格式错误' });
+  if (!Object.hasOwn(TRENDING_WINDOWS, window)) return res.status(400).json({ error: '不支持的时间窗口' });
+  const windowMs = TRENDING_WINDOWS[window];
+  try {
+    const edition = editionOf(req);
+    const limit = Math.min(parsePageSize(req.query.limit, 10), 30);
+
+    const now = Date.now();
+    const since = new Date(now - windowMs).toISOString();
+    const counts = store.engagement.countsSince(since);
+
+    // 候选：窗口内有互动的文章 + 窗口内发布的文章
+    const candidates = new Map(store.articles.publishedSince(since).map(a => [a.id, a]));
+    for (const a of store.articles.getMany([...counts.keys()])) candidates.set(a.id, a);
+
+    const ranked = rankTrending([...candidates.values()].filter(a => a.editions.includes(edition)), counts, {
+      category, limit, now, fallbackAgeMs: windowMs,
+    });
+
+    if (!ranked.length && (!category || category === 'news')) {
+      return res.json({ items: withLikes(await upstreamTrending(res, edition)), window, edition, source: 'upstream' });
+    }
+
+    const items = withLikes(ranked.map(({ article: a, counts: c, score }) => ({
+      id: a.id,
+      title: a.title,
+      url: a.url,
+      category: a.primaryCategory || 'news',
+      publishedAt: a.publishedAt,
+      score: Number(score.toPrecision(4)),
+      engagement: c,
+    })));
+    res.json({ items, window, edition, source: 'local' });
+  } catch (err) {
+    return logAnd500(res, 'api/trending', err);
+  }
+});
+
+// ========== 后台抓取 ==========
+
+/**
+ * 拉取某分类在某版本下的头条：写入文章存储、记录排名，并刷新对应的列表缓存（用户请求直接命中缓存）
+ * @param {string} categoryId - 分类ID
+ * @param {string} edition - 新闻版本
+ */
+async function ingestCategory(categoryId, edition) {
+  if (!store.categories.get(categoryId)) return;   // 分类已删除，等待下次同步移除任务
+  await newsCache.refresh(`${provider.name}|${edition}|${categoryId}|`, () => fetchCategoryItems(categoryId, '', edition));
+}
+
+/**
+ * 按当前分类和版本同步抓取任务（新增分类加入任务，删除的分类移除任务）
+ */
+function syncIngestJobs() {
+  if (!INGEST_INTERVAL_MS) return;
+  const wanted = new Map();
+  for (const edition of INGEST_EDITIONS) {
+    for (const c of store.categories.list()) wanted.set(`ingest:${edition}:${c.id}`, { category: c.id, edition });
+  }
+  for (const name of scheduler.names()) {
+    if (name.startsWith('ingest:') && !wanted.has(name)) scheduler.remove(name);
+  }
+  let i = 0;
+  for (const [name, meta] of wanted) {
+    scheduler.add(name, () => ingestCategory(meta.category, meta.edition), {
+      intervalMs: INGEST_INTERVAL_MS,
+      delayMs: INGEST_START_DELAY_MS + INGEST_STAGGER_MS * i++,
+      meta,
     });
-    res.json({ items });
+  }
+}
+
+/**
+ * 后台抓取状态：各任务的上次运行、失败情况和下次运行时间；被限流时 pausedUntil 为暂停截止时间
+ * GET /api/admin/ingest
+ */
+app.get('/api/admin/ingest', requireAdmin, (req, res) => {
+  res.json({
+    enabled: INGEST_INTERVAL_MS > 0,
+    intervalMs: INGEST_INTERVAL_MS,
+    editions: INGEST_EDITIONS,
+    ...scheduler.status(),
+  });
+});
+
+syncIngestJobs();
+
+// ========== 数据保留 ==========
+
+/**
+ * 按保留期清理旧文章；dryRun 时只生成报告不删除
+ * 有评论、点赞或收藏的文章始终保留
+ * @param {object} options - { days: 保留天数, dryRun }
+ * @returns {object} 报告：{ dryRun, days, cutoff, candidates, retained, deleted, byCategory, oldest, newest, sample }
+ */
+function runRetention({ days, dryRun }) {
+  const cutoff = new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+  const expired = store.articles.expired(cutoff);
+  const candidates = expired.filter(a => !a.engaged);
+  const byCategory = {};
+  for (const a of candidates) {
+    const cat = a.primaryCategory || 'news';
+    byCategory[cat] = (byCategory[cat] || 0) + 1;
+  }
+
+  let deleted = 0;
+  if (!dryRun && candidates.length) {
+    const ids = candidates.map(a => a.id);
+    deleted = store.articles.removeMany(ids);
+    ids.forEach(id => searchIndex.remove(id));
+    console.log(`🧹 已清理 ${deleted} 篇超过 ${days} 天的文章`);
+  }
+
+  return {
+    dryRun: !!dryRun,
+    days,
+    cutoff,
+    candidates: candidates.length,
+    retained: expired.length - candidates.length,   // 超过保留期但有互动而保留的文章
+    deleted,
+    byCategory,
+    oldest: candidates[0]?.publishedAt || null,
+    newest: candidates[candidates.length - 1]?.publishedAt || null,
+    sample: candidates.slice(0, 20).map(a => ({
+      id: a.id, title: a.title, source: a.source, publishedAt: a.publishedAt, lastSeenAt: a.lastSeenAt,
+    })),
+  };
+}
+
+/**
+ * 解析保留天数（未指定时使用 RETENTION_DAYS）
+ * @param {*} value - 请求参数
+ * @returns {number|null} 天数；无效时返回null
+ */
+function parseRetentionDays(value) {
+  if (value === undefined || value === '') return RETENTION_DAYS || null;
+  const days = Number(value);
+  return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+/**
+ * 数据保留试运行：列出将被清理的文章，不做删除
+ * GET /api/admin/retention?days=30（不传 days 时使用 RETENTION_DAYS）
+ */
+app.get('/api/admin/retention', requireAdmin, (req, res) => {
+  const days = parseRetentionDays(req.query.days);
+  if (!days) return res.status(400).json({ error: '请指定保留天数（正整数）' });
+  res.json({ ...runRetention({ days, dryRun: true }), scheduled: RETENTION_DAYS > 0 });
+});
+
+/**
+ * 立即执行清理
+ * POST /api/admin/retention/run  body: { days, dryRun }
+ */
+app.post('/api/admin/retention/run', requireAdmin, (req, res) => {
+  const days = parseRetentionDays(req.body.days);
+  if (!days) return res.status(400).json({ error: '请指定保留天数（正整数）' });
+  res.json(runRetention({ days, dryRun: req.body.dryRun === true }));
+});
+
+if (RETENTION_DAYS) {
+  scheduler.add('retention', async () => { runRetention({ days: RETENTION_DAYS, dryRun: false }); }, {
+    intervalMs: RETENTION_INTERVAL_MS,
+    delayMs: 60 * 1000,
+    meta: { days: RETENTION_DAYS },
+  });
+}
+
+// ========== 订阅源（RSS / Atom / JSON Feed） ==========
+
+const FEED_SIZE = 50;             // 每个订阅源的条目数
+const FEED_MAX_AGE_S = 5 * 60;    // 阅读器和代理的缓存时长
+
+/**
+ * 订阅源使用的版本：只看 edition 参数（阅读器不带Cookie，同一地址总是返回同样的内容）
+ * @returns {string} 版本ID
+ */
+function feedEditionOf(req) {
+  return isEdition(req.query.edition) ? req.query.edition : DEFAULT_EDITION;
+}
+
+/**
+ * 文章转为订阅源条目，附带本站的点赞数和评论数
+ * @param {Array} articles - 文章对象
+ * @returns {Array} 条目
+ */
+function feedItems(articles) {
+  const ids = articles.map(a => a.id);
+  const likes = store.likes.counts(ids);
+  const comments = store.comments.counts(ids);
+  return articles.map(a => ({
+    id: a.id,
+    url: a.url,
+    title: a.title,
+    summary: a.summary,
+    cover: a.cover,
+    source: a.source || '',
+    category: a.primaryCategory || '',
+    publishedAt: a.publishedAt,
+    firstSeenAt: a.firstSeenAt,
+    likes: likes.get(a.id) || 0,
+    comments: comments.get(a.id) || 0,
+  }));
+}
+
+/**
+ * 渲染并发送订阅源，支持条件请求：
+ * ETag 为内容摘要（点赞、评论数变化也会改变），Last-Modified 为最新条目的入库时间
+ * @param {string} format - xml / atom / json
+ * @param {object} feed - { title, description, edition, articles }
+ */
+function sendFeed(req, res, format, { title, description, edition, articles }) {
+  const base = `${req.protocol}://${req.get('host')}`;
+  const items = feedItems(articles);
+  const updated = feedUpdatedAt(items);
+  const body = renderFeed(format, {
+    title,
+    description,
+    language: EDITIONS[edition].language,
+    homeUrl: `${base}/`,
+    feedUrl: `${base}${req.originalUrl}`,
+    updated,
+    items,
+  });
+  res.set({
+    'Content-Type': FEED_FORMATS[format],
+    'Cache-Control': `public, max-age=${FEED_MAX_AGE_S}`,
+    'ETag': `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+    'Last-Modified': new Date(updated).toUTCString(),
+  });
+  if (req.fresh) return res.status(304).end();
+  res.send(body);
+}
+
+/**
+ * 搜索订阅源（保存的搜索）：按本地全文搜索匹配，按发布时间倒序
+ * GET /feeds/search.xml?q=关键词&category=tech&source=BBC&edition=us（也支持 .atom / .json）
+ * 只给 source 时订阅该来源的全部文章（对应关注的来源话题）
+ */
+app.get('/feeds/search.:format', (req, res) => {
+  const { format } = req.params;
+  if (!Object.hasOwn(FEED_FORMATS, format)) return res.status(404).json({ error: '不支持的订阅格式' });
+  const { q: qParam = '', source: sourceParam = '', category = '' } = req.query;
+  if (!stringParams(req.query, ['q', 'source', 'category'])) return res.status(400).json({ error: '参数格式错误' });
+  const q = qParam.trim();
+  const source = sourceParam.trim();
+  if (!q && !source) return res.status(400).json({ error: '缺少搜索关键词' });
+  if (category && category !== 'news' && !store.categories.get(category)) return res.status(404).json({ error: '分类不存在' });
+
+  const edition = feedEditionOf(req);
+  const matched = q
+    ? searchIndex.search(q, { category, source }).map(r => r.article)
+    : store.articles.listBySource(source);
+  const articles = matched
+    .filter(a => a.editions.includes(edition))
+    .sort((a, b) => String(b.publishedAt || '').localeCompare(String(a.publishedAt || '')))
+    .slice(0, FEED_SIZE);
+  const label = [q, source && `来源：${source}`].filter(Boolean).join(' · ');
+  sendFeed(req, res, format, {
+    title: `今日洋闻 · 搜索：${label}`,
+    description: `今日洋闻中匹配「${label}」的文章`,
+    edition,
+    articles,
+  });
+});
+
+/**
+ * 分类订阅源：先尝试拉取最新头条（经缓存）再从文章存储读取
+ * GET /feeds/tech.xml（RSS 2.0）、/feeds/tech.atom（Atom）、/feeds/tech.json（JSON Feed 1.1）；news 为综合
+ * 可选 edition=us，缺省为默认版本
+ */
+app.get('/feeds/:category.:format', async (req, res) => {
+  const { category, format } = req.params;
+  if (!Object.hasOwn(FEED_FORMATS, format)) return res.status(404).json({ error: '不支持的订阅格式' });
+  const meta = category === 'news' ? { name: '综合' } : store.categories.get(category);
+  if (!meta) return res.status(404).json({ error: '分类不存在' });
+
+  const edition = feedEditionOf(req);
+  try {
+    await newsCache.get(`${provider.name}|${edition}|${category}|`, () => fetchCategoryItems(category, '', edition));
   } catch (e) {
-    console.error('[api/trending] 外部API请求失败:', e && e.message);
-    // 降级方案：返回本地示例数据，确保UI正常工作
-    const sample = [
-      { id: 'local_tr_1', title: '本地示例热点 1', url: '', likes: 0 },
-      { id: 'local_tr_2', title: '本地示例热点 2', url: '', likes: 0 },
-      { id: 'local_tr_3', title: '本地示例热点 3', url: '', likes: 0 }
-    ];
-    return res.json({ items: sample });
+    // 新闻源不可用时只输出本地已存储的文章
+    console.error(`[feeds] 拉取最新头条失败 ${provider.name}:`, e && e.message);
   }
+  sendFeed(req, res, format, {
+    title: `今日洋闻 · ${meta.name}`,
+    description: `今日洋闻「${meta.name}」分类的最新文章（${EDITIONS[edition].name}版）`,
+    edition,
+    articles: store.articles.list({ category, edition, limit: FEED_SIZE }),
+  });
+});
+
+/**
+ * 文章页（可分享的链接）：与首页相同的 SPA，附带文章标题、摘要和链接预览元信息，由前端打开详情
+ * GET /article/:id
+ * 文章不存在或已隐藏时返回404状态的首页
+ */
+app.get('/article/:id', (req, res) => {
+  const a = store.articles.get(req.params.id);
+  if (!a || a.hidden) return res.status(404).type('html').send(INDEX_TEMPLATE);
+  const url = `${req.protocol}://${req.get('host')}/article/${encodeURIComponent(a.id)}`;
+  res.type('html').send(renderArticlePage(INDEX_TEMPLATE, a, { url }));
+});
+
+/**
+ * 管理后台页面（权限由页面调用的 /api/admin/* 接口校验）
+ */
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'admin.html'));
 });
 
 /**
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encodeCursor,
+  decodeCursor,
+  sortByCursorKey,
+  paginateByCursor,
+  paginateByOffset,
+} from '../lib/cursor.js';
+
+// 同一时间发布的文章按 ID 倒序排列
+const articles = [
+  { id: 'a', publishedAt: '2025-10-18T10:00:00Z' },
+  { id: 'b', publishedAt: '2025-10-18T12:00:00Z' },
+  { id: 'c', publishedAt: '2025-10-18T12:00:00Z' },
+  { id: 'd', publishedAt: null },
+  { id: 'e', publishedAt: '2025-10-17T08:00:00Z' },
+];
+
+test('游标编码后可以原样解码', () => {
+  const cursor = encodeCursor({ id: 'x1', publishedAt: '2025-10-18T12:00:00Z' });
+  assert.deepEqual(decodeCursor(cursor), { t: Date.parse('2025-10-18T12:00:00Z'), id: 'x1' });
+  assert.deepEqual(decodeCursor(encodeCursor({ id: 7, savedAt: '2025-01-01T00:00:00Z' }, 'savedAt')),
+    { t: Date.parse('2025-01-01T00:00:00Z'), id: '7' });
+});
+
+test('格式错误的游标解码为 null', () => {
+  for (const bad of ['', 'not-base64!', Buffer.from('{"t":"x","id":1}').toString('base64url'), Buffer.from('[]').toString('base64url')]) {
+    assert.equal(decodeCursor(bad), null);
+  }
+});
+
+test('按 (时间, id) 倒序排序，时间无效的排在最后', () => {
+  assert.deepEqual(sortByCursorKey(articles).map(a => a.id), ['c', 'b', 'a', 'e', 'd']);
+});
+
+test('逐页翻完不重复也不遗漏', () => {
+  const sorted = sortByCursorKey(articles);
+  const seen = [];
+  let cursor = '';
+  let pages = 0;
+  do {
+    const page = paginateByCursor(sorted, { cursor, limit: 2 });
+    seen.push(...page.items.map(a => a.id));
+    assert.equal(page.hasMore, page.nextCursor !== null);
+    cursor = page.nextCursor;
+    pages++;
+  } while (cursor);
+  assert.deepEqual(seen, ['c', 'b', 'a', 'e', 'd']);
+  assert.equal(pages, 3);
+});
+
+test('翻页期间插入新文章时，下一页从锚点之后继续', () => {
+  const first = paginateByCursor(sortByCursorKey(articles), { limit: 2 });
+  const updated = sortByCursorKey([...articles, { id: 'z', publishedAt: '2025-10-19T00:00:00Z' }]);
+  const second = paginateByCursor(updated, { cursor: first.nextCursor, limit: 2 });
+  assert.deepEqual(second.items.map(a => a.id), ['a', 'e']);
+});
+
+test('无效游标抛出 400 错误', () => {
+  assert.throws(() => paginateByCursor(articles, { cursor: 'garbage' }), err => err.status === 400);
+  assert.throws(() => paginateByOffset(articles, { cursor: 'garbage' }), err => err.status === 400);
+});
+
+test('偏移量游标逐页前进', () => {
+  const first = paginateByOffset(articles, { limit: 3 });
+  assert.deepEqual(first.items.map(a => a.id), ['a', 'b', 'c']);
+  const second = paginateByOffset(articles, { cursor: first.nextCursor, limit: 3 });
+  assert.deepEqual(second.items.map(a => a.id), ['d', 'e']);
+  assert.equal(second.hasMore, false);
+  assert.equal(second.nextCursor, null);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractContent, createPageFetcher, htmlToText, readingMinutes } from '../lib/extract.js';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'pages');
+const fetchPage = createPageFetcher({ fixtureDir: FIXTURE_DIR });
+
+const NEOWIN = 'https://www.neowin.net/news/windows-11-25h2-and-24h2-get-even-more-dark-mode-improvements-in-new-builds/';
+const ROAD_AND_TRACK = 'https://www.roadandtrack.com/news/a69076549/ferraris-296-f40-tribute/';
+
+// 生成一段足够长、能被当作正文的段落
+const para = (i) => `Paragraph ${i} carries enough words to count as real article text for the extractor.`;
+
+test('夹具页面：从 <article> 中取正文，去掉导航、署名和相关推荐', async () => {
+  const result = extractContent(await fetchPage(NEOWIN), NEOWIN);
+  assert.ok(result);
+  assert.match(result.text, /^Microsoft has released new preview builds/);
+  assert.doesNotMatch(result.html, /<script|<nav|<aside|<footer/i);
+  assert.match(result.html, /<h3>What else is new<\/h3>/);
+  assert.match(result.html, /<blockquote><p>We know how jarring/);
+  assert.deepEqual(result.images, [
+    'https://cdn.neowin.com/news/images/uploaded/2025/10/windows-11-dark.jpg',
+    'https://cdn.neowin.com/news/images/uploaded/2025/10/dark-dialog.png',
+  ]);
+});
+
+test('夹具页面：没有 <article> 时从 <body> 中取正文，懒加载图片按页面地址解析', async () => {
+  const result = extractContent(await fetchPage(ROAD_AND_TRACK), ROAD_AND_TRACK);
+  assert.ok(result);
+  assert.equal(result.text.split('\n').length, 4);
+  assert.match(result.text, /Ferrari’s Special Projects department/);
+  assert.doesNotMatch(result.text, /Sign up now|Privacy Notice/);
+  assert.deepEqual(result.images, ['https://www.roadandtrack.com/images/f40-tribute/lead.jpg']);
+});
+
+test('夹具目录中没有的页面直接报错', async () => {
+  await assert.rejects(fetchPage('https://example.com/missing'), /夹具中没有该页面/);
+});
+
+test('只保留白名单内的行内标签，链接只接受 http/https', () => {
+  const html = `<body>
+    <p onclick="x()">${para(1)} <a href="javascript:alert(1)">bad</a> <a href="/ok">ok</a> <b>bold</b><span>span</span></p>
+    <p>${para(2)}</p><p>${para(3)}</p><p>${para(4)}</p>
+  </body>`;
+  const result = extractContent(html, 'https://example.com/a/');
+  assert.ok(result);
+  assert.doesNotMatch(result.html, /onclick|javascript:|<span/);
+  assert.match(result.html, /bad <a href="https:\/\/example.com\/ok" target="_blank" rel="noopener nofollow">ok<\/a> <strong>bold<\/strong>span/);
+});
+
+test('链接密度高的段落和过短的正文都会被过滤', () => {
+  const links = Array.from({ length: 8 }, (_, i) => `<a href="/r${i}">Related story number ${i}</a>`).join(' ');
+  const html = `<body><p>${para(1)}</p><p>${links}</p><p>${para(2)}</p><p>${para(3)}</p></body>`;
+  const result = extractContent(html, 'https://example.com/');
+  assert.ok(result);
+  assert.doesNotMatch(result.text, /Related story/);
+  assert.equal(extractContent(`<body><p>${para(1)}</p></body>`, 'https://example.com/'), null);
+});
+
+test('大量未闭合的标签也能在线性时间内处理完', () => {
+  const started = Date.now();
+  for (const junk of ['<p>x', '<p ', '<!--', '<body', '<script>', '<']) {
+    assert.equal(extractContent(junk.repeat(200000), 'https://example.com/'), null);
+  }
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('htmlToText 去标签并解码实体，readingMinutes 按中英文分别估算', () => {
+  assert.equal(htmlToText('<p>Fish &amp; <b>chips</b>&nbsp;&#x4e2d;</p>'), 'Fish & chips 中');
+  assert.equal(readingMinutes(''), 1);
+  assert.equal(readingMinutes('word '.repeat(2200)), 10);
+  assert.equal(readingMinutes('字'.repeat(2000)), 5);
+});
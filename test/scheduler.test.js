@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler } from '../lib/scheduler.js';
+
+/**
+ * 使用模拟时钟并去掉随机抖动
+ */
+function useFakeClock(t) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2025-10-18T00:00:00Z') });
+  t.mock.method(Math, 'random', () => 0);
+  t.mock.method(console, 'error', () => {});
+}
+
+/**
+ * 某任务下次运行前的等待时长
+ */
+function nextDelay(scheduler, name) {
+  const job = scheduler.status().jobs.find(j => j.name === name);
+  return Date.parse(job.nextRunAt) - Date.now();
+}
+
+/**
+ * 拨快时钟并等待任务的异步部分完成
+ */
+async function advance(t, ms) {
+  t.mock.timers.tick(ms);
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+test('成功后按固定间隔运行', async (t) => {
+  useFakeClock(t);
+  const scheduler = createScheduler();
+  t.after(() => scheduler.stop());
+  let runs = 0;
+  scheduler.add('ok', async () => { runs++; }, { intervalMs: 30 * 60 * 1000, delayMs: 5000, meta: { category: 'tech' } });
+
+  assert.equal(nextDelay(scheduler, 'ok'), 5000);
+  await advance(t, 5000);
+  assert.equal(runs, 1);
+  assert.equal(nextDelay(scheduler, 'ok'), 30 * 60 * 1000);
+  const [job] = scheduler.status().jobs;
+  assert.equal(job.category, 'tech');
+  assert.equal(job.lastSuccessAt, new Date().toISOString());
+});
+
+test('连续失败时按指数退避重试，不超过上限；成功后恢复正常间隔', async (t) => {
+  useFakeClock(t);
+  const scheduler = createScheduler({ retryMs: 1000, maxBackoffMs: 5000 });
+  t.after(() => scheduler.stop());
+  let failing = true;
+  scheduler.add('flaky', async () => {
+    if (failing) throw new Error('boom');
+  }, { intervalMs: 60 * 1000 });
+
+  const delays = [];
+  for (let i = 0; i < 4; i++) {
+    await advance(t, nextDelay(scheduler, 'flaky'));
+    delays.push(nextDelay(scheduler, 'flaky'));
+  }
+  assert.deepEqual(delays, [1000, 2000, 4000, 5000]);
+  const [job] = scheduler.status().jobs;
+  assert.equal(job.consecutiveFailures, 4);
+  assert.equal(job.lastError.message, 'boom');
+
+  failing = false;
+  await advance(t, nextDelay(scheduler, 'flaky'));
+  assert.equal(scheduler.status().jobs[0].consecutiveFailures, 0);
+  assert.equal(nextDelay(scheduler, 'flaky'), 60 * 1000);
+});
+
+test('上游限流时按 Retry-After 暂停所有任务', async (t) => {
+  useFakeClock(t);
+  const scheduler = createScheduler({ retryMs: 1000 });
+  t.after(() => scheduler.stop());
+  let otherRuns = 0;
+  scheduler.add('limited', async () => {
+    const err = new Error('HTTP 429: rate limited');
+    err.status = 429;
+    err.rateLimited = true;
+    err.retryAfterMs = 15 * 60 * 1000;
+    throw err;
+  }, { intervalMs: 60 * 1000 });
+  scheduler.add('other', async () => { otherRuns++; }, { intervalMs: 60 * 1000, delayMs: 1000 });
+
+  await advance(t, 0);
+  const status = scheduler.status();
+  assert.equal(Date.parse(status.pausedUntil) - Date.now(), 15 * 60 * 1000);
+  assert.equal(status.jobs[0].lastError.rateLimited, true);
+
+  // 暂停期间到点的任务顺延到暂停结束
+  await advance(t, 1000);
+  assert.equal(otherRuns, 0);
+  assert.equal(nextDelay(scheduler, 'other'), 15 * 60 * 1000 - 1000);
+});
+
+test('移除的任务不再运行，同名任务不会重复添加', async (t) => {
+  useFakeClock(t);
+  const scheduler = createScheduler();
+  t.after(() => scheduler.stop());
+  let runs = 0;
+  scheduler.add('a', async () => { runs++; }, { intervalMs: 1000 });
+  scheduler.add('a', async () => {}, { intervalMs: 5 });
+  assert.deepEqual(scheduler.names(), ['a']);
+  assert.equal(scheduler.status().jobs[0].intervalMs, 1000);
+  scheduler.remove('a');
+  await advance(t, 0);
+  assert.equal(runs, 0);
+  assert.deepEqual(scheduler.names(), []);
+});
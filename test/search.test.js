@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, parseQuery, createSearchIndex } from '../lib/search.js';
+
+const docs = [
+  { id: '1', title: 'Climate change summit opens', summary: 'Leaders meet to discuss climate policy.', source: 'BBC', primaryCategory: 'world', publishedAt: '2025-10-18T10:00:00Z' },
+  { id: '2', title: 'Markets rally', summary: 'Stocks rise as climate funds attract change in investor mood.', source: 'Reuters', primaryCategory: 'business', publishedAt: '2025-10-17T10:00:00Z' },
+  { id: '3', title: 'Technology giants report earnings', summary: 'Tech stocks lead gains.', source: 'BBC', primaryCategory: 'tech', publishedAt: '2025-10-16T10:00:00Z' },
+  { id: '4', title: '人工智能大会在上海开幕', summary: '多家公司发布人工智能新产品。', source: '新华社', primaryCategory: 'tech', publishedAt: '2025-10-15T10:00:00Z' },
+];
+
+function buildIndex() {
+  const index = createSearchIndex();
+  docs.forEach(d => index.add(d));
+  return index;
+}
+
+const ids = results => results.map(r => r.article.id);
+
+test('英文按单词切分并去掉停用词，中文按二元组切分', () => {
+  assert.deepEqual(tokenize('The Climate of Change').map(t => t.term), ['climate', 'change']);
+  assert.deepEqual(tokenize('人工智能').map(t => t.term), ['人工', '工智', '智能']);
+});
+
+test('解析普通词、短语和前缀查询', () => {
+  assert.deepEqual(parseQuery('apple "climate change" tech*').map(c => c.type), ['term', 'phrase', 'prefix']);
+});
+
+test('BM25：标题命中的文章排在只有摘要命中的文章之前', () => {
+  assert.deepEqual(ids(buildIndex().search('climate change')), ['1', '2']);
+});
+
+test('短语查询要求词语相邻出现', () => {
+  assert.deepEqual(ids(buildIndex().search('"climate change"')), ['1']);
+});
+
+test('前缀查询和中文查询', () => {
+  const index = buildIndex();
+  assert.deepEqual(ids(index.search('tech*')).sort(), ['3']);
+  assert.deepEqual(ids(index.search('人工智能')), ['4']);
+});
+
+test('按分类、来源和日期过滤', () => {
+  const index = buildIndex();
+  assert.deepEqual(ids(index.search('climate', { category: 'business' })), ['2']);
+  assert.deepEqual(ids(index.search('stocks', { source: 'bbc' })), ['3']);
+  assert.deepEqual(ids(index.search('climate', { from: '2025-10-18' })), ['1']);
+  assert.deepEqual(ids(index.search('climate', { to: '2025-10-17' })), ['2']);
+});
+
+test('高亮片段转义HTML并用 <mark> 包裹命中词', () => {
+  const index = createSearchIndex();
+  index.add({ id: 'x', title: 'Fish <b>&</b> chips', summary: '', source: '' });
+  assert.equal(index.search('chips')[0].highlights.title, 'Fish &lt;b&gt;&amp;&lt;/b&gt; <mark>chips</mark>');
+});
+
+test('更新和移除文档后索引随之变化', () => {
+  const index = buildIndex();
+  index.add({ ...docs[0], title: 'Summit opens', summary: 'Leaders meet.' });
+  assert.deepEqual(ids(index.search('climate')), ['2']);
+  index.remove('2');
+  assert.deepEqual(index.search('climate'), []);
+  assert.equal(index.size, 3);
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { engagementPoints, trendingScore, rankTrending, TRENDING_WINDOWS } from '../lib/trending.js';
+
+const NOW = Date.parse('2025-10-18T12:00:00Z');
+const hoursAgo = h => new Date(NOW - h * 3600 * 1000).toISOString();
+
+test('互动分按权重累加', () => {
+  assert.equal(engagementPoints({ likes: 2, comments: 1, commentLikes: 3, views: 4 }), 2 * 3 + 4 + 3 + 2);
+  assert.equal(engagementPoints(), 0);
+});
+
+test('互动相同时，发布越久热度越低', () => {
+  const counts = { likes: 5 };
+  const fresh = trendingScore(counts, hoursAgo(1), { now: NOW });
+  const old = trendingScore(counts, hoursAgo(10), { now: NOW });
+  assert.ok(fresh > old);
+  assert.equal(fresh, (15 + 1) / Math.pow(1 + 2, 1.8));
+});
+
+test('gravity 越大，旧文章下沉越快', () => {
+  const ratio = gravity => trendingScore({}, hoursAgo(1), { now: NOW, gravity }) / trendingScore({}, hoursAgo(20), { now: NOW, gravity });
+  assert.ok(ratio(2.5) > ratio(1.2));
+});
+
+test('发布时间未知时按 fallbackAgeMs 计算年龄', () => {
+  assert.equal(
+    trendingScore({ likes: 1 }, null, { now: NOW, fallbackAgeMs: TRENDING_WINDOWS['24h'] }),
+    trendingScore({ likes: 1 }, hoursAgo(24), { now: NOW }),
+  );
+});
+
+test('排序：新的高互动文章胜过旧文章，并按分类过滤和截断', () => {
+  const articles = [
+    { id: 'old', publishedAt: hoursAgo(30), primaryCategory: 'tech', categories: ['tech'] },
+    { id: 'new', publishedAt: hoursAgo(2), primaryCategory: 'world', categories: ['world', 'tech'] },
+    { id: 'quiet', publishedAt: hoursAgo(1), primaryCategory: 'sports', categories: ['sports'] },
+  ];
+  const counts = new Map([['old', { likes: 20 }], ['new', { likes: 5, comments: 2 }]]);
+  const ranked = rankTrending(articles, counts, { now: NOW });
+  assert.deepEqual(ranked.map(r => r.article.id), ['new', 'quiet', 'old']);
+  assert.deepEqual(ranked[0].counts, { likes: 5, comments: 2, commentLikes: 0, views: 0 });
+  assert.deepEqual(rankTrending(articles, counts, { now: NOW, category: 'tech' }).map(r => r.article.id), ['new', 'old']);
+  assert.equal(rankTrending(articles, counts, { now: NOW, limit: 1 }).length, 1);
+});